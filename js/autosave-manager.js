@@ -0,0 +1,297 @@
+import DocumentModel from './document-model.js';
+
+/**
+ * IndexedDB database and object store holding drafts
+ */
+const DATABASE_NAME = 'vanilla-editor';
+const DATABASE_VERSION = 1;
+const STORE_NAME = 'drafts';
+
+/**
+ * Default draft key
+ */
+const DEFAULT_KEY = 'vanilla-editor-draft';
+
+/**
+ * Suffix of the key saving the current session while a found draft is offered
+ */
+const SESSION_SUFFIX = ':session';
+
+/**
+ * Delay (ms) between a change and saving
+ */
+const SAVE_DELAY = 1000;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the drafts database (shared by all editors of the page)
+ */
+let databasePromise = null;
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            let request;
+            try {
+                request = window.indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+            } catch (error) {
+                // E.g. IndexedDB unavailable or blocked by privacy settings
+                reject(error);
+                return;
+            }
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // A failed open may succeed on a later attempt
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Autosave Manager - Saves document snapshots as drafts in IndexedDB to recover from crashes
+ *
+ * Each committed mutation (and undo/redo) schedules a save of the whole document (see DocumentModel):
+ * { key: 'vanilla-editor-draft', document: { version: 1, blocks: [...] }, savedAt: 1700000000000 }
+ *
+ * A draft is unsaved work until the host calls clearDraft() (e.g. after saving the document elsewhere).
+ * While a found draft is offered for recovery, the current session is saved under its own key
+ * ('vanilla-editor-draft:session'), so neither the draft nor the session's work is lost; the next
+ * save under the draft key (after resolveDraft()) removes the session record.
+ */
+class AutosaveManager {
+    /**
+     * @param {Element} editorElement - Editor root
+     * @param {StateManager} stateManager - Commits trigger saves
+     * @param {HistoryManager} historyManager - Undo/redo trigger saves
+     * @param {Object} options - {key: draft key, since: time (ms) the loaded document was saved;
+     *     older drafts are not offered}
+     */
+    constructor(editorElement, stateManager, historyManager, options = {}) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.historyManager = historyManager;
+        this.key = options.key || DEFAULT_KEY;
+        this.sessionKey = this.key + SESSION_SUFFIX;
+        this.since = options.since || 0;
+
+        this.saveTimer = null;
+        this.isDraftPending = false; // A found draft is offered, saves go to the session key
+        this.hasSessionChanges = false; // Changes were made while the draft was offered
+        this.hasSessionDraft = false; // The session key may hold a record
+
+        this.scheduleSave = this.scheduleSave.bind(this);
+        this.onHistoryChange = this.onHistoryChange.bind(this);
+        this.flush = this.flush.bind(this);
+        this.onPageHide = this.onPageHide.bind(this);
+        this.stateManager.addCommitListener(this.scheduleSave);
+        this.historyManager.addHistoryListener(this.onHistoryChange);
+        window.addEventListener('pagehide', this.onPageHide);
+    }
+
+    /**
+     * Save pending changes before the page goes away (nothing else, e.g. not right after clearDraft)
+     * @private
+     */
+    onPageHide() {
+        if (this.saveTimer) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Check whether IndexedDB is available
+     */
+    static isSupported() {
+        try {
+            return !!window.indexedDB;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Run a request on the drafts store
+     * @private
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Gets the store, returns the request
+     * @returns {Promise} Request result
+     */
+    request(mode, callback) {
+        if (!AutosaveManager.isSupported()) {
+            return Promise.reject(new Error('IndexedDB is not supported'));
+        }
+        return openDatabase().then(db => promisifyRequest(callback(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME))));
+    }
+
+    /**
+     * Save after undo and redo (history changes from commits are already handled)
+     * @private
+     */
+    onHistoryChange(type) {
+        if (type === 'undo' || type === 'redo') {
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Save after a short delay (changes in between are saved together)
+     */
+    scheduleSave() {
+        if (this.isDraftPending) {
+            this.hasSessionChanges = true;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(this.flush, SAVE_DELAY);
+    }
+
+    /**
+     * Save a snapshot now (under the session key while a found draft is offered)
+     * @returns {Promise<boolean>} Whether the draft was saved
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const isSession = this.isDraftPending;
+        const draft = {
+            key: isSession ? this.sessionKey : this.key,
+            document: DocumentModel.fromRoot(this.editor),
+            savedAt: Date.now(),
+        };
+
+        // The session record is replaced by the draft in the same transaction
+        const removesSession = !isSession && this.hasSessionDraft;
+        if (isSession) {
+            this.hasSessionDraft = true;
+        }
+
+        const save = (store) => {
+            if (removesSession) {
+                store.delete(this.sessionKey);
+            }
+            return store.put(draft);
+        };
+
+        return this.request('readwrite', save)
+            .then(() => {
+                if (removesSession) {
+                    this.hasSessionDraft = false;
+                }
+                return true;
+            })
+            .catch(error => {
+                // E.g. storage quota exceeded
+                console.warn('Failed to save draft:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Read the stored draft: the newer of the draft and a session saved while a draft was offered
+     * (e.g. before a crash)
+     * @returns {Promise<Object|null>} Draft {key, document, savedAt}, or null if there is none (or it can't be read)
+     */
+    readDraft() {
+        const isValid = draft => !!draft && DocumentModel.isValid(draft.document) && Number.isFinite(draft.savedAt);
+
+        return Promise.all([this.key, this.sessionKey].map(key => this.request('readonly', store => store.get(key))))
+            .then(([draft, session]) => {
+                if (isValid(session)) {
+                    // A session record lasts until a save under the draft key removes it
+                    this.hasSessionDraft = true;
+                }
+                const drafts = [draft, session].filter(isValid);
+                return drafts.reduce((newest, each) => (!newest || each.savedAt > newest.savedAt ? each : newest), null);
+            })
+            .catch(error => {
+                console.warn('Failed to read draft:', error);
+                return null;
+            });
+    }
+
+    /**
+     * Find a draft worth recovering: newer than the loaded document and different from it
+     * Until resolveDraft() is called, changes are saved under the session key and the draft is kept
+     * @returns {Promise<Object|null>} Draft, or null if there is nothing to recover
+     */
+    findDraft() {
+        const current = JSON.stringify(DocumentModel.fromRoot(this.editor).blocks);
+
+        this.isDraftPending = true;
+        return this.readDraft().then(draft => {
+            const isRecoverable = !!draft && draft.savedAt > this.since &&
+                draft.document.blocks.length > 0 && JSON.stringify(draft.document.blocks) !== current;
+
+            if (!isRecoverable) {
+                this.resolveDraft();
+                return null;
+            }
+            return draft;
+        });
+    }
+
+    /**
+     * Save under the draft key again after a found draft was restored or discarded
+     * (changes made meanwhile replace the draft, and the session record is removed)
+     */
+    resolveDraft() {
+        this.isDraftPending = false;
+        if (this.hasSessionChanges) {
+            this.hasSessionChanges = false;
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Remove the stored draft and session record (the document was saved elsewhere, or the draft was discarded)
+     * @returns {Promise<boolean>} Whether the draft was removed
+     */
+    clearDraft() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const remove = (store) => {
+            store.delete(this.sessionKey);
+            return store.delete(this.key);
+        };
+
+        return this.request('readwrite', remove)
+            .then(() => {
+                this.hasSessionDraft = false;
+                return true;
+            })
+            .catch(error => {
+                console.warn('Failed to clear draft:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Stop saving (pending changes are saved)
+     */
+    destroy() {
+        if (this.saveTimer) {
+            this.flush();
+        }
+        this.stateManager.removeCommitListener(this.scheduleSave);
+        this.historyManager.removeHistoryListener(this.onHistoryChange);
+        window.removeEventListener('pagehide', this.onPageHide);
+    }
+}
+
+export default AutosaveManager;
\ No newline at end of file
@@ -4,11 +4,18 @@ import {
     SPLIT_BLOCK,
     DELETE_BLOCK,
     MERGE_BLOCKS,
-    INSERT_ELEMENT
+    INSERT_ELEMENT,
+    SET_ATTRIBUTES,
+    RESTRUCTURE_BLOCKS,
+    REPLACE_BLOCKS,
+    SPLICE_BLOCKS,
+    MOVE_BLOCKS,
+    DUPLICATE_BLOCKS
 } from './mutation-types.js';
 import { CaretState } from './caret-tracker.js';
 import Carets from './carets.js';
 import DOMOperations from './dom-operations.js';
+import DocumentModel from './document-model.js';
 
 /**
  * Block Manager - Handles block-level operations for the editor
@@ -69,9 +76,25 @@ class BlockManager {
                 mutation.parent = element.parentNode;
                 mutation.nextSibling = element.nextSibling;
 
-                // Move children and replace
-                while (element.firstChild) {
-                    newElement.appendChild(element.firstChild);
+                // Into or out of a code block, line breaks change between <br> and '\n': the new block gets
+                // converted content (cached, so replay reattaches the same nodes) and the old one keeps its own
+                mutation.convertsCode = !DOMOperations.isAtomicBlock(element) &&
+                    (element.tagName === 'PRE') !== (newElement.tagName === 'PRE');
+
+                // Move children and replace (an atomic block has no text to move, the new block starts empty)
+                if (mutation.convertsCode) {
+                    if (!mutation.domCache) {
+                        mutation.domCache = {};
+                    }
+                    mutation.caretStateBefore = this.convertCaretState(mutation.caretStateBefore, element);
+                    DOMOperations.populateBlock(newElement, 'converted',
+                        () => DOMOperations.convertCodeContent(element, newElement.tagName === 'PRE'), mutation.domCache);
+                } else if (DOMOperations.isAtomicBlock(element)) {
+                    DOMOperations.normalizeBlock(newElement);
+                } else {
+                    while (element.firstChild) {
+                        newElement.appendChild(element.firstChild);
+                    }
                 }
                 element.parentNode.replaceChild(newElement, element);
 
@@ -82,8 +105,8 @@ class BlockManager {
             revert: (mutation) => {
                 const { oldElement, newElement, parent, nextSibling } = mutation;
                 
-                // Restore children to old element (reuse existing element)
-                while (newElement.firstChild) {
+                // Restore children to old element (reuse existing element; converted content stays in the new one)
+                while (newElement.firstChild && !DOMOperations.isAtomicBlock(oldElement) && !mutation.convertsCode) {
                     oldElement.appendChild(newElement.firstChild);
                 }
                 
@@ -124,7 +147,7 @@ class BlockManager {
                 const { block, splitOffset, newBlock, atEnd } = mutation;
 
                 // Store block index for caret tracking
-                const blocks = Array.from(this.editor.children);
+                const blocks = this.getAllBlocks();
                 mutation.originalBlockIndex = blocks.indexOf(block);
 
                 // Initialize DOM cache only if it doesn't exist (preserve existing cache during replay)
@@ -180,31 +203,27 @@ class BlockManager {
             apply: (mutation) => {
                 const { block } = mutation;
 
-                // Store position info for revert and caret tracking
-                mutation.parent = block.parentNode;
-                mutation.nextSibling = block.nextSibling;
                 mutation.deletedBlock = block;
 
-                // Store caret state for positioning at end of previous block
-                const previousBlock = block.previousElementSibling;
-                if (previousBlock) {
-                    const blocks = Array.from(this.editor.children);
+                // Store caret state for positioning at end of previous block (unless given)
+                const previousBlock = this.getPreviousBlock(block);
+                if (previousBlock && !mutation.caretStateAfter) {
+                    const blocks = this.getAllBlocks();
                     const prevBlockIndex = blocks.indexOf(previousBlock);
                     const prevBlockTextLength = DOMOperations.getTextLength(previousBlock);
                     mutation.caretStateAfter = CaretState.collapsed(prevBlockIndex, prevBlockTextLength);
                 }
                 
-                block.remove();
+                // Remove block (and its list if it was the last item), storing position info for revert
+                mutation.detachRecord = DOMOperations.detachBlock(block);
 
                 // Restore caret to end of previous block
                 this.restoreCaretState(mutation, 'caretStateAfter');
             },
 
             revert: (mutation) => {
-                const { deletedBlock, parent, nextSibling } = mutation;
-
                 // Re-insert the deleted block DOM element at original position
-                parent.insertBefore(deletedBlock, nextSibling);
+                DOMOperations.reattachBlock(mutation.detachRecord);
             },
         });
 
@@ -214,7 +233,7 @@ class BlockManager {
                 const { firstBlock, secondBlock } = mutation;
 
                 // Store block indices for caret tracking
-                const blocks = Array.from(this.editor.children);
+                const blocks = this.getAllBlocks();
                 mutation.firstBlockIndex = blocks.indexOf(firstBlock);
                 mutation.secondBlockIndex = blocks.indexOf(secondBlock);
 
@@ -238,7 +257,7 @@ class BlockManager {
                 DOMOperations.applyMergeBlocks(firstBlock, mutation.domCache);
 
                 // Remove second block (but keep reference for revert)
-                secondBlock.remove();
+                mutation.secondBlockDetachRecord = DOMOperations.detachBlock(secondBlock);
 
                 // Restore caret to merge point immediately after DOM changes
                 this.restoreCaretState(mutation, 'caretStateAfter');
@@ -253,10 +272,197 @@ class BlockManager {
                 // Update reference for consistency
                 mutation.secondBlock = removedSecondBlock;
 
-                // Re-insert second block
-                firstBlock.parentNode.insertBefore(removedSecondBlock, firstBlock.nextSibling);
+                // Re-insert second block at its original position (may be in another list)
+                DOMOperations.reattachBlock(mutation.secondBlockDetachRecord);
+            },
+        });
+
+        // Set attributes handler (value null removes the attribute)
+        this.stateManager.registerHandler(SET_ATTRIBUTES, {
+            apply: (mutation) => {
+                const { element, attributes } = mutation;
+
+                // Store old values for revert
+                mutation.oldAttributes = {};
+                for (const [name, value] of Object.entries(attributes)) {
+                    mutation.oldAttributes[name] = element.getAttribute(name);
+                    BlockManager.setAttribute(element, name, value);
+                }
+            },
+
+            revert: (mutation) => {
+                const { element, oldAttributes } = mutation;
+                for (const [name, value] of Object.entries(oldAttributes)) {
+                    BlockManager.setAttribute(element, name, value);
+                }
+            },
+        });
+
+        // Restructure handler: replaces the children of several elements at once
+        // (used to move blocks in and out of list containers)
+        this.stateManager.registerHandler(RESTRUCTURE_BLOCKS, {
+            apply: (mutation) => {
+                const { layout } = mutation;
+
+                // Capture current caret state before DOM changes
+                this.captureCaretState(mutation);
+
+                // Store current children of every touched element for revert
+                mutation.originalLayout = DOMOperations.applyLayout(layout);
+
+                // Blocks keep their order and text, restore caret
+                this.restoreCaretState(mutation);
+            },
+
+            revert: (mutation) => {
+                DOMOperations.applyLayout(mutation.originalLayout);
+            },
+        });
+
+        // Move blocks handler: rearranges blocks and containers to a precomputed layout (see createMoveMutation)
+        // in one step; the caret stays at its offset in its block, wherever the block went
+        this.stateManager.registerHandler(MOVE_BLOCKS, {
+            apply: (mutation) => {
+                const { layout } = mutation;
+
+                // Capture current caret state before DOM changes
+                this.captureCaretState(mutation);
+
+                // Store current children of every touched element for revert
+                mutation.originalLayout = DOMOperations.applyLayout(layout);
+
+                if (mutation.caretStateBefore) {
+                    mutation.caretStateAfter = Carets.adjustCaretStateAfterMove(mutation.caretStateBefore, mutation);
+                    this.restoreCaretState(mutation, 'caretStateAfter');
+                }
+            },
+
+            revert: (mutation) => {
+                DOMOperations.applyLayout(mutation.originalLayout);
+            },
+        });
+
+        // Duplicate blocks handler: places copies built beforehand (see createDuplicateMutation)
+        // after the blocks; the caret goes to its offset in the copy of its block
+        this.stateManager.registerHandler(DUPLICATE_BLOCKS, {
+            apply: (mutation) => {
+                // Capture current caret state before DOM changes
+                this.captureCaretState(mutation);
+
+                // Store current children of every touched element for revert
+                mutation.originalLayout = DOMOperations.applyLayout(mutation.layout);
+
+                if (mutation.caretStateBefore) {
+                    mutation.caretStateAfter = Carets.adjustCaretStateAfterDuplicate(mutation.caretStateBefore, mutation);
+                    this.restoreCaretState(mutation, 'caretStateAfter');
+                }
+            },
+
+            revert: (mutation) => {
+                DOMOperations.applyLayout(mutation.originalLayout);
             },
         });
+
+        // Replace blocks handler (whole editor content, e.g. loading a document)
+        this.stateManager.registerHandler(REPLACE_BLOCKS, {
+            apply: (mutation) => {
+                const { nodes } = mutation;
+
+                // Capture current caret state before DOM changes
+                this.captureCaretState(mutation);
+
+                // Store for revert
+                mutation.originalNodes = Array.from(this.editor.childNodes);
+
+                DOMOperations.setChildren(this.editor, nodes);
+
+                // Caret goes to the start of the new content
+                mutation.caretStateAfter = CaretState.collapsed(0, 0);
+                this.restoreCaretState(mutation, 'caretStateAfter');
+            },
+
+            revert: (mutation) => {
+                DOMOperations.setChildren(this.editor, mutation.originalNodes);
+
+                // The caret leaves the removed content (a position past the restored blocks is clamped)
+                this.restoreCaretState(mutation);
+            },
+        });
+
+        // Splice blocks handler: position-based (block index + JSON blocks, see DocumentModel),
+        // so it can be serialized (persisted history); elements are only cached in domCache
+        this.stateManager.registerHandler(SPLICE_BLOCKS, {
+            apply: (mutation) => {
+                this.spliceBlocks(mutation, 'removed', 'inserted');
+            },
+
+            revert: (mutation) => {
+                this.spliceBlocks(mutation, 'inserted', 'removed');
+            },
+        });
+    }
+
+    /**
+     * Move the offsets of a caret state inside a block over its line breaks, as the block is formatted
+     * into a code block (each <br> becomes a '\n' character) or out of one (the other way round)
+     * @param {CaretState|null} caretState - Caret state before the format
+     * @param {Element} block - Block being formatted (still in the editor)
+     * @returns {CaretState|null} Caret state for the new block
+     */
+    convertCaretState(caretState, block) {
+        if (!caretState) return caretState;
+
+        const blockIndex = this.getAllBlocks().indexOf(block);
+        const breaks = DOMOperations.getLineBreakOffsets(block);
+        const step = block.tagName === 'PRE' ? -1 : 1;
+        const convert = (index, offset) => index === blockIndex
+            ? offset + step * breaks.filter(lineBreak => lineBreak < offset).length
+            : offset;
+
+        return CaretState.range(
+            caretState.startBlockIndex, convert(caretState.startBlockIndex, caretState.startOffset),
+            caretState.endBlockIndex, convert(caretState.endBlockIndex, caretState.endOffset));
+    }
+
+    /**
+     * Replace one side of a SPLICE_BLOCKS mutation with the other (list containers are regrouped)
+     * Each side's elements are cached the first time: the outgoing blocks as they are in the editor,
+     * the incoming ones built from JSON. Replay reattaches the same elements, so the entries next
+     * to this one in history (which refer to them) stay valid.
+     * @param {Object} mutation - SPLICE_BLOCKS mutation {index, removed, inserted}
+     * @param {string} outgoing - Side in the editor now ('removed' or 'inserted')
+     * @param {string} incoming - Side to put in its place
+     */
+    spliceBlocks(mutation, outgoing, incoming) {
+        if (!mutation.domCache) {
+            mutation.domCache = {};
+        }
+
+        const { index } = mutation;
+        const entries = DOMOperations.getBlockEntries(this.editor)
+            .filter(({ node }) => node.nodeType === Node.ELEMENT_NODE);
+        const count = mutation[outgoing].length;
+
+        DOMOperations.getCachedNodes(outgoing, () => entries.slice(index, index + count), mutation.domCache);
+        const incomingEntries = DOMOperations.getCachedNodes(incoming, () => DOMOperations.getBlockEntries(
+            DocumentModel.toRoot({ version: DocumentModel.SCHEMA_VERSION, blocks: mutation[incoming] })), mutation.domCache);
+
+        entries.splice(index, count, ...incomingEntries);
+        DOMOperations.applyLayout(DOMOperations.buildBlockLayout(this.editor, entries));
+    }
+
+    /**
+     * Set or remove (null) an attribute
+     * @param {Element} element - Target element
+     * @param {string} name - Attribute name
+     * @param {string|null} value - Attribute value, null to remove
+     */
+    static setAttribute(element, name, value) {
+        if (value === null || value === undefined) {
+            element.removeAttribute(name);
+        } else {
+            element.setAttribute(name, value);
+        }
     }
 
     /**
@@ -264,7 +470,7 @@ class BlockManager {
      * @returns {Element[]} Array of block elements
      */
     getAllBlocks() {
-        return Array.from(this.editor.children);
+        return DOMOperations.getBlocks(this.editor);
     }
 
     /**
@@ -275,13 +481,29 @@ class BlockManager {
     getBlockForNode(node) {
         if (!node) return null;
 
-        let block = node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+        return DOMOperations.getBlockForNode(node, this.editor);
+    }
 
-        while (block && block !== this.editor && block.parentNode !== this.editor) {
-            block = block.parentNode;
-        }
+    /**
+     * Get the block before a block in document order (across list boundaries)
+     * @param {Element} block - The reference block
+     * @returns {Element|null} The previous block or null
+     */
+    getPreviousBlock(block) {
+        const blocks = this.getAllBlocks();
+        const index = blocks.indexOf(block);
+        return index > 0 ? blocks[index - 1] : null;
+    }
 
-        return block === this.editor ? null : block;
+    /**
+     * Get the block after a block in document order (across list boundaries)
+     * @param {Element} block - The reference block
+     * @returns {Element|null} The next block or null
+     */
+    getNextBlock(block) {
+        const blocks = this.getAllBlocks();
+        const index = blocks.indexOf(block);
+        return index > -1 && index < blocks.length - 1 ? blocks[index + 1] : null;
     }
 
     /**
@@ -303,28 +525,104 @@ class BlockManager {
      * @returns {boolean} Whether the element is a block
      */
     isBlock(element) {
-        return element && element.parentNode === this.editor;
+        return !!element && this.getBlockForNode(element) === element;
+    }
+
+    /**
+     * Create an empty block for insertion next to an existing one
+     * Same-tag blocks inherit attributes (e.g. list item indent), except id; a task item's successor starts unchecked
+     * @param {Element} block - The reference block
+     * @param {string} tagName - Optional tag for new block (defaults to same as original)
+     * @returns {Element} The new block element
+     */
+    createBlockLike(block, tagName = null) {
+        const newBlock = DOMOperations.createElement(tagName || block.tagName);
+
+        if (newBlock.tagName === block.tagName) {
+            for (const attr of block.attributes) {
+                if (attr.name !== 'id') {
+                    newBlock.setAttribute(attr.name, attr.name === 'data-checked' ? 'false' : attr.value);
+                }
+            }
+        }
+
+        return newBlock;
     }
 
     /**
      * Format a block element to a different tag
      * @param {Element} block - The block to format
      * @param {string} tagName - The new tag name
+     * @param {Object} attributes - Optional attributes of the new block (e.g. callout variant; null values are skipped)
      * @returns {boolean} Whether the operation was successful
      */
-    formatBlock(block, tagName) {
+    formatBlock(block, tagName, attributes = null) {
         if (!this.isBlock(block)) return false;
 
+        // Cells stay cells (table structure only changes through TableManager)
+        if (DOMOperations.isTableCell(block)) return false;
+
+        // Text can't become an atomic block (insert one instead)
+        if (DOMOperations.atomicBlockTags.has(tagName.toUpperCase())) return false;
+
+        return this.stateManager.commit(this.createFormatMutation(block, tagName, attributes));
+    }
+
+    /**
+     * Create a mutation formatting a block to a different tag (e.g. part of a composite)
+     * Attributes live on the new element, so redo brings them back and undo restores the old element with its own
+     * @param {Element} block - The block to format
+     * @param {string} tagName - The new tag name
+     * @param {Object} attributes - Optional attributes of the new block (null values are skipped)
+     * @returns {Object} FORMAT_BLOCK mutation
+     */
+    createFormatMutation(block, tagName, attributes = null) {
         // Create new element outside mutation for reusability
         const newElement = DOMOperations.createElement(tagName.toUpperCase());
+        Object.entries(attributes || {}).forEach(([name, value]) => BlockManager.setAttribute(newElement, name, value));
 
-        return this.stateManager.commit({
+        return {
             type: FORMAT_BLOCK,
             element: block,
             newElement: newElement,
+        };
+    }
+
+
+    /**
+     * Set (or remove with null) attributes on a block
+     * @param {Element} block - The block to update
+     * @param {Object} attributes - Map of attribute name to value (null removes)
+     * @returns {boolean} Whether the operation was successful
+     */
+    setBlockAttributes(block, attributes) {
+        if (!this.isBlock(block)) return false;
+
+        return this.stateManager.commit({
+            type: SET_ATTRIBUTES,
+            element: block,
+            attributes: attributes,
         });
     }
 
+    /**
+     * Replace the whole editor content with new blocks
+     * @param {Element} root - Detached root holding the blocks (its children are moved)
+     * @returns {boolean} Whether the operation was successful
+     */
+    replaceBlocks(root) {
+        // The editor always keeps at least one block
+        if (DOMOperations.getBlocks(root).length === 0) {
+            const block = DOMOperations.createElement(this.getDefaultBlockTag());
+            DOMOperations.normalizeBlock(block);
+            root.appendChild(block);
+        }
+
+        return this.stateManager.commit({
+            type: REPLACE_BLOCKS,
+            nodes: Array.from(root.childNodes),
+        });
+    }
 
     /**
      * Remove a block element
@@ -332,7 +630,7 @@ class BlockManager {
      * @returns {boolean} Whether the operation was successful
      */
     removeBlock(block) {
-        if (!this.isBlock(block)) return false;
+        if (!this.isBlock(block) || DOMOperations.isTableCell(block)) return false;
 
         return this.stateManager.commit({
             type: REMOVE_ELEMENT,
@@ -348,10 +646,10 @@ class BlockManager {
      * @returns {Element|null} The new block created after split
      */
     splitBlock(block, offset, newBlockTag = null) {
-        if (!this.isBlock(block)) return null;
+        if (!this.isBlock(block) || DOMOperations.isTableCell(block)) return null;
 
         // Create new block outside mutation for reusability
-        const newBlock = DOMOperations.createElement(newBlockTag || block.tagName);
+        const newBlock = this.createBlockLike(block, newBlockTag);
 
         const success = this.stateManager.commit({
             type: SPLIT_BLOCK,
@@ -374,10 +672,10 @@ class BlockManager {
      * @returns {Element|null} The new block created
      */
     insertBlockAfter(block, content = '', newBlockTag = null) {
-        if (!this.isBlock(block)) return null;
+        if (!this.isBlock(block) || DOMOperations.isTableCell(block)) return null;
 
         // Create new block outside mutation for reusability
-        const newBlock = DOMOperations.createElement(newBlockTag || block.tagName);
+        const newBlock = this.createBlockLike(block, newBlockTag);
         if (content) {
             newBlock.appendChild(DOMOperations.createTextNode(content));
         } else {
@@ -400,15 +698,65 @@ class BlockManager {
     /**
      * Delete a block (just removes it, merging handled separately)
      * @param {Element} block - The block to delete
+     * @param {CaretState} caretStateAfter - Optional caret after deleting (defaults to the end of the previous block)
      * @returns {boolean} Whether the deletion was successful
      */
-    deleteBlock(block) {
-        if (!this.isBlock(block)) return false;
+    deleteBlock(block, caretStateAfter = null) {
+        if (!this.isBlock(block) || DOMOperations.isTableCell(block)) return false;
 
-        return this.stateManager.commit({
+        const mutation = {
             type: DELETE_BLOCK,
             block: block,
-        });
+        };
+        if (caretStateAfter) {
+            mutation.caretStateAfter = caretStateAfter;
+        }
+
+        return this.stateManager.commit(mutation);
+    }
+
+    /**
+     * Create a mutation inserting a block next to the top-level node of a block
+     * (e.g. a horizontal rule next to a list holding the caret)
+     * @param {Element} newBlock - The block to insert
+     * @param {Element} block - The reference block
+     * @param {boolean} before - Insert before the reference instead of after it
+     * @returns {Object} INSERT_ELEMENT mutation
+     */
+    createInsertMutation(newBlock, block, before = false) {
+        const topLevelNode = DOMOperations.getTopLevelNode(block, this.editor);
+
+        return {
+            type: INSERT_ELEMENT,
+            element: newBlock,
+            parent: this.editor,
+            before: before ? topLevelNode : topLevelNode.nextSibling,
+        };
+    }
+
+    /**
+     * Insert a block next to the top-level node of a block (the caret stays where it is)
+     * @param {Element} newBlock - The block to insert
+     * @param {Element} block - The reference block
+     * @param {boolean} before - Insert before the reference instead of after it
+     * @returns {boolean} Whether the insertion was successful
+     */
+    insertTopLevelBlock(newBlock, block, before = false) {
+        if (!this.isBlock(block)) return false;
+
+        return this.stateManager.commit(this.createInsertMutation(newBlock, block, before));
+    }
+
+    /**
+     * Insert an atomic block (e.g. a horizontal rule or an image) at the block holding the caret:
+     * above an empty block, so the caret stays in it to go on typing, otherwise below the block
+     * @param {Element} atomicBlock - The block to insert
+     * @param {Element} block - The block holding the caret
+     * @returns {boolean} Whether the insertion was successful
+     */
+    insertAtomicBlock(atomicBlock, block) {
+        const isEmpty = !DOMOperations.isAtomicBlock(block) && DOMOperations.getTextLength(block) === 0;
+        return this.insertTopLevelBlock(atomicBlock, block, isEmpty);
     }
 
     /**
@@ -419,7 +767,11 @@ class BlockManager {
      */
     mergeBlocks(firstBlock, secondBlock) {
         if (!this.isBlock(firstBlock) || !this.isBlock(secondBlock)) return false;
-        if (firstBlock.nextElementSibling !== secondBlock) return false;
+        if (this.getNextBlock(firstBlock) !== secondBlock) return false;
+
+        // Text never merges into an atomic block, and cells never merge with other blocks
+        if (DOMOperations.isAtomicBlock(firstBlock)) return false;
+        if (DOMOperations.isTableCell(firstBlock) || DOMOperations.isTableCell(secondBlock)) return false;
 
         return this.stateManager.commit({
             type: MERGE_BLOCKS,
@@ -436,8 +788,8 @@ class BlockManager {
     mergeWithPrevious(block) {
         if (!this.isBlock(block)) return false;
 
-        const previousBlock = block.previousElementSibling;
-        if (!previousBlock || !this.isBlock(previousBlock)) return false;
+        const previousBlock = this.getPreviousBlock(block);
+        if (!previousBlock) return false;
 
         return this.mergeBlocks(previousBlock, block);
     }
@@ -474,10 +826,11 @@ class BlockManager {
     isBlockAtPosition(block, position) {
         if (!this.isBlock(block)) return false;
 
+        const blocks = this.getAllBlocks();
         if (position === 'first') {
-            return block === this.editor.firstElementChild;
+            return block === blocks[0];
         } else if (position === 'last') {
-            return block === this.editor.lastElementChild;
+            return block === blocks[blocks.length - 1];
         }
 
         return false;
@@ -490,24 +843,177 @@ class BlockManager {
      * @returns {boolean} Whether the move was successful
      */
     moveBlock(block, beforeBlock = null) {
-        if (!this.isBlock(block)) return false;
+        return this.moveBlocks([block], beforeBlock);
+    }
+
+    /**
+     * Move adjacent blocks to a new position as one undoable step (the caret moves with its block)
+     * @param {Element[]} blocks - Adjacent blocks to move (a cell moves its whole table)
+     * @param {Element} beforeBlock - The block to insert before (null for end)
+     * @returns {boolean} Whether the move was successful
+     */
+    moveBlocks(blocks, beforeBlock = null) {
+        if (blocks.length === 0 || !blocks.every(block => this.isBlock(block))) return false;
         if (beforeBlock && !this.isBlock(beforeBlock)) return false;
 
-        // Apply both mutations
-        // Note: In a real implementation, this might be a single composite mutation
-        if (this.stateManager.commit({
-            type: REMOVE_ELEMENT,
-            element: block,
-        })) {
-            return this.stateManager.commit({
-                type: INSERT_ELEMENT,
-                element: block,
-                parent: this.editor,
-                before: beforeBlock,
-            });
+        const mutation = this.createMoveMutation(blocks, beforeBlock);
+        if (!mutation) return false;
+
+        return this.stateManager.commit(mutation);
+    }
+
+    /**
+     * Create a mutation moving adjacent blocks to a new position (e.g. part of a composite)
+     * Blocks keep their list type (an item dropped into another list splits it); tables move whole,
+     * and blocks only go before or after a table, never between its cells
+     * @param {Element[]} blocks - Adjacent blocks to move
+     * @param {Element} beforeBlock - The block to insert before (null for end)
+     * @returns {Object|null} MOVE_BLOCKS mutation, or null if the blocks aren't adjacent or stay where they are
+     */
+    createMoveMutation(blocks, beforeBlock = null) {
+        const allBlocks = this.getAllBlocks();
+        const moved = new Set(blocks.flatMap(block => this.getBlockUnit(block)));
+        const target = beforeBlock ? this.getBlockUnit(beforeBlock)[0] : null;
+        if (moved.has(target)) return null;
+
+        const span = this.getBlockSpan(moved);
+        if (!span) return null;
+        const { fromIndex, count } = span;
+
+        const rest = allBlocks.filter(block => !moved.has(block));
+        const toIndex = target ? rest.indexOf(target) : rest.length;
+        if (toIndex === fromIndex) return null;
+
+        // Take the moved entries out and put them back before the target
+        const entries = DOMOperations.getBlockEntries(this.editor);
+        const movedEntries = entries.filter(({ node }) => moved.has(node));
+        const restEntries = entries.filter(({ node }) => !moved.has(node));
+        const insertAt = target ? restEntries.findIndex(({ node }) => node === target) : restEntries.length;
+        restEntries.splice(insertAt, 0, ...movedEntries);
+
+        return {
+            type: MOVE_BLOCKS,
+            layout: DOMOperations.buildBlockLayout(this.editor, restEntries),
+            fromIndex,
+            count,
+            toIndex,
+        };
+    }
+
+    /**
+     * Move adjacent blocks up past the block before them (a whole table, when it is one)
+     * @param {Element[]} blocks - Adjacent blocks to move
+     * @returns {boolean} Whether the blocks were moved (false at the start of the document)
+     */
+    moveBlocksUp(blocks) {
+        const span = this.getBlockSpan(new Set(blocks.flatMap(block => this.getBlockUnit(block))));
+        if (!span || span.fromIndex === 0) return false;
+
+        const previousBlock = this.getAllBlocks()[span.fromIndex - 1];
+        return this.moveBlocks(blocks, this.getBlockUnit(previousBlock)[0]);
+    }
+
+    /**
+     * Move adjacent blocks down past the block after them (a whole table, when it is one)
+     * @param {Element[]} blocks - Adjacent blocks to move
+     * @returns {boolean} Whether the blocks were moved (false at the end of the document)
+     */
+    moveBlocksDown(blocks) {
+        const span = this.getBlockSpan(new Set(blocks.flatMap(block => this.getBlockUnit(block))));
+        if (!span) return false;
+
+        const allBlocks = this.getAllBlocks();
+        const nextBlock = allBlocks[span.fromIndex + span.count];
+        if (!nextBlock) return false;
+
+        const nextUnit = this.getBlockUnit(nextBlock);
+        return this.moveBlocks(blocks, allBlocks[allBlocks.indexOf(nextUnit[nextUnit.length - 1]) + 1] || null);
+    }
+
+    /**
+     * Insert copies of adjacent blocks after them as one undoable step (the caret goes to the copies)
+     * @param {Element[]} blocks - Adjacent blocks to duplicate (a cell duplicates its whole table)
+     * @returns {boolean} Whether the blocks were duplicated
+     */
+    duplicateBlocks(blocks) {
+        if (blocks.length === 0 || !blocks.every(block => this.isBlock(block))) return false;
+
+        const mutation = this.createDuplicateMutation(blocks);
+        if (!mutation) return false;
+
+        return this.stateManager.commit(mutation);
+    }
+
+    /**
+     * Create a mutation inserting copies of adjacent blocks after them (e.g. part of a composite)
+     * Copied items join the list of their originals; a copied table follows the table
+     * @param {Element[]} blocks - Adjacent blocks to duplicate
+     * @returns {Object|null} DUPLICATE_BLOCKS mutation, or null if the blocks aren't adjacent
+     */
+    createDuplicateMutation(blocks) {
+        const duplicated = new Set(blocks.flatMap(block => this.getBlockUnit(block)));
+        const span = this.getBlockSpan(duplicated);
+        if (!span) return null;
+        const { fromIndex, count } = span;
+
+        // Copies are built now, so replaying the mutation places the same elements
+        const entries = DOMOperations.getBlockEntries(this.editor);
+        const copies = [];
+        let table = null;
+        let tableCopy = null;
+        let cellCopies = [];
+        for (const entry of entries.filter(({ node }) => duplicated.has(node))) {
+            if (!entry.table) {
+                copies.push({ node: entry.node.cloneNode(true), listType: entry.listType, container: null });
+                continue;
+            }
+
+            // Cells come from one copy of their table, in the same order
+            if (entry.table !== table) {
+                table = entry.table;
+                tableCopy = table.cloneNode(true);
+                cellCopies = DOMOperations.getBlocks(tableCopy);
+            }
+            const cell = cellCopies.shift();
+            copies.push({ node: cell, listType: null, container: cell.parentNode, table: tableCopy });
         }
 
-        return false;
+        const lastBlock = this.getAllBlocks()[fromIndex + count - 1];
+        entries.splice(entries.findIndex(({ node }) => node === lastBlock) + 1, 0, ...copies);
+
+        return {
+            type: DUPLICATE_BLOCKS,
+            layout: DOMOperations.buildBlockLayout(this.editor, entries),
+            fromIndex,
+            count,
+        };
+    }
+
+    /**
+     * Get the position of a set of blocks, if they are adjacent
+     * @private
+     * @param {Set<Element>} blocks - Blocks (e.g. whole units, see getBlockUnit)
+     * @returns {Object|null} {fromIndex, count}, or null if the blocks are missing or not adjacent
+     */
+    getBlockSpan(blocks) {
+        const indices = this.getAllBlocks()
+            .map((block, index) => (blocks.has(block) ? index : -1))
+            .filter(index => index > -1);
+        const count = indices.length;
+        if (count === 0 || indices[count - 1] - indices[0] + 1 !== count) return null;
+
+        return { fromIndex: indices[0], count };
+    }
+
+    /**
+     * Get the blocks that move together with a block: the cells of its table, or the block alone
+     * @param {Element} block - The block
+     * @returns {Element[]} Blocks in document order
+     */
+    getBlockUnit(block) {
+        if (!DOMOperations.isTableCell(block)) return [block];
+
+        return DOMOperations.getBlocks(DOMOperations.getTopLevelNode(block, this.editor));
     }
 }
 
@@ -0,0 +1,189 @@
+import DOMOperations from './dom-operations.js';
+import ImageManager from './image-manager.js';
+import TableManager from './table-manager.js';
+
+/**
+ * Block Types - Registry of the block tags the document model accepts
+ *
+ * Built-in blocks are paragraphs, headings, list items (and task items), quotes, callouts, code blocks, horizontal rules, images and table cells. Plugins declare more (see Editor.use):
+ *
+ * {
+ *     tag: 'ASIDE',
+ *     sourceTags: ['ASIDE'], // Pasted HTML elements read as this block (see HTMLSanitizer)
+ *     serialize(element, json) {}, // Add state to the JSON block (data-* attributes are kept already)
+ *     deserialize(json, element) {}, // Restore that state on the new element
+ *     toMarkdown(json, text) { return `> ${text}`; }, // Markdown line (text is the inline Markdown)
+ * }
+ *
+ * The registry is shared by all editors of the page, like the document model itself; an editor
+ * unregisters its plugins' block types when it is destroyed.
+ */
+const blockTypes = new Map(); // Tag to its registrations, the last one in effect
+
+/**
+ * Callout variants (data-variant of ASIDE blocks; the first is the default)
+ */
+const CALLOUT_VARIANTS = ['info', 'warning', 'danger'];
+
+class BlockTypes {
+    /**
+     * Register a block type (a later registration of the same tag replaces it until it is unregistered)
+     * @param {Object} spec - Block type {tag, sourceTags?, serialize?, deserialize?, toMarkdown?}
+     * @returns {Object} The registration (see unregister)
+     */
+    static register(spec) {
+        if (!spec || typeof spec.tag !== 'string' || !/^[A-Z][A-Z0-9]*$/i.test(spec.tag)) {
+            throw new Error('Block type must have a tag name');
+        }
+        const tag = spec.tag.toUpperCase();
+        const sourceTags = (spec.sourceTags || []).map(sourceTag => sourceTag.toUpperCase());
+        const registration = { ...spec, tag, sourceTags };
+
+        if (!blockTypes.has(tag)) {
+            blockTypes.set(tag, []);
+        }
+        blockTypes.get(tag).push(registration);
+        return registration;
+    }
+
+    /**
+     * Remove a registration; the registration of the tag before it (if any) is in effect again
+     * @param {Object} registration - What register returned
+     */
+    static unregister(registration) {
+        const registrations = registration && blockTypes.get(registration.tag);
+        if (!registrations) return;
+
+        const index = registrations.indexOf(registration);
+        if (index > -1) {
+            registrations.splice(index, 1);
+        }
+        if (registrations.length === 0) {
+            blockTypes.delete(registration.tag);
+        }
+    }
+
+    /**
+     * Get a registered block type
+     * @param {string} tag - Block tag
+     * @returns {Object|null} Block type spec
+     */
+    static get(tag) {
+        const registrations = blockTypes.get(tag);
+        return registrations ? registrations[registrations.length - 1] : null;
+    }
+
+    /**
+     * Check whether a block tag is registered
+     * @param {string} tag - Block tag
+     */
+    static has(tag) {
+        return blockTypes.has(tag);
+    }
+
+    /**
+     * Get the block tag that reads a pasted source element (declared in sourceTags)
+     * @param {string} sourceTag - Source element tag (uppercase)
+     * @returns {string|null} Block tag
+     */
+    static getTagForSource(sourceTag) {
+        for (const tag of blockTypes.keys()) {
+            if (this.get(tag).sourceTags.includes(sourceTag)) return tag;
+        }
+        return null;
+    }
+}
+
+['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE'].forEach(tag => BlockTypes.register({ tag }));
+
+// Task items are list items with a checked state, 'true' or 'false' (see ListManager)
+BlockTypes.register({
+    tag: 'LI',
+    serialize(element, json) {
+        if (element.hasAttribute('data-checked')) {
+            json.attrs = { ...json.attrs, 'data-checked': element.getAttribute('data-checked') === 'true' ? 'true' : 'false' };
+        }
+    },
+    deserialize(json, element) {
+        if (element.hasAttribute('data-checked')) {
+            element.setAttribute('data-checked', element.getAttribute('data-checked') === 'true' ? 'true' : 'false');
+        }
+    },
+});
+
+// Callouts always have a known variant
+BlockTypes.register({
+    tag: 'ASIDE',
+    serialize(element, json) {
+        const variant = element.getAttribute('data-variant');
+        json.attrs = { ...json.attrs, 'data-variant': CALLOUT_VARIANTS.includes(variant) ? variant : CALLOUT_VARIANTS[0] };
+    },
+    deserialize(json, element) {
+        if (!CALLOUT_VARIANTS.includes(element.getAttribute('data-variant'))) {
+            element.setAttribute('data-variant', CALLOUT_VARIANTS[0]);
+        }
+    },
+});
+
+// Code blocks are plain text with '\n' line breaks (see CodeManager); the language is data-language
+BlockTypes.register({
+    tag: 'PRE',
+    serialize(element, json) {
+        const text = json.content.map(run => run.text).join('');
+        json.content = text ? [{ text }] : [];
+    },
+    deserialize(json, element) {
+        const text = (Array.isArray(json.content) ? json.content : [])
+            .map(run => (run && typeof run.text === 'string' ? run.text : ''))
+            .join('');
+
+        DOMOperations.clearBlock(element);
+        if (text) element.appendChild(DOMOperations.createTextNode(text));
+        DOMOperations.normalizeBlock(element);
+    },
+});
+
+// Horizontal rules are atomic blocks without content (see DOMOperations.atomicBlockTags)
+BlockTypes.register({
+    tag: 'HR',
+    serialize(element, json) {
+        json.content = [];
+    },
+    deserialize(json, element) {
+        DOMOperations.clearBlock(element);
+    },
+});
+
+// Images are atomic blocks drawn from their data attributes; the caption is their content (see ImageManager)
+BlockTypes.register({
+    tag: 'FIGURE',
+    serialize(element, json) {
+        const { caption } = ImageManager.getImage(element);
+        json.content = caption ? [{ text: caption }] : [];
+    },
+    deserialize(json, element) {
+        const caption = (Array.isArray(json.content) ? json.content : [])
+            .map(run => (run && typeof run.text === 'string' ? run.text : ''))
+            .join('');
+
+        ImageManager.renderImage(element, { ...ImageManager.getImage(element), caption });
+    },
+});
+
+// Table cells keep their grid position and spans in json.cell; consecutive cells build a table (see DocumentModel)
+['TD', 'TH'].forEach(tag => BlockTypes.register({
+    tag,
+    serialize(element, json) {
+        json.cell = TableManager.getCellPosition(element);
+    },
+    deserialize(json, element) {
+        const cell = json.cell && typeof json.cell === 'object' ? json.cell : {};
+        TableManager.setSpan(element, {
+            colspan: parseInt(cell.colspan, 10) || 1,
+            rowspan: parseInt(cell.rowspan, 10) || 1,
+        });
+    },
+}));
+
+export { CALLOUT_VARIANTS };
+export default BlockTypes;
\ No newline at end of file
@@ -0,0 +1,266 @@
+import DOMOperations from './dom-operations.js';
+import Carets from './carets.js';
+
+/**
+ * Gap (px) between the toolbar and the selection
+ */
+const OFFSET = 8;
+
+/**
+ * Minimum distance (px) kept from the viewport edges
+ */
+const VIEWPORT_MARGIN = 4;
+
+/**
+ * Bubble Toolbar - Floating toolbar above a non-collapsed selection
+ *
+ * Shows the inline marks, link, block type and list controls of the bottom toolbar next to
+ * the selection. Positioned from the range's client rects (HistoryManager.cachedSelectionRect
+ * when the range has none, e.g. while the DOM is being replaced); follows scrolling and
+ * resizing, and stays hidden during IME composition.
+ */
+class BubbleToolbar {
+    /**
+     * @param {Editor} editor - Editor the buttons act on
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.isComposing = false;
+
+        this.createToolbar();
+
+        this.update = this.update.bind(this);
+        this.hide = this.hide.bind(this);
+        this.onCompositionStart = this.onCompositionStart.bind(this);
+        this.onCompositionEnd = this.onCompositionEnd.bind(this);
+        this.reposition = this.reposition.bind(this);
+
+        this.editor.on('selectionchange', this.update);
+        this.editor.on('change', this.update);
+        this.editor.on('blur', this.hide);
+        this.editor.on('compositionstart', this.onCompositionStart);
+        this.editor.on('compositionend', this.onCompositionEnd);
+
+        // Capture scrolls of any scrolling ancestor, not only the window
+        window.addEventListener('scroll', this.reposition, true);
+        window.addEventListener('resize', this.reposition);
+    }
+
+    /**
+     * Create toolbar elements
+     */
+    createToolbar() {
+        this.toolbar = DOMOperations.createElement('div');
+        this.toolbar.className = 'bubble-toolbar';
+        this.toolbar.setAttribute('role', 'toolbar');
+        this.toolbar.hidden = true;
+
+        // Inline marks and link
+        const inlineGroup = DOMOperations.createElement('div');
+        inlineGroup.className = 'toolbar-group';
+
+        this.inlineButtons = [
+            { tag: 'STRONG', label: 'B', title: 'Bold' },
+            { tag: 'EM', label: 'I', title: 'Italic' },
+            { tag: 'U', label: 'U', title: 'Underline' },
+            { tag: 'S', label: 'S', title: 'Strikethrough' },
+            { tag: 'CODE', label: '</>', title: 'Inline code' },
+        ].map(({ tag, label, title }) => {
+            const btn = this.createButton(label, title, () => this.editor.toggleInlineFormat(tag));
+            btn.dataset.mark = tag;
+            inlineGroup.appendChild(btn);
+            return btn;
+        });
+
+        this.linkButton = this.createButton('Link', 'Link', () => {
+            this.hide();
+            this.editor.editLink();
+        });
+        inlineGroup.appendChild(this.linkButton);
+
+        // Block type and lists
+        const blockGroup = DOMOperations.createElement('div');
+        blockGroup.className = 'toolbar-group';
+
+        this.formatButtons = [
+            { tag: 'P', label: 'P', title: 'Text' },
+            { tag: 'H1', label: 'H1', title: 'Heading 1' },
+            { tag: 'H2', label: 'H2', title: 'Heading 2' },
+            { tag: 'H3', label: 'H3', title: 'Heading 3' },
+            { tag: 'BLOCKQUOTE', label: '❝', title: 'Quote' },
+            { tag: 'ASIDE', label: 'ⓘ', title: 'Callout' },
+        ].map(({ tag, label, title }) => {
+            const btn = this.createButton(label, title, () => this.editor.formatCurrentBlock(tag));
+            btn.dataset.format = tag;
+            blockGroup.appendChild(btn);
+            return btn;
+        });
+
+        this.listButtons = [
+            { type: 'UL', label: '•', title: 'Bulleted list' },
+            { type: 'OL', label: '1.', title: 'Numbered list' },
+            { type: 'TASK', label: '☐', title: 'Task list' },
+        ].map(({ type, label, title }) => {
+            const btn = this.createButton(label, title, () => this.editor.toggleList(type));
+            btn.dataset.list = type;
+            blockGroup.appendChild(btn);
+            return btn;
+        });
+
+        this.toolbar.appendChild(inlineGroup);
+        this.toolbar.appendChild(blockGroup);
+        document.body.appendChild(this.toolbar);
+    }
+
+    /**
+     * Create a toolbar button that does not steal the editor selection
+     * @private
+     */
+    createButton(label, title, onClick) {
+        const btn = DOMOperations.createElement('button');
+        btn.className = 'toolbar-btn';
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    /**
+     * Whether the toolbar is shown
+     */
+    isVisible() {
+        return !this.toolbar.hidden;
+    }
+
+    /**
+     * Show the toolbar for a non-collapsed selection in the editor, hide it otherwise
+     */
+    update() {
+        const range = Carets.getCurrentRange();
+        if (this.isComposing || !range || range.collapsed || !Carets.isSelectionInEditor(this.editor.element)) {
+            this.hide();
+            return;
+        }
+
+        const block = this.editor.blockManager.getBlockForNode(range.startContainer);
+        if (!block) {
+            this.hide();
+            return;
+        }
+
+        this.updateState(block);
+        this.toolbar.hidden = false;
+        this.reposition();
+    }
+
+    /**
+     * Mark the buttons active for the selection
+     * @private
+     */
+    updateState(block) {
+        const { inlineManager, linkManager, listManager } = this.editor;
+        const listType = listManager.getItemType(block);
+
+        this.inlineButtons.forEach(btn => {
+            btn.classList.toggle('active', inlineManager.isFormatActive(btn.dataset.mark));
+        });
+        this.linkButton.classList.toggle('active', linkManager.getLinkAtSelection() !== null);
+        this.formatButtons.forEach(btn => {
+            btn.classList.toggle('active', !listType && block.tagName === btn.dataset.format);
+        });
+        this.listButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.list === listType);
+        });
+    }
+
+    /**
+     * Get the rect to anchor to: the first line of the selection, spanning its full width
+     * @private
+     * @returns {Object|null} {top, bottom, left, right} in viewport coordinates
+     */
+    getSelectionRect() {
+        const range = Carets.getCurrentRange();
+        const rects = range ? Array.from(range.getClientRects()).filter(rect => rect.width > 0 || rect.height > 0) : [];
+
+        if (rects.length === 0) {
+            return this.editor.historyManager.cachedSelectionRect;
+        }
+
+        const bounds = range.getBoundingClientRect();
+        return { top: rects[0].top, bottom: rects[0].bottom, left: bounds.left, right: bounds.right };
+    }
+
+    /**
+     * Place the toolbar centered above the selection (below it when there is no room above)
+     */
+    reposition() {
+        if (!this.isVisible()) return;
+
+        const rect = this.getSelectionRect();
+        if (!rect) {
+            this.hide();
+            return;
+        }
+
+        const width = this.toolbar.offsetWidth;
+        const height = this.toolbar.offsetHeight;
+
+        let top = rect.top - height - OFFSET;
+        if (top < VIEWPORT_MARGIN) {
+            top = rect.bottom + OFFSET;
+        }
+
+        const center = (rect.left + rect.right) / 2;
+        const maxLeft = window.innerWidth - width - VIEWPORT_MARGIN;
+        const left = Math.max(VIEWPORT_MARGIN, Math.min(center - width / 2, maxLeft));
+
+        this.toolbar.style.top = top + 'px';
+        this.toolbar.style.left = left + 'px';
+    }
+
+    /**
+     * Hide the toolbar
+     */
+    hide() {
+        this.toolbar.hidden = true;
+    }
+
+    /**
+     * Hide while an IME composes (the candidate window sits at the selection)
+     * @private
+     */
+    onCompositionStart() {
+        this.isComposing = true;
+        this.hide();
+    }
+
+    /**
+     * Show again once composition ended
+     * @private
+     */
+    onCompositionEnd() {
+        this.isComposing = false;
+        this.update();
+    }
+
+    /**
+     * Destroy the toolbar
+     */
+    destroy() {
+        this.editor.off('selectionchange', this.update);
+        this.editor.off('change', this.update);
+        this.editor.off('blur', this.hide);
+        this.editor.off('compositionstart', this.onCompositionStart);
+        this.editor.off('compositionend', this.onCompositionEnd);
+        window.removeEventListener('scroll', this.reposition, true);
+        window.removeEventListener('resize', this.reposition);
+
+        if (this.toolbar.parentNode) {
+            this.toolbar.parentNode.removeChild(this.toolbar);
+        }
+    }
+}
+
+export default BubbleToolbar;
\ No newline at end of file
@@ -1,8 +1,12 @@
 import Carets from './carets.js';
+import DOMOperations from './dom-operations.js';
 
 /**
  * Caret State - Represents logical caret position using block indices and text offsets
  * This representation is immune to DOM changes and can be reliably restored
+ * Block indices address blocks in document order (list items count as blocks, see DOMOperations.getBlocks)
+ * Table cells are blocks too: the block index addresses a cell and the offset is the text offset inside it
+ * Atomic blocks (e.g. HR) only take offset 0; a collapsed caret there selects the whole block
  */
 class CaretState {
     constructor(startBlockIndex, startOffset, endBlockIndex = null, endOffset = null) {
@@ -31,7 +35,7 @@ class CaretState {
      * Check if this caret state is valid for the given editor
      */
     isValid(editor) {
-        const blocks = Array.from(editor.children);
+        const blocks = DOMOperations.getBlocks(editor);
 
         // Check start position
         if (this.startBlockIndex < 0 || this.startBlockIndex >= blocks.length) {
@@ -61,17 +65,17 @@ class CaretState {
     }
 
     /**
-     * Get the text length of a block (visible text only)
+     * Get the text length of a block (visible text only; atomic blocks have none)
      */
     getTextLength(block) {
-        return block.textContent.length;
+        return DOMOperations.isAtomicBlock(block) ? 0 : block.textContent.length;
     }
 
     /**
      * Create a fallback caret state when current state is invalid
      */
     createFallback(editor) {
-        const blocks = Array.from(editor.children);
+        const blocks = DOMOperations.getBlocks(editor);
         if (blocks.length === 0) {
             return CaretState.collapsed(0, 0);
         }
@@ -86,6 +90,15 @@ class CaretState {
         return CaretState.collapsed(blockIndex, offset);
     }
 
+    /**
+     * Check if another caret state is at the same position
+     */
+    equals(other) {
+        return !!other &&
+            this.startBlockIndex === other.startBlockIndex && this.startOffset === other.startOffset &&
+            this.endBlockIndex === other.endBlockIndex && this.endOffset === other.endOffset;
+    }
+
     /**
      * Create a copy of this caret state
      */
@@ -127,11 +140,27 @@ class CaretTracker {
             return null;
         }
 
-        let range = selection.getRangeAt(0);
+        return this.captureRangeState(selection.getRangeAt(0));
+    }
+
+    /**
+     * Capture the caret state of a range (e.g. the target range of a beforeinput event)
+     * @param {Range|StaticRange} range - Range to convert
+     * @returns {CaretState|null} Caret state, or null if the range is outside the editor
+     */
+    captureRangeState(range) {
         if (!this.isRangeInEditor(range)) {
             return null;
         }
 
+        // Static ranges can't be cloned
+        if (typeof range.cloneRange !== 'function') {
+            const liveRange = document.createRange();
+            liveRange.setStart(range.startContainer, range.startOffset);
+            liveRange.setEnd(range.endContainer, range.endOffset);
+            range = liveRange;
+        }
+
         // Normalize range to handle special cases (like formatBlock aftermath)
         range = this.normalizeRange(range);
 
@@ -185,25 +214,34 @@ class CaretTracker {
      * Convert logical position to DOM Range
      */
     createRangeFromCaretState(caretState) {
-        const blocks = Array.from(this.editor.children);
+        const blocks = DOMOperations.getBlocks(this.editor);
 
         // Validate block indices
         if (caretState.startBlockIndex >= blocks.length || caretState.startBlockIndex < 0) {
             return null;
         }
 
-        const startPos = this.getDOMPosition(blocks[caretState.startBlockIndex], caretState.startOffset);
+        const startBlock = blocks[caretState.startBlockIndex];
+        const startPos = this.getDOMPosition(startBlock, caretState.startOffset);
         if (!startPos) return null;
 
         const range = document.createRange();
         range.setStart(startPos.node, startPos.offset);
 
         if (caretState.isCollapsed) {
-            range.collapse(true);
+            // A caret in an atomic block selects it
+            if (DOMOperations.isAtomicBlock(startBlock)) {
+                range.setEndAfter(startBlock);
+            } else {
+                range.collapse(true);
+            }
         } else {
             // Validate end block index
             if (caretState.endBlockIndex >= blocks.length || caretState.endBlockIndex < 0) {
                 range.collapse(true);
+            } else if (DOMOperations.isAtomicBlock(blocks[caretState.endBlockIndex])) {
+                // A range reaching an atomic block includes all of it
+                range.setEndAfter(blocks[caretState.endBlockIndex]);
             } else {
                 const endPos = this.getDOMPosition(blocks[caretState.endBlockIndex], caretState.endOffset);
                 if (endPos) {
@@ -221,18 +259,10 @@ class CaretTracker {
      * Get logical position (block index + text offset) from DOM position
      */
     getLogicalPosition(node, offset) {
-        const blocks = Array.from(this.editor.children);
-
-        // Find the containing block
-        let blockElement = node;
-        if (node.nodeType === Node.TEXT_NODE) {
-            blockElement = node.parentElement;
-        }
+        const blocks = DOMOperations.getBlocks(this.editor);
 
-        // Walk up to find the block (direct child of editor)
-        while (blockElement && blockElement.parentNode !== this.editor) {
-            blockElement = blockElement.parentNode;
-        }
+        // Find the containing block (direct child of editor, or list item)
+        const blockElement = DOMOperations.getBlockForNode(node, this.editor);
 
         if (!blockElement) {
             throw new Error('Node not found in editor');
@@ -240,7 +270,7 @@ class CaretTracker {
 
         const blockIndex = blocks.indexOf(blockElement);
         if (blockIndex === -1) {
-            throw new Error('Block not found in editor children');
+            throw new Error('Block not found in editor blocks');
         }
 
         // Calculate text offset within the block
@@ -255,6 +285,11 @@ class CaretTracker {
     getDOMPosition(block, textOffset) {
         if (!block) return null;
 
+        // Atomic blocks have no text: positions are before them
+        if (DOMOperations.isAtomicBlock(block)) {
+            return { node: block.parentNode, offset: Array.prototype.indexOf.call(block.parentNode.childNodes, block) };
+        }
+
         let currentOffset = 0;
         const walker = document.createTreeWalker(
             block,
@@ -342,16 +377,38 @@ class CaretTracker {
         return block.textContent.length;
     }
 
+    /**
+     * Check if a node holds blocks rather than text (the editor, a list container or a table part)
+     */
+    isBlockLevelContainer(node) {
+        return node === this.editor || DOMOperations.isBlockContainer(node);
+    }
+
     /**
      * Normalize range to handle special cases like caret at editor level
-     * Converts |<h1>xxx to <h1>|xxx
+     * Converts |<h1>xxx to <h1>|xxx (also between list items: <ul>|<li>xxx, and into containers: |<ul><li>xxx)
+     * A position right after an atomic block moves into it, so a selected <hr> reads as one position
      */
     normalizeRange(range) {
         const normalizedRange = range.cloneRange();
 
+        // Ends right after an atomic block end in it (checked first, as the next block may follow)
+        const isAfterAtomic = (container, offset) => this.isBlockLevelContainer(container) && offset > 0 &&
+            DOMOperations.isAtomicBlock(container.childNodes[offset - 1]);
+        const endsAfterAtomic = isAfterAtomic(range.endContainer, range.endOffset);
+        if (endsAfterAtomic) {
+            normalizedRange.setEnd(range.endContainer.childNodes[range.endOffset - 1], 0);
+        }
+
+        // A caret after a last atomic block is in it
+        if (isAfterAtomic(range.startContainer, range.startOffset) &&
+            range.startOffset === range.startContainer.childNodes.length) {
+            normalizedRange.setStart(range.startContainer.childNodes[range.startOffset - 1], 0);
+        }
+
         // Fix start position if it's at editor level
-        if (range.startContainer === this.editor && range.startOffset < this.editor.childNodes.length) {
-            const targetNode = this.editor.childNodes[range.startOffset];
+        if (this.isBlockLevelContainer(range.startContainer) && range.startOffset < range.startContainer.childNodes.length) {
+            const targetNode = this.getFirstBlock(range.startContainer.childNodes[range.startOffset]);
             if (targetNode && targetNode.nodeType === Node.ELEMENT_NODE) {
                 // Move caret to start of the block element
                 const firstTextNode = this.getFirstTextNode(targetNode);
@@ -365,14 +422,25 @@ class CaretTracker {
         }
 
         // Fix end position if it's at editor level
-        if (range.endContainer === this.editor && range.endOffset < this.editor.childNodes.length) {
-            const targetNode = this.editor.childNodes[range.endOffset];
-            if (targetNode && targetNode.nodeType === Node.ELEMENT_NODE) {
-                const firstTextNode = this.getFirstTextNode(targetNode);
+        if (!endsAfterAtomic && this.isBlockLevelContainer(range.endContainer) && range.endOffset < range.endContainer.childNodes.length) {
+            const targetNode = range.endContainer.childNodes[range.endOffset];
+            if (DOMOperations.isAtomicBlock(targetNode) && !range.collapsed) {
+                // Ends before an atomic block: at the end of the block before it, leaving it out
+                const blocks = DOMOperations.getBlocks(this.editor);
+                const previousBlock = blocks[blocks.indexOf(targetNode) - 1];
+                if (DOMOperations.isAtomicBlock(previousBlock)) {
+                    normalizedRange.setEnd(previousBlock, 0);
+                } else if (previousBlock) {
+                    const endPos = this.getDOMPosition(previousBlock, previousBlock.textContent.length);
+                    normalizedRange.setEnd(endPos.node, endPos.offset);
+                }
+            } else if (targetNode && targetNode.nodeType === Node.ELEMENT_NODE) {
+                const targetBlock = this.getFirstBlock(targetNode);
+                const firstTextNode = this.getFirstTextNode(targetBlock);
                 if (firstTextNode) {
                     normalizedRange.setEnd(firstTextNode, 0);
                 } else {
-                    normalizedRange.setEnd(targetNode, 0);
+                    normalizedRange.setEnd(targetBlock, 0);
                 }
             }
         }
@@ -385,6 +453,16 @@ class CaretTracker {
         return normalizedRange;
     }
 
+    /**
+     * Get the first block of a container (e.g. the first cell of a table), or the node itself
+     * (the first text node of a container is in a later block when the first one is empty)
+     */
+    getFirstBlock(node) {
+        if (!DOMOperations.isBlockContainer(node)) return node;
+
+        return DOMOperations.getBlocks(node)[0] || node;
+    }
+
     /**
      * Get the first text node in a block
      */
@@ -411,18 +489,10 @@ class CaretTracker {
      * Get block index for a DOM node
      */
     getBlockIndex(node) {
-        let blockElement = node;
-        if (node.nodeType === Node.TEXT_NODE) {
-            blockElement = node.parentElement;
-        }
-
-        while (blockElement && blockElement.parentNode !== this.editor) {
-            blockElement = blockElement.parentNode;
-        }
-
+        const blockElement = DOMOperations.getBlockForNode(node, this.editor);
         if (!blockElement) return -1;
 
-        return Array.from(this.editor.children).indexOf(blockElement);
+        return DOMOperations.getBlocks(this.editor).indexOf(blockElement);
     }
 
 }
@@ -1,4 +1,5 @@
 import { CaretState } from './caret-tracker.js';
+import DOMOperations from './dom-operations.js';
 
 /**
  * Selection utilities - Static methods for selection and range management
@@ -59,17 +60,8 @@ class Carets {
         const range = Carets.getCurrentRange();
         if (!range) return null;
 
-        let block = range.startContainer;
-        if (block.nodeType === Node.TEXT_NODE) {
-            block = block.parentNode;
-        }
-
-        // Find the direct child of editor
-        while (block && block !== editor && block.parentNode !== editor) {
-            block = block.parentNode;
-        }
-
-        return block === editor ? null : block;
+        // Find the block (direct child of editor, or list item)
+        return DOMOperations.getBlockForNode(range.startContainer, editor);
     }
 
     /**
@@ -120,6 +112,54 @@ class Carets {
         // Caret was in earlier block or first block, no change needed
         return caretState;
     }
+
+    /**
+     * Adjust caret state after blocks were moved (the caret stays in its block, at the same offset)
+     * @param {CaretState} caretState - Original caret state
+     * @param {Object} moveMutation - Move mutation: count blocks from fromIndex now start at toIndex
+     * @returns {CaretState} Adjusted caret state
+     */
+    static adjustCaretStateAfterMove(caretState, moveMutation) {
+        const { fromIndex, count, toIndex } = moveMutation;
+
+        const mapIndex = (index) => {
+            if (index >= fromIndex && index < fromIndex + count) {
+                // Moved block
+                return toIndex + index - fromIndex;
+            }
+            // Other blocks close the gap, then make room at the new position
+            const restIndex = index < fromIndex ? index : index - count;
+            return restIndex < toIndex ? restIndex : restIndex + count;
+        };
+
+        const startBlockIndex = mapIndex(caretState.startBlockIndex);
+        const endBlockIndex = mapIndex(caretState.endBlockIndex);
+
+        // A range whose end went before its start (one end moved past the other) collapses to its start
+        if (endBlockIndex < startBlockIndex) {
+            return CaretState.collapsed(startBlockIndex, caretState.startOffset);
+        }
+
+        return CaretState.range(startBlockIndex, caretState.startOffset, endBlockIndex, caretState.endOffset);
+    }
+
+    /**
+     * Adjust caret state after blocks were duplicated (the caret goes to the same offset in the copies)
+     * @param {CaretState} caretState - Original caret state
+     * @param {Object} duplicateMutation - Duplicate mutation: copies of count blocks from fromIndex follow them
+     * @returns {CaretState} Adjusted caret state
+     */
+    static adjustCaretStateAfterDuplicate(caretState, duplicateMutation) {
+        const { fromIndex, count } = duplicateMutation;
+
+        // Copies and later blocks are count blocks further on
+        const mapIndex = (index) => (index < fromIndex ? index : index + count);
+
+        return CaretState.range(
+            mapIndex(caretState.startBlockIndex), caretState.startOffset,
+            mapIndex(caretState.endBlockIndex), caretState.endOffset,
+        );
+    }
 }
 
 export default Carets;
\ No newline at end of file
@@ -0,0 +1,237 @@
+import HTMLSanitizer from './html-sanitizer.js';
+import Markdown from './markdown.js';
+import DocumentModel from './document-model.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Private clipboard flavor holding the selection as a JSON document (exact block types)
+ */
+const JSON_MIME_TYPE = 'application/x-vanilla-editor+json';
+
+/**
+ * Clipboard Manager - Copy, cut and paste between the clipboard and editor blocks
+ */
+class ClipboardManager {
+    constructor(editorElement, caretTracker, contentManager) {
+        this.editor = editorElement;
+        this.caretTracker = caretTracker;
+        this.contentManager = contentManager;
+
+        // Readers tried before the built-in flavors (see addClipboardReader)
+        this.clipboardReaders = [];
+    }
+
+    /**
+     * Add a clipboard reader (e.g. from a plugin), tried before the built-in flavors
+     * @param {Function} reader - (clipboardData) => detached root of blocks, or null to pass
+     */
+    addClipboardReader(reader) {
+        this.clipboardReaders.push(reader);
+    }
+
+    /**
+     * Remove a clipboard reader
+     * @param {Function} reader - Reader to remove
+     */
+    removeClipboardReader(reader) {
+        const index = this.clipboardReaders.indexOf(reader);
+        if (index > -1) {
+            this.clipboardReaders.splice(index, 1);
+        }
+    }
+
+    /**
+     * Convert clipboard data to sanitized blocks
+     * Clipboard readers (plugins) come first, then our JSON flavor, then HTML; plain text is read as Markdown (plain lines become paragraphs)
+     * @param {DataTransfer} clipboardData - Clipboard data of a paste event
+     * @returns {Element|null} Detached root holding the blocks, or null if nothing usable
+     */
+    readClipboard(clipboardData) {
+        if (!clipboardData) return null;
+
+        for (const reader of this.clipboardReaders) {
+            const root = reader(clipboardData);
+            if (root) return root;
+        }
+
+        const json = clipboardData.getData(JSON_MIME_TYPE);
+        if (json) {
+            try {
+                const doc = JSON.parse(json);
+                if (DocumentModel.isValid(doc)) return DocumentModel.toRoot(doc);
+            } catch (error) {
+                console.warn('Failed to read editor clipboard data:', error);
+            }
+        }
+
+        const html = clipboardData.getData('text/html');
+        if (html) {
+            const root = HTMLSanitizer.sanitize(html);
+            if (root.childNodes.length > 0) return root;
+        }
+
+        const text = clipboardData.getData('text/plain');
+        if (text) {
+            return Markdown.parse(text, { lineBlocks: true });
+        }
+
+        return null;
+    }
+
+    /**
+     * Paste clipboard data over the current selection (one undo step)
+     * @param {DataTransfer} clipboardData - Clipboard data of a paste event
+     * @returns {boolean} Whether the paste was successful
+     */
+    paste(clipboardData) {
+        const root = this.readClipboard(clipboardData);
+        if (!root) return false;
+
+        return this.contentManager.insertBlocks(root);
+    }
+
+    /**
+     * Serialize the selected range as a JSON document
+     * Partially selected blocks keep their type with only the selected content
+     * @returns {Object|null} JSON document, or null if the selection is collapsed
+     */
+    getSelectionDocument() {
+        const caretState = this.caretTracker.captureCaretState();
+        if (!caretState || (caretState.isCollapsed && !this.contentManager.isAtomicCaret(caretState))) return null;
+
+        const { startBlockIndex, startOffset, endBlockIndex, endOffset } = caretState;
+        const entries = DOMOperations.getBlockEntries(this.editor)
+            .filter(({ node }) => node.nodeType === Node.ELEMENT_NODE);
+
+        const blocks = [];
+        for (let i = startBlockIndex; i <= endBlockIndex; i++) {
+            const { node: block, listType } = entries[i];
+            const start = i === startBlockIndex ? startOffset : 0;
+            const end = i === endBlockIndex ? endOffset : DOMOperations.getTextLength(block);
+
+            // Selection ending at the start of a block doesn't include it (atomic blocks have no other position)
+            if (i === endBlockIndex && i > startBlockIndex && end === 0 && !DOMOperations.isAtomicBlock(block)) continue;
+
+            const { middleNodes } = DOMOperations.calculateRangeSplitContent(block, start, end);
+            const json = DocumentModel.serializeBlock(block, listType, middleNodes);
+
+            // Pasted blocks are copies, so they don't take the id of the original
+            if (json.attrs && 'id' in json.attrs) {
+                delete json.attrs.id;
+                if (Object.keys(json.attrs).length === 0) delete json.attrs;
+            }
+            blocks.push(json);
+        }
+
+        return { version: DocumentModel.SCHEMA_VERSION, blocks };
+    }
+
+    /**
+     * Write the selection to clipboard data (HTML, plain text and JSON)
+     * @param {DataTransfer} clipboardData - Clipboard data of a copy/cut event
+     * @returns {boolean} Whether anything was written
+     */
+    copy(clipboardData) {
+        if (!clipboardData) return false;
+
+        const doc = this.getSelectionDocument();
+        if (!doc) return false;
+
+        clipboardData.setData('text/html', this.getHTML(doc));
+        clipboardData.setData('text/plain', this.getPlainText(doc));
+        clipboardData.setData(JSON_MIME_TYPE, JSON.stringify(doc));
+        return true;
+    }
+
+    /**
+     * Build the HTML flavor of a JSON document
+     * HTML is rebuilt from the model, so it carries no editor-only attributes; the editor's flat
+     * list items are nested into <ul>/<ol> markup by their data-indent
+     * @private
+     * @param {Object} doc - JSON document
+     * @returns {string} HTML
+     */
+    getHTML(doc) {
+        const root = DocumentModel.toRoot(doc);
+        const isList = node => node.tagName === 'UL' || node.tagName === 'OL';
+
+        // Consecutive containers form one list (toRoot splits them where the list type changes)
+        let container = root.firstElementChild;
+        while (container) {
+            if (!isList(container)) {
+                container = container.nextElementSibling;
+                continue;
+            }
+
+            const containers = [];
+            for (let node = container; node && isList(node); node = node.nextElementSibling) {
+                containers.push(node);
+            }
+            container = containers[containers.length - 1].nextElementSibling;
+
+            // Open lists by level [{list, indent}]
+            const stack = [];
+            containers.forEach(flat => Array.from(flat.children).forEach(item => {
+                const indent = parseInt(item.getAttribute('data-indent'), 10) || 0;
+                item.removeAttribute('data-indent');
+
+                while (stack.length > 0 && stack[stack.length - 1].indent > indent) stack.pop();
+                if (stack.length > 0 && stack[stack.length - 1].indent === indent &&
+                    stack[stack.length - 1].list.tagName !== flat.tagName) stack.pop();
+
+                const top = stack[stack.length - 1];
+                if (top && top.indent === indent) {
+                    top.list.appendChild(item);
+                    return;
+                }
+
+                // A deeper item opens a list inside the item before it
+                const list = DOMOperations.createElement(flat.tagName);
+                if (top) {
+                    top.list.lastElementChild.appendChild(list);
+                } else {
+                    root.insertBefore(list, containers[0]);
+                }
+                list.appendChild(item);
+                stack.push({ list, indent });
+            }));
+
+            containers.forEach(flat => flat.remove());
+        }
+
+        return root.innerHTML;
+    }
+
+    /**
+     * Build the plain text flavor of a JSON document: one line per block, list items keep their
+     * Markdown marker (indentation, bullet or number, task checkbox)
+     * @private
+     * @param {Object} doc - JSON document
+     * @returns {string} Plain text
+     */
+    getPlainText(doc) {
+        const counters = []; // Ordered list numbers per level
+
+        return doc.blocks.map((block, i) => {
+            const text = block.content.map(run => run.text).join('');
+            if (!block.list) return text;
+
+            const marker = Markdown.getListMarker(block, i > 0 ? doc.blocks[i - 1] : null, counters);
+            return `${marker}${Markdown.getTaskCheckbox(block)}${text}`;
+        }).join('\n');
+    }
+
+    /**
+     * Copy the selection and delete it (undoable DELETE_CONTENT)
+     * @param {DataTransfer} clipboardData - Clipboard data of a cut event
+     * @returns {boolean} Whether the cut was successful
+     */
+    cut(clipboardData) {
+        if (!this.copy(clipboardData)) return false;
+
+        return this.contentManager.deleteSelection();
+    }
+}
+
+export { JSON_MIME_TYPE };
+export default ClipboardManager;
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { INSERT_CONTENT, COMPOSITE_MUTATION, SET_ATTRIBUTES, INDENT_LINES } from './mutation-types.js';
+import { CaretState } from './caret-tracker.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Block tag of code blocks
+ */
+const CODE_BLOCK_TAG = 'PRE';
+
+/**
+ * Text inserted by one level of indentation
+ */
+const INDENT_UNIT = '    ';
+
+/**
+ * Accepted language names (e.g. 'js', 'c++', 'objective-c', 'c#')
+ */
+const LANGUAGE_PATTERN = /^[\w#+.-]{1,32}$/;
+
+/**
+ * Code Manager - Handles PRE code blocks
+ *
+ * Code blocks hold plain text whose line breaks are '\n' characters (not <br>), so line starts
+ * are plain text offsets and CaretState math works unchanged. The language is the optional
+ * data-language attribute, kept by DocumentModel like any block data attribute.
+ */
+class CodeManager {
+    constructor(editorElement, stateManager, caretTracker, contentManager) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+        this.contentManager = contentManager;
+        this.registerHandlers();
+    }
+
+    /**
+     * Normalize a language name (null if empty or unsupported)
+     * @param {string|null} language - Language name, e.g. from a Markdown fence or a class
+     * @returns {string|null} Lowercase language name
+     */
+    static normalizeLanguage(language) {
+        const value = typeof language === 'string' ? language.trim().toLowerCase() : '';
+        return LANGUAGE_PATTERN.test(value) ? value : null;
+    }
+
+    /**
+     * Register code-related mutation handlers
+     */
+    registerHandlers() {
+        // Indent lines handler: edits at several line starts, then the selection follows its text
+        this.stateManager.registerHandler(INDENT_LINES, {
+            apply: (mutation) => {
+                for (const subMutation of mutation.mutations) {
+                    this.stateManager.applySilently(subMutation);
+                }
+                this.caretTracker.restoreCaretState(mutation.caretStateAfter);
+            },
+
+            revert: (mutation) => {
+                for (const subMutation of [...mutation.mutations].reverse()) {
+                    this.stateManager.revert(subMutation);
+                }
+            },
+        });
+    }
+
+    /**
+     * Check if a block is a code block
+     * @param {Element} block - The block to check
+     * @returns {boolean} True for PRE blocks
+     */
+    isCodeBlock(block) {
+        return !!block && block.tagName === CODE_BLOCK_TAG;
+    }
+
+    /**
+     * Get the code block holding a whole caret state
+     * @param {CaretState} caretState - Caret or range
+     * @returns {Element|null} The code block, or null if the range is not inside one code block
+     */
+    getCodeBlock(caretState) {
+        if (!caretState || caretState.startBlockIndex !== caretState.endBlockIndex) return null;
+
+        const block = DOMOperations.getBlocks(this.editor)[caretState.startBlockIndex];
+        return this.isCodeBlock(block) ? block : null;
+    }
+
+    /**
+     * Get the language of a code block
+     * @param {Element} block - Code block
+     * @returns {string|null} Language name
+     */
+    getLanguage(block) {
+        return this.isCodeBlock(block) ? block.getAttribute('data-language') : null;
+    }
+
+    /**
+     * Set (or remove with null) the language of a code block
+     * @param {Element} block - Code block
+     * @param {string|null} language - Language name
+     * @returns {boolean} Whether the operation was successful
+     */
+    setLanguage(block, language) {
+        if (!this.isCodeBlock(block)) return false;
+
+        const value = CodeManager.normalizeLanguage(language);
+        if (value === block.getAttribute('data-language')) return false;
+
+        return this.stateManager.commit({
+            type: SET_ATTRIBUTES,
+            element: block,
+            attributes: { 'data-language': value },
+        });
+    }
+
+    /**
+     * Insert a newline (Enter in a code block; typing, so it joins the typing undo step)
+     * @param {CaretState} caretState - Caret or range to replace
+     * @returns {boolean} Whether the insertion was successful
+     */
+    insertNewline(caretState) {
+        if (!this.getCodeBlock(caretState)) return false;
+
+        return this.contentManager.insertText('\n', caretState);
+    }
+
+    /**
+     * Insert text exactly as given (e.g. pasted), replacing a range (one undo step)
+     * @param {string} text - Plain text (line endings are normalized to '\n')
+     * @param {CaretState} caretState - Caret or range inside a code block
+     * @returns {boolean} Whether the insertion was successful
+     */
+    insertText(text, caretState) {
+        const content = text.replace(/\r\n?/g, '\n');
+        if (!content || !this.getCodeBlock(caretState)) return false;
+
+        const mutations = caretState.isCollapsed ? [] : [this.contentManager.createDeleteMutation(caretState)];
+        mutations.push({
+            type: INSERT_CONTENT,
+            caretState: CaretState.collapsed(caretState.startBlockIndex, caretState.startOffset),
+            content,
+        });
+
+        return this.stateManager.commit({
+            type: COMPOSITE_MUTATION,
+            mutations,
+        });
+    }
+
+    /**
+     * Get the start offsets of the lines a range touches
+     * A range ending at the very start of a line doesn't include that line
+     * @private
+     */
+    getLineStarts(text, startOffset, endOffset) {
+        const lineStarts = [text.lastIndexOf('\n', startOffset - 1) + 1];
+
+        let index = text.indexOf('\n', lineStarts[0]);
+        while (index > -1 && index + 1 < endOffset) {
+            lineStarts.push(index + 1);
+            index = text.indexOf('\n', index + 1);
+        }
+
+        return lineStarts;
+    }
+
+    /**
+     * Indent: a caret inserts one indent unit where it is, a range indents every line it touches
+     * @param {CaretState} caretState - Caret or range inside a code block
+     * @returns {boolean} Whether the operation was successful
+     */
+    indent(caretState) {
+        const block = this.getCodeBlock(caretState);
+        if (!block) return false;
+
+        const { startBlockIndex: blockIndex, startOffset, endOffset } = caretState;
+        if (caretState.isCollapsed) {
+            return this.stateManager.commit({
+                type: INSERT_CONTENT,
+                caretState: CaretState.collapsed(blockIndex, startOffset),
+                content: INDENT_UNIT,
+            });
+        }
+
+        const lineStarts = this.getLineStarts(block.textContent, startOffset, endOffset);
+
+        // Positions after a line start move with the text
+        const shift = (offset) => offset + INDENT_UNIT.length * lineStarts.filter(lineStart => lineStart < offset).length;
+
+        // Last line first, so earlier line starts stay valid
+        const mutations = lineStarts.reverse().map(lineStart => ({
+            type: INSERT_CONTENT,
+            caretState: CaretState.collapsed(blockIndex, lineStart),
+            content: INDENT_UNIT,
+        }));
+
+        return this.stateManager.commit({
+            type: INDENT_LINES,
+            mutations,
+            caretStateAfter: CaretState.range(blockIndex, shift(startOffset), blockIndex, shift(endOffset)),
+        });
+    }
+
+    /**
+     * Outdent every line a caret or range touches by up to one indent unit (or one tab)
+     * @param {CaretState} caretState - Caret or range inside a code block
+     * @returns {boolean} Whether anything was outdented
+     */
+    outdent(caretState) {
+        const block = this.getCodeBlock(caretState);
+        if (!block) return false;
+
+        const { startBlockIndex: blockIndex, startOffset, endOffset } = caretState;
+        const text = block.textContent;
+
+        const removals = this.getLineStarts(text, startOffset, endOffset)
+            .map(lineStart => {
+                const indent = /^(\t| +)/.exec(text.slice(lineStart, lineStart + INDENT_UNIT.length));
+                return { lineStart, length: indent ? indent[1].length : 0 };
+            })
+            .filter(({ length }) => length > 0);
+        if (removals.length === 0) return false;
+
+        // Positions inside removed indentation go to the line start
+        const shift = (offset) => offset - removals.reduce(
+            (sum, { lineStart, length }) => sum + Math.min(length, Math.max(0, offset - lineStart)), 0);
+
+        const mutations = removals.reverse().map(({ lineStart, length }) =>
+            this.contentManager.createDeleteMutation(CaretState.range(blockIndex, lineStart, blockIndex, lineStart + length)));
+
+        return this.stateManager.commit({
+            type: INDENT_LINES,
+            mutations,
+            caretStateAfter: CaretState.range(blockIndex, shift(startOffset), blockIndex, shift(endOffset)),
+        });
+    }
+}
+
+export { CODE_BLOCK_TAG, INDENT_UNIT };
+export default CodeManager;
\ No newline at end of file
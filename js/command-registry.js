@@ -0,0 +1,70 @@
+/**
+ * Command Registry - Named editor commands for key bindings, toolbars and plugins
+ *
+ * A command name may carry an argument after a colon: 'formatBlock:H2' runs the
+ * 'formatBlock' command with 'H2'. Commands return whether they handled the action;
+ * false lets a key event through to the browser (see Keymap).
+ */
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    /**
+     * Register a command (a later registration of the same name replaces it)
+     * @param {string} name - Command name (without argument)
+     * @param {Function} run - (arg, event) => boolean; arg is the part after the colon (or null),
+     *     event the keyboard event when run from a key binding
+     */
+    register(name, run) {
+        if (typeof run !== 'function') {
+            throw new Error(`Command must be a function: ${name}`);
+        }
+        this.commands.set(name, run);
+    }
+
+    /**
+     * Remove a command
+     * @param {string} name - Command name
+     */
+    unregister(name) {
+        this.commands.delete(name);
+    }
+
+    /**
+     * Split a command into its name and argument
+     * @private
+     */
+    parse(command) {
+        const index = command.indexOf(':');
+        return index === -1
+            ? { name: command, arg: null }
+            : { name: command.slice(0, index), arg: command.slice(index + 1) };
+    }
+
+    /**
+     * Check whether a command (with or without argument) is registered
+     * @param {string} command - Command, e.g. 'formatBlock:H2'
+     */
+    has(command) {
+        return this.commands.has(this.parse(command).name);
+    }
+
+    /**
+     * Run a command
+     * @param {string} command - Command, e.g. 'formatBlock:H2'
+     * @param {KeyboardEvent|null} event - Key event the command runs for
+     * @returns {boolean} Whether the command handled the action
+     */
+    execute(command, event = null) {
+        const { name, arg } = this.parse(command);
+        const run = this.commands.get(name);
+        if (!run) {
+            console.warn(`Unknown command: ${command}`);
+            return false;
+        }
+        return run(arg, event) !== false;
+    }
+}
+
+export default CommandRegistry;
\ No newline at end of file
@@ -1,8 +1,34 @@
-import { DELETE_CONTENT, INSERT_CONTENT } from './mutation-types.js';
+import { DELETE_CONTENT, INSERT_CONTENT, INSERT_BLOCKS, COMPOSITE_MUTATION } from './mutation-types.js';
 import { CaretState } from './caret-tracker.js';
 import Carets from './carets.js';
 import DOMOperations from './dom-operations.js';
 
+/**
+ * Get the length of the character (grapheme cluster) next to an offset
+ * @param {string} text - Block text
+ * @param {number} offset - Text offset
+ * @param {string} direction - 'backward' or 'forward'
+ * @returns {number} Length in UTF-16 code units (0 at the text boundary)
+ */
+function getCharacterLength(text, offset, direction) {
+    const backward = direction === 'backward';
+    if (backward ? offset <= 0 : offset >= text.length) return 0;
+
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segment = new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+            .segment(text)
+            .containing(backward ? offset - 1 : offset);
+        return backward ? offset - segment.index : segment.index + segment.segment.length - offset;
+    }
+
+    // Without segmentation, keep surrogate pairs together
+    const codePoint = text.codePointAt(backward ? Math.max(offset - 2, 0) : offset);
+    if (backward) {
+        return offset >= 2 && codePoint > 0xFFFF ? 2 : 1;
+    }
+    return codePoint > 0xFFFF ? 2 : 1;
+}
+
 /**
  * Content Manager - Handles text content and range operations
  */
@@ -57,7 +83,7 @@ class ContentManager {
         this.stateManager.registerHandler(DELETE_CONTENT, {
             apply: (mutation) => {
                 const { rangeCaretState } = mutation;
-                const blocks = Array.from(this.editor.children);
+                const blocks = DOMOperations.getBlocks(this.editor);
                 
                 const startBlockIndex = rangeCaretState.startBlockIndex;
                 const endBlockIndex = rangeCaretState.endBlockIndex;
@@ -81,112 +107,160 @@ class ContentManager {
                     mutation.domCache = {};
                 }
                 
-                if (startBlockIndex === endBlockIndex) {
+                const isAtomicRange = DOMOperations.isAtomicBlock(startBlock) || DOMOperations.isAtomicBlock(endBlock);
+                const rangeBlocks = blocks.slice(startBlockIndex, endBlockIndex + 1);
+
+                if (startBlockIndex === endBlockIndex && !isAtomicRange) {
                     // Single block deletion - extract content using DOMOperations
-                    const extractData = DOMOperations.prepareExtractContent(startBlock, startOffset, endOffset, mutation.domCache);
+                    const extractData = DOMOperations.prepareExtractContent(
+                        startBlock, startOffset, endOffset, mutation.domCache, !!mutation.keepBoundary);
                     mutation.extractData = extractData;
                     mutation.deletedBlocks = [];
                     mutation.mergeOffset = startOffset;
                     
                     // Apply content extraction
                     DOMOperations.applyExtractContent(startBlock, mutation.domCache);
+                } else if (rangeBlocks.some(block => DOMOperations.isTableCell(block))) {
+                    // A range reaching into a table clears text instead of merging, so tables keep their structure:
+                    // cells and the range ends lose the selected part, blocks in between (and atomic ends) are removed
+                    mutation.clearedBlocks = [];
+                    mutation.deletedBlocks = [];
+                    rangeBlocks.forEach((block, i) => {
+                        const index = startBlockIndex + i;
+                        const isEnd = index === startBlockIndex || index === endBlockIndex;
+
+                        if (DOMOperations.isAtomicBlock(block) || !(isEnd || DOMOperations.isTableCell(block))) {
+                            mutation.deletedBlocks.push({ element: block, detachRecord: null });
+                            return;
+                        }
+
+                        const from = index === startBlockIndex ? startOffset : 0;
+                        const to = index === endBlockIndex ? endOffset : DOMOperations.getTextLength(block);
+                        if (from >= to) return;
+
+                        // Each block extracts with its own cache (the cache keys are fixed)
+                        const cacheKey = `clearedBlock_${index}`;
+                        const cache = mutation.domCache[cacheKey] || (mutation.domCache[cacheKey] = {});
+                        DOMOperations.prepareExtractContent(block, from, to, cache);
+                        mutation.clearedBlocks.push({ element: block, cache });
+                    });
+
+                    mutation.clearedBlocks.forEach(({ element, cache }) => DOMOperations.applyExtractContent(element, cache));
+                    mutation.deletedBlocks.forEach(blockInfo => {
+                        blockInfo.detachRecord = DOMOperations.detachBlock(blockInfo.element);
+                    });
+
+                    // The caret stays at the range start (the next block's start when an atomic start was removed)
+                    mutation.mergeOffset = DOMOperations.isAtomicBlock(startBlock) ? 0 : startOffset;
                 } else {
                     // Multi-block deletion - complex merge operation
+                    // The blocks merge into a target block: the start block, the end block when the start
+                    // is atomic (it has no text to keep), or a new paragraph when both ends are atomic
+                    const targetBlock = !DOMOperations.isAtomicBlock(startBlock) ? startBlock
+                        : !DOMOperations.isAtomicBlock(endBlock) ? endBlock
+                        : DOMOperations.getCachedNode('replacement', () => DOMOperations.createElement('p'), mutation.domCache);
+                    mutation.targetBlock = targetBlock;
+                    mutation.insertedTarget = targetBlock !== startBlock && targetBlock !== endBlock;
+
+                    // Capture original content of the target block
+                    if (!mutation.insertedTarget) {
+                        DOMOperations.captureBlockContent(targetBlock, 'originalTarget', mutation.domCache);
+                    }
                     
-                    // Capture original content of start and end blocks
-                    DOMOperations.captureBlockContent(startBlock, 'originalStart', mutation.domCache);
-                    DOMOperations.captureBlockContent(endBlock, 'originalEnd', mutation.domCache);
-                    
-                    // Store intermediate blocks for revert (capture their content properly)
+                    // Store the other blocks of the range for revert (capture their content properly)
                     mutation.deletedBlocks = [];
-                    for (let i = startBlockIndex + 1; i < endBlockIndex; i++) {
+                    for (let i = startBlockIndex; i <= endBlockIndex; i++) {
                         const block = blocks[i];
-                        const blockCacheKey = `intermediateBlock_${i}`;
+                        if (block === targetBlock) continue;
+
+                        const blockCacheKey = `deletedBlock_${i}`;
                         DOMOperations.captureBlockContent(block, blockCacheKey, mutation.domCache);
                         mutation.deletedBlocks.push({
                             element: block,
                             cacheKey: blockCacheKey,
-                            tagName: block.tagName
+                            tagName: block.tagName,
+                            detachRecord: null
                         });
                     }
                     
-                    // Store endBlock for reuse in revert
-                    mutation.removedEndBlock = endBlock;
-                    
-                    // Calculate merge offset (start block remaining length)
-                    mutation.mergeOffset = startOffset;
+                    // Calculate merge offset (start block remaining length, none left of an atomic start)
+                    mutation.mergeOffset = targetBlock === startBlock ? startOffset : 0;
                     
                     // Create merged content: start block (0 to startOffset) + end block (endOffset to end)
                     const createMergedFn = () => {
                         const mergedNodes = [];
                         
                         // Get content BEFORE the selection (0 to startOffset) from start block
-                        const beforeSplit = DOMOperations.calculateSplitContent(startBlock, startOffset);
-                        mergedNodes.push(...beforeSplit.beforeNodes);
+                        if (!DOMOperations.isAtomicBlock(startBlock)) {
+                            const beforeSplit = DOMOperations.calculateSplitContent(startBlock, startOffset);
+                            mergedNodes.push(...beforeSplit.beforeNodes);
+                        }
                         
                         // Get content AFTER the selection (endOffset to end) from end block  
-                        const afterSplit = DOMOperations.calculateSplitContent(endBlock, endOffset);
-                        mergedNodes.push(...afterSplit.afterNodes);
+                        if (!DOMOperations.isAtomicBlock(endBlock)) {
+                            const afterSplit = DOMOperations.calculateSplitContent(endBlock, endOffset);
+                            mergedNodes.push(...afterSplit.afterNodes);
+                        }
                         
-                        return mergedNodes;
+                        return DOMOperations.joinAdjacentInline(mergedNodes);
                     };
                     
                     DOMOperations.getCachedNodes('merged', createMergedFn, mutation.domCache);
+
+                    // A new target block takes the place of the range
+                    if (mutation.insertedTarget) {
+                        startBlock.parentNode.insertBefore(targetBlock, startBlock);
+                    }
                     
-                    // Remove intermediate blocks
+                    // Remove the other blocks (blocks may live in different list containers)
                     mutation.deletedBlocks.forEach(blockInfo => {
-                        blockInfo.element.remove();
+                        blockInfo.detachRecord = DOMOperations.detachBlock(blockInfo.element);
                     });
                     
-                    // Apply merged content to start block
-                    DOMOperations.populateBlock(startBlock, 'merged', () => [], mutation.domCache);
-                    
-                    // Remove end block (but keep reference for revert)
-                    endBlock.remove();
+                    // Apply merged content to the target block
+                    DOMOperations.populateBlock(targetBlock, 'merged', () => [], mutation.domCache);
                 }
 
-                // Set caret position at merge/deletion point
+                // Set caret position at merge/deletion point (the target block is at the start index)
                 mutation.caretStateAfter = CaretState.collapsed(startBlockIndex, mutation.mergeOffset);
-                
-                if (!mutation.caretStateAfter) {
-                        // Set caret position at merge/deletion point
-                        mutation.caretStateAfter = CaretState.collapsed(startBlockIndex, mutation.mergeOffset);
-                }
 
                 // Restore caret immediately using DRY helper
                 this.restoreCaretState(mutation, 'caretStateAfter');
+
+                // A kept boundary holds the caret, outside the mark it would otherwise be placed at the end of
+                const boundary = mutation.extractData && mutation.extractData.boundary;
+                if (boundary && boundary.isConnected) {
+                    const range = document.createRange();
+                    range.setStart(boundary, 0);
+                    Carets.setRange(range);
+                }
             },
 
             revert: (mutation) => {
-                const { 
-                    startBlockIndex, endBlockIndex, 
-                    deletedBlocks, removedEndBlock
-                } = mutation;
-                
-                const blocks = Array.from(this.editor.children);
-                const startBlock = blocks[startBlockIndex];
-                
-                if (startBlockIndex === endBlockIndex) {
+                const { startBlockIndex, deletedBlocks, targetBlock } = mutation;
+
+                if (mutation.clearedBlocks) {
+                    // Cleared range: reattach removed blocks (reverse order of removal), then restore text
+                    [...deletedBlocks].reverse().forEach(blockInfo => DOMOperations.reattachBlock(blockInfo.detachRecord));
+                    mutation.clearedBlocks.forEach(({ element, cache }) => DOMOperations.revertExtractContent(element, cache));
+                } else if (!targetBlock) {
                     // Single block revert using DOMOperations
+                    const startBlock = DOMOperations.getBlocks(this.editor)[startBlockIndex];
                     DOMOperations.revertExtractContent(startBlock, mutation.domCache);
                 } else {
                     // Multi-block revert
-                    // Restore original start block content
-                    DOMOperations.restoreBlockContent(startBlock, 'originalStart', mutation.domCache);
-                    
-                    // Restore original end block content
-                    DOMOperations.restoreBlockContent(removedEndBlock, 'originalEnd', mutation.domCache);
-                    
-                    // Re-insert intermediate blocks first
-                    let insertAfter = startBlock;
-                    deletedBlocks.forEach(blockInfo => {
+                    // Re-insert the removed blocks (reverse order of removal)
+                    [...deletedBlocks].reverse().forEach(blockInfo => {
                         DOMOperations.restoreBlockContent(blockInfo.element, blockInfo.cacheKey, mutation.domCache);
-                        insertAfter.parentNode.insertBefore(blockInfo.element, insertAfter.nextSibling);
-                        insertAfter = blockInfo.element;
+                        DOMOperations.reattachBlock(blockInfo.detachRecord);
                     });
-                    
-                    // Re-insert end block after all intermediate blocks
-                    insertAfter.parentNode.insertBefore(removedEndBlock, insertAfter.nextSibling);
+
+                    // Remove a new target block, or restore the original content of the kept one
+                    if (mutation.insertedTarget) {
+                        targetBlock.remove();
+                    } else {
+                        DOMOperations.restoreBlockContent(targetBlock, 'originalTarget', mutation.domCache);
+                    }
                 }
             },
         });
@@ -195,42 +269,157 @@ class ContentManager {
         this.stateManager.registerHandler(INSERT_CONTENT, {
             apply: (mutation) => {
                 const { caretState, content } = mutation;
+                const { startBlockIndex: blockIndex, startOffset: offset } = caretState;
+                const block = DOMOperations.getBlocks(this.editor)[blockIndex];
+                if (!block) return;
 
-                // Convert caret state to DOM range using CaretTracker
-                const insertRange = this.caretTracker.createRangeFromCaretState(caretState);
-                if (!insertRange) return;
+                // Initialize DOM cache only if it doesn't exist (preserve existing cache during replay)
+                if (!mutation.domCache) {
+                    mutation.domCache = {};
+                }
 
-                // Store position for revert
-                mutation.restorePosition = caretState;
-                mutation.insertedLength = content.length;
+                DOMOperations.prepareInsertText(block, offset, content, mutation.domCache);
+                DOMOperations.applyInsertText(block, mutation.domCache);
 
-                // Insert the content
-                const textNode = DOMOperations.createTextNode(content);
-                insertRange.insertNode(textNode);
+                // Caret goes after the inserted text
+                mutation.caretStateAfter = CaretState.collapsed(blockIndex, offset + content.length);
+                this.restoreCaretState(mutation, 'caretStateAfter');
             },
 
             revert: (mutation) => {
-                const { restorePosition, insertedLength } = mutation;
-
-                // Convert restore position to DOM range  
-                const restoreRange = this.caretTracker.createRangeFromCaretState(restorePosition);
-                if (!restoreRange) return;
-
-                // Create range to select inserted content and delete it
-                const deleteRange = document.createRange();
-                deleteRange.setStart(restoreRange.startContainer, restoreRange.startOffset);
-                deleteRange.setEnd(restoreRange.startContainer, restoreRange.startOffset + insertedLength);
-
-                try {
-                    deleteRange.deleteContents();
-                } catch (error) {
-                    // Handle cases where the range might be invalid
-                    console.warn('Failed to revert insertContent:', error);
+                const block = DOMOperations.getBlocks(this.editor)[mutation.caretState.startBlockIndex];
+                if (!block) return;
+
+                DOMOperations.revertInsertText(block, mutation.domCache);
+            },
+        });
+
+        // Insert blocks handler (pasted content: the first block joins the caret block,
+        // the last one takes the rest of it; an empty caret block is replaced, unless it is a cell)
+        this.stateManager.registerHandler(INSERT_BLOCKS, {
+            apply: (mutation) => {
+                const { caretState } = mutation;
+                const blockIndex = caretState.startBlockIndex;
+                const offset = caretState.startOffset;
+                const block = DOMOperations.getBlocks(this.editor)[blockIndex];
+
+                if (!block || mutation.entries.length === 0) return;
+
+                // Initialize DOM cache only if it doesn't exist (preserve existing cache during replay)
+                if (!mutation.domCache) {
+                    mutation.domCache = {};
+                }
+
+                // Store for revert (decided on first apply, replay sees the same DOM)
+                if (mutation.replaceBlock === undefined) {
+                    mutation.block = block;
+                    mutation.replaceBlock = DOMOperations.getTextLength(block) === 0 && !DOMOperations.isTableCell(block);
+
+                    // Cells never join the caret block: paragraphs next to cells at the edges take its text instead
+                    if (!mutation.replaceBlock) {
+                        mutation.entries = this.padCellEntries(mutation.entries);
+                    }
+
+                    // Caret goes to the end of the inserted content
+                    const count = mutation.entries.length;
+                    const lastLength = DOMOperations.getTextLength(mutation.entries[count - 1].node);
+                    mutation.caretStateAfter = !mutation.replaceBlock && count === 1
+                        ? CaretState.collapsed(blockIndex, offset + lastLength)
+                        : CaretState.collapsed(blockIndex + count - 1, lastLength);
+                }
+
+                const { entries } = mutation;
+                const first = entries[0].node;
+                const last = entries[entries.length - 1].node;
+
+                let insertedEntries = entries;
+
+                if (!mutation.replaceBlock) {
+                    DOMOperations.captureBlockContent(block, 'original', mutation.domCache);
+
+                    // Cache new content before populating (populating clears the block)
+                    let split = null;
+                    const getSplit = () => split || (split = DOMOperations.calculateSplitContent(block, offset));
+
+                    if (entries.length === 1) {
+                        DOMOperations.getCachedNodes('merged', () => DOMOperations.joinAdjacentInline([
+                            ...getSplit().beforeNodes,
+                            ...Array.from(first.childNodes),
+                            ...getSplit().afterNodes,
+                        ]), mutation.domCache);
+                    } else {
+                        DOMOperations.getCachedNodes('merged', () => DOMOperations.joinAdjacentInline([
+                            ...getSplit().beforeNodes,
+                            ...Array.from(first.childNodes),
+                        ]), mutation.domCache);
+                        DOMOperations.getCachedNodes('last', () => DOMOperations.joinAdjacentInline([
+                            ...Array.from(last.childNodes),
+                            ...getSplit().afterNodes,
+                        ]), mutation.domCache);
+                        DOMOperations.populateBlock(last, 'last', () => [], mutation.domCache);
+                    }
+
+                    DOMOperations.populateBlock(block, 'merged', () => [], mutation.domCache);
+
+                    insertedEntries = entries.slice(1);
+                }
+
+                if (insertedEntries.length > 0 || mutation.replaceBlock) {
+                    // Place the new blocks after (or instead of) the caret block, joining lists of the same type
+                    if (!mutation.layout) {
+                        const blockEntries = DOMOperations.getBlockEntries(this.editor);
+                        const index = blockEntries.findIndex(entry => entry.node === block);
+                        if (mutation.replaceBlock) {
+                            blockEntries.splice(index, 1, ...insertedEntries);
+                        } else {
+                            blockEntries.splice(index + 1, 0, ...insertedEntries);
+                        }
+                        mutation.layout = DOMOperations.buildBlockLayout(this.editor, blockEntries);
+                    }
+
+                    mutation.originalLayout = DOMOperations.applyLayout(mutation.layout);
+                }
+
+                this.restoreCaretState(mutation, 'caretStateAfter');
+            },
+
+            revert: (mutation) => {
+                if (mutation.originalLayout) {
+                    DOMOperations.applyLayout(mutation.originalLayout);
+                }
+
+                if (!mutation.replaceBlock) {
+                    DOMOperations.restoreBlockContent(mutation.block, 'original', mutation.domCache);
                 }
             },
         });
     }
 
+    /**
+     * Create a mutation deleting a range
+     * @param {CaretState} rangeCaretState - Range to delete
+     * @param {boolean} keepBoundary - Inside one block, leave the caret in an empty text node outside
+     *     the marks ending at the range (e.g. a closing Markdown delimiter)
+     * @returns {Object} DELETE_CONTENT mutation
+     */
+    createDeleteMutation(rangeCaretState, keepBoundary = false) {
+        return {
+            type: DELETE_CONTENT,
+            rangeCaretState: rangeCaretState,
+            keepBoundary: keepBoundary,
+        };
+    }
+
+    /**
+     * Check whether a caret state is a caret in (a selection of) an atomic block
+     * @param {CaretState} caretState - Caret state
+     * @returns {boolean} True if the caret is collapsed in an atomic block (e.g. a selected HR)
+     */
+    isAtomicCaret(caretState) {
+        return !!caretState && caretState.isCollapsed &&
+            DOMOperations.isAtomicBlock(DOMOperations.getBlocks(this.editor)[caretState.startBlockIndex]);
+    }
+
     /**
      * Delete content in the current selection
      * @returns {boolean} Whether the deletion was successful
@@ -242,25 +431,17 @@ class ContentManager {
         const range = selection.getRangeAt(0);
         if (range.collapsed) return false;
 
-        try {
-            // Capture start and end positions using CaretTracker
-            const startPos = this.caretTracker.getLogicalPosition(range.startContainer, range.startOffset);
-            const endPos = this.caretTracker.getLogicalPosition(range.endContainer, range.endOffset);
-
-            // Use single CaretState with endBlockIndex for the range
-            const rangeCaretState = CaretState.range(
-                startPos.blockIndex, startPos.offset,
-                endPos.blockIndex, endPos.offset
-            );
-
-            return this.stateManager.commit({
-                type: DELETE_CONTENT,
-                rangeCaretState: rangeCaretState,
-            });
-        } catch (error) {
-            console.warn('Failed to delete selection:', error);
+        // Captured through the normalized range, so ends between blocks (e.g. around a selected <hr>) resolve
+        const rangeCaretState = this.caretTracker.captureRangeState(range);
+        if (!rangeCaretState) {
+            console.warn('Failed to delete selection:', range);
             return false;
         }
+
+        // Only a selected atomic block reads as collapsed (deleting leaves an empty paragraph in its place)
+        if (rangeCaretState.isCollapsed && !this.isAtomicCaret(rangeCaretState)) return false;
+
+        return this.stateManager.commit(this.createDeleteMutation(rangeCaretState));
     }
 
     /**
@@ -293,6 +474,136 @@ class ContentManager {
             return false;
         }
     }
+
+    /**
+     * Insert typed text over a range (HistoryManager coalesces consecutive typing into one undo step)
+     * @param {string} text - Typed text
+     * @param {CaretState} caretState - Range to replace (defaults to the selection)
+     * @returns {boolean} Whether the insertion was successful
+     */
+    insertText(text, caretState = this.caretTracker.captureCaretState()) {
+        if (!text || !caretState) return false;
+
+        const insertMutation = {
+            type: INSERT_CONTENT,
+            caretState: CaretState.collapsed(caretState.startBlockIndex, caretState.startOffset),
+            content: text,
+        };
+
+        if (caretState.isCollapsed && !this.isAtomicCaret(caretState)) {
+            return this.stateManager.commit({ ...insertMutation, typing: 'insert' });
+        }
+
+        // Typing over a selection replaces it (a selected atomic block becomes a paragraph holding the text)
+        return this.stateManager.commit({
+            type: COMPOSITE_MUTATION,
+            mutations: [this.createDeleteMutation(caretState), insertMutation],
+            typing: 'insert',
+        });
+    }
+
+    /**
+     * Delete typed content (Backspace/Delete; HistoryManager coalesces consecutive deletions into one undo step)
+     * @param {string} direction - 'backward' or 'forward'
+     * @param {CaretState} caretState - Range to delete (defaults to the selection); a collapsed caret
+     *     deletes one character in the direction, within its block
+     * @returns {boolean} Whether the deletion was successful
+     */
+    deleteText(direction, caretState = this.caretTracker.captureCaretState()) {
+        if (!caretState) return false;
+
+        let rangeCaretState = caretState;
+        if (caretState.isCollapsed) {
+            const { startBlockIndex: blockIndex, startOffset: offset } = caretState;
+            const block = DOMOperations.getBlocks(this.editor)[blockIndex];
+            if (!block) return false;
+
+            // Block boundaries are merges, not text deletions
+            const length = getCharacterLength(block.textContent, offset, direction);
+            if (length === 0) return false;
+
+            rangeCaretState = direction === 'backward'
+                ? CaretState.range(blockIndex, offset - length, blockIndex, offset)
+                : CaretState.range(blockIndex, offset, blockIndex, offset + length);
+        }
+
+        return this.stateManager.commit({ ...this.createDeleteMutation(rangeCaretState), typing: 'delete' });
+    }
+
+    /**
+     * Replace the current selection with blocks (e.g. pasted content)
+     * Deleting the selection and inserting are one undo step
+     * @param {Element} root - Detached root holding the blocks (lists as UL/OL containers)
+     * @returns {boolean} Whether the insertion was successful
+     */
+    insertBlocks(root) {
+        const caretState = this.caretTracker.captureCaretState();
+        if (!caretState) return false;
+
+        const block = DOMOperations.getBlocks(this.editor)[caretState.startBlockIndex];
+        const entries = block ? this.fitEntries(DOMOperations.getBlockEntries(root), block) : [];
+        if (entries.length === 0) return false;
+
+        const mutations = [];
+        if (!caretState.isCollapsed) {
+            mutations.push(this.createDeleteMutation(caretState));
+        }
+
+        // After deletion the caret is at the start of the range
+        mutations.push({
+            type: INSERT_BLOCKS,
+            caretState: CaretState.collapsed(caretState.startBlockIndex, caretState.startOffset),
+            entries,
+        });
+
+        return this.stateManager.commit({
+            type: COMPOSITE_MUTATION,
+            mutations,
+        });
+    }
+
+    /**
+     * Fit inserted block entries to the caret block (tables don't nest): a cell takes them as lines of one
+     * block, and so does any block for a single cell (e.g. text copied inside a cell)
+     * @private
+     * @param {Array<Object>} entries - Entries of the inserted root (see DOMOperations.getBlockEntries)
+     * @param {Element} block - Block at the caret
+     * @returns {Array<Object>} Entries to insert
+     */
+    fitEntries(entries, block) {
+        const isSingleCell = entries.length === 1 && DOMOperations.isTableCell(entries[0].node);
+        if (!DOMOperations.isTableCell(block) && !isSingleCell) return entries;
+
+        const lines = entries.filter(({ node }) => node.nodeType === Node.ELEMENT_NODE && DOMOperations.getTextLength(node) > 0);
+        if (lines.length === 0) return [];
+
+        const paragraph = DOMOperations.createElement('p');
+        lines.forEach(({ node }, i) => {
+            if (i > 0) {
+                paragraph.appendChild(DOMOperations.createElement('br'));
+            }
+            Array.from(node.childNodes).forEach(child => paragraph.appendChild(child));
+        });
+        return [{ node: paragraph, listType: null, container: null }];
+    }
+
+    /**
+     * Add empty paragraphs before and after the cells at the edges of inserted entries, so the caret
+     * block's text joins them instead of a cell (on the first apply of INSERT_BLOCKS)
+     * @private
+     * @param {Array<Object>} entries - Inserted entries
+     * @returns {Array<Object>} Entries starting and ending outside a table
+     */
+    padCellEntries(entries) {
+        const isCellEntry = entry => DOMOperations.isTableCell(entry.node);
+        const createParagraph = () => ({ node: DOMOperations.createElement('p'), listType: null, container: null });
+
+        return [
+            ...(isCellEntry(entries[0]) ? [createParagraph()] : []),
+            ...entries,
+            ...(isCellEntry(entries[entries.length - 1]) ? [createParagraph()] : []),
+        ];
+    }
 }
 
 export default ContentManager;
\ No newline at end of file
@@ -0,0 +1,335 @@
+import DOMOperations from './dom-operations.js';
+import LinkManager from './link-manager.js';
+import { INLINE_MARKS } from './inline-manager.js';
+import BlockTypes from './block-types.js';
+import { MAX_SPAN } from './table-manager.js';
+
+/**
+ * Version of the JSON document schema
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Block attributes kept in the JSON model: data attributes carry block state (e.g. list indent), ids
+ * are anchors. Other attributes, class included (the editor marks blocks with classes such as
+ * 'selected'), are not part of the model.
+ */
+const BLOCK_ATTRIBUTE_PATTERN = /^(data-[a-z0-9-]+|id)$/;
+
+/**
+ * Document Model - Converts editor blocks to and from plain JSON
+ *
+ * {
+ *     version: 1,
+ *     blocks: [
+ *         { type: 'H1', content: [{ text: 'Title' }] },
+ *         { type: 'LI', list: 'UL', attrs: { 'data-indent': '1' },
+ *           content: [{ text: 'bold', marks: [{ type: 'STRONG' }] }, { text: ' link', marks: [{ type: 'A', href: '...' }] }] },
+ *         { type: 'TH', cell: { row: 0, column: 0, colspan: 2 }, content: [{ text: 'Header' }] },
+ *     ],
+ * }
+ *
+ * Inline content is a list of text runs with their marks (outermost first); line breaks (<br>) are '\n'.
+ * Table cells are blocks in row order with their grid position: a cell at row 0, column 0 (or after
+ * another block) starts a table, and the following cells fill its rows.
+ * Blocks keep their data-* attributes and id (see BLOCK_ATTRIBUTE_PATTERN); any other attribute is dropped.
+ * JSON from outside the editor is untrusted: unknown block types (see BlockTypes) become paragraphs,
+ * unknown marks are dropped and hrefs normalized.
+ */
+class DocumentModel {
+    static SCHEMA_VERSION = SCHEMA_VERSION;
+
+    /**
+     * Serialize all blocks of a root (the editor, or a detached root with the same structure)
+     * @param {Element} root - Root element
+     * @returns {Object} JSON document
+     */
+    static fromRoot(root) {
+        return this.fromEntries(DOMOperations.getBlockEntries(root));
+    }
+
+    /**
+     * Serialize block entries (see DOMOperations.getBlockEntries)
+     * @param {Array<Object>} entries - Entries {node, listType}
+     * @returns {Object} JSON document
+     */
+    static fromEntries(entries) {
+        return {
+            version: SCHEMA_VERSION,
+            blocks: entries
+                .filter(({ node }) => node.nodeType === Node.ELEMENT_NODE)
+                .map(({ node, listType }) => this.serializeBlock(node, listType, Array.from(node.childNodes))),
+        };
+    }
+
+    /**
+     * Serialize a block
+     * @param {Element} block - Block element (attributes and type)
+     * @param {string|null} listType - 'UL'/'OL' for list items
+     * @param {Node[]} nodes - Inline content (e.g. only the selected part of the block)
+     * @returns {Object} JSON block
+     */
+    static serializeBlock(block, listType, nodes) {
+        const json = { type: block.tagName };
+
+        if (listType) {
+            json.list = listType;
+        }
+
+        const attrs = {};
+        for (const attr of block.attributes) {
+            if (BLOCK_ATTRIBUTE_PATTERN.test(attr.name)) attrs[attr.name] = attr.value;
+        }
+        if (Object.keys(attrs).length > 0) {
+            json.attrs = attrs;
+        }
+
+        // A lone <br> only keeps an empty block open, and a last one in code only shows its empty last line
+        const isPlaceholder = nodes.length > 0 && nodes[nodes.length - 1].nodeName === 'BR' &&
+            (nodes.length === 1 || block.tagName === 'PRE');
+        json.content = this.serializeInline(isPlaceholder ? nodes.slice(0, -1) : nodes, []);
+
+        const blockType = BlockTypes.get(json.type);
+        if (blockType && blockType.serialize) {
+            blockType.serialize(block, json);
+        }
+        return json;
+    }
+
+    /**
+     * Serialize inline nodes to text runs
+     * @private
+     * @param {Node[]} nodes - Inline nodes
+     * @param {Array<Object>} marks - Marks of the enclosing elements
+     * @returns {Array<Object>} Runs {text, marks?}
+     */
+    static serializeInline(nodes, marks) {
+        const runs = [];
+
+        for (const node of nodes) {
+            const text = node.nodeName === 'BR' ? '\n' : node.nodeType === Node.TEXT_NODE ? node.textContent : null;
+
+            if (text !== null) {
+                if (!text) continue;
+
+                const previous = runs[runs.length - 1];
+                if (previous && this.isSameMarks(previous.marks || [], marks)) {
+                    previous.text += text;
+                } else {
+                    runs.push(marks.length > 0 ? { text, marks } : { text });
+                }
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                const mark = this.getMark(node);
+                const childMarks = mark ? [...marks, mark] : marks;
+                runs.push(...this.serializeInline(Array.from(node.childNodes), childMarks));
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Get the JSON mark for an inline element (null for unknown elements)
+     * @private
+     */
+    static getMark(element) {
+        const tag = element.tagName.toUpperCase();
+
+        if (tag === 'A') {
+            const href = element.getAttribute('href');
+            return href ? { type: 'A', href } : null;
+        }
+
+        for (const [type, tags] of Object.entries(INLINE_MARKS)) {
+            if (tags.includes(tag)) return { type };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether two mark lists are equal
+     * @private
+     */
+    static isSameMarks(a, b) {
+        return a.length === b.length && a.every((mark, i) => mark.type === b[i].type && mark.href === b[i].href);
+    }
+
+    /**
+     * Check whether a value looks like a supported JSON document
+     * @param {*} doc - Value to check
+     * @returns {boolean} True if the document can be read
+     */
+    static isValid(doc) {
+        return !!doc && typeof doc === 'object' && Array.isArray(doc.blocks) &&
+            Number.isInteger(doc.version) && doc.version <= SCHEMA_VERSION;
+    }
+
+    /**
+     * Build editor blocks from a JSON document
+     * @param {Object} doc - JSON document
+     * @returns {Element} Detached root holding the blocks (lists as UL/OL containers, cells in TABLE > TBODY > TR)
+     */
+    static toRoot(doc) {
+        const root = DOMOperations.createElement('div');
+        if (!this.isValid(doc)) return root;
+
+        // Table being filled {table, firstRow, row, rowIndex}
+        let table = null;
+
+        for (const json of doc.blocks) {
+            if (!json || typeof json !== 'object') continue;
+
+            const listType = json.list === 'UL' || json.list === 'OL' ? json.list : null;
+            const type = BlockTypes.has(json.type) ? json.type : 'P';
+            const block = DOMOperations.createElement(listType ? 'LI' : (type === 'LI' ? 'P' : type));
+
+            if (json.attrs && typeof json.attrs === 'object') {
+                Object.entries(json.attrs).forEach(([name, value]) => {
+                    if (BLOCK_ATTRIBUTE_PATTERN.test(name) && typeof value === 'string') {
+                        block.setAttribute(name, value);
+                    }
+                });
+            }
+
+            this.deserializeInline(Array.isArray(json.content) ? json.content : [])
+                .forEach(node => block.appendChild(node));
+            DOMOperations.normalizeBlock(block);
+
+            const blockType = BlockTypes.get(block.tagName);
+            if (blockType && blockType.deserialize) {
+                blockType.deserialize(json, block);
+            }
+
+            if (DOMOperations.isTableCell(block)) {
+                table = this.appendCell(root, table, block, json);
+                continue;
+            }
+
+            if (!listType) {
+                root.appendChild(block);
+                continue;
+            }
+
+            // Consecutive items of the same type share a container
+            let container = root.lastChild;
+            if (!container || container.tagName !== listType) {
+                container = DOMOperations.createElement(listType);
+                root.appendChild(container);
+            }
+            container.appendChild(block);
+        }
+
+        return root;
+    }
+
+    /**
+     * Check whether a JSON cell continues the table of the cells before it (any cell but the first)
+     * @param {Object} json - JSON block
+     * @returns {boolean} True for a cell not at row 0, column 0
+     */
+    static continuesTable(json) {
+        if (!json || !DOMOperations.tableCellTags.has(json.type) || !json.cell || typeof json.cell !== 'object') return false;
+
+        return (parseInt(json.cell.row, 10) || 0) > 0 || (parseInt(json.cell.column, 10) || 0) > 0;
+    }
+
+    /**
+     * Append a cell to the table at the end of a root, starting a table or a row as needed
+     * @private
+     * @param {Element} root - Root being built
+     * @param {Object|null} table - Table being filled (see toRoot)
+     * @param {Element} cell - New cell
+     * @param {Object} json - JSON block of the cell
+     * @returns {Object} Table being filled
+     */
+    static appendCell(root, table, cell, json) {
+        const row = Math.max(0, parseInt(json.cell && json.cell.row, 10) || 0);
+
+        let current = table;
+        if (!current || root.lastChild !== current.table || !this.continuesTable(json)) {
+            const element = DOMOperations.createElement('TABLE');
+            element.appendChild(DOMOperations.createElement('TBODY'));
+            root.appendChild(element);
+            current = { table: element, firstRow: row, row: null, rowIndex: -1 };
+        }
+
+        // Rows only covered by spans stay as empty rows (a gap is at most MAX_SPAN rows)
+        const rowIndex = row - current.firstRow;
+        if (!current.row || rowIndex > current.rowIndex) {
+            const body = current.table.firstChild;
+            const count = current.row ? Math.min(rowIndex - current.rowIndex, MAX_SPAN) : 1;
+            for (let i = 0; i < count; i++) {
+                current.row = body.appendChild(DOMOperations.createElement('TR'));
+            }
+            current.rowIndex = Math.max(rowIndex, 0);
+        }
+
+        current.row.appendChild(cell);
+        return current;
+    }
+
+    /**
+     * Build inline nodes from text runs
+     * @private
+     * @param {Array<Object>} runs - Runs {text, marks?}
+     * @returns {Node[]} Inline nodes (identical adjacent marks joined)
+     */
+    static deserializeInline(runs) {
+        const nodes = runs
+            .filter(run => run && typeof run.text === 'string' && run.text)
+            .flatMap(run => {
+                // Line breaks become <br> elements
+                const lineNodes = run.text.split('\n').flatMap((line, i) => [
+                    ...(i > 0 ? [DOMOperations.createElement('br')] : []),
+                    ...(line ? [DOMOperations.createTextNode(line)] : []),
+                ]);
+
+                const marks = Array.isArray(run.marks) ? run.marks : [];
+                let wrapped = lineNodes;
+                for (let i = marks.length - 1; i >= 0; i--) {
+                    const wrapper = this.createMarkElement(marks[i]);
+                    if (!wrapper) continue;
+                    wrapped.forEach(node => wrapper.appendChild(node));
+                    wrapped = [wrapper];
+                }
+                return wrapped;
+            });
+
+        return DOMOperations.joinAdjacentInline(nodes);
+    }
+
+    /**
+     * Create the element for a JSON mark (null if unsupported)
+     * @private
+     */
+    static createMarkElement(mark) {
+        if (!mark || typeof mark !== 'object') return null;
+
+        if (mark.type === 'A') {
+            const href = LinkManager.normalizeHref(mark.href);
+            if (!href) return null;
+            const link = DOMOperations.createElement('A');
+            link.setAttribute('href', href);
+            return link;
+        }
+
+        return Object.prototype.hasOwnProperty.call(INLINE_MARKS, mark.type)
+            ? DOMOperations.createElement(mark.type)
+            : null;
+    }
+
+    /**
+     * Convert a JSON document to plain text (one line per block)
+     * @param {Object} doc - JSON document
+     * @returns {string} Plain text
+     */
+    static toText(doc) {
+        return doc.blocks
+            .map(block => block.content.map(run => run.text).join(''))
+            .join('\n');
+    }
+}
+
+export { SCHEMA_VERSION };
+export default DocumentModel;
\ No newline at end of file
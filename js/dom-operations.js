@@ -86,6 +86,276 @@ class DOMOperations {
         return cache._nodeArrays.get(cacheKey);
     }
     
+    // ===== BLOCK STRUCTURE =====
+
+    /**
+     * Tags of elements that hold blocks instead of inline content (e.g. lists hold LI blocks, table rows hold cells).
+     * Blocks are the leaves: direct editor children that are not containers, plus the children of containers.
+     */
+    static blockContainerTags = new Set(['UL', 'OL', 'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR']);
+
+    /**
+     * Check if a node is a block container (e.g. UL/OL, TABLE/TR)
+     * @param {Node} node - Node to check
+     * @returns {boolean} True if the node holds blocks
+     */
+    static isBlockContainer(node) {
+        return !!node && node.nodeType === Node.ELEMENT_NODE && this.blockContainerTags.has(node.tagName);
+    }
+
+    /**
+     * Tags of atomic blocks: top-level blocks without editable text (horizontal rules, images).
+     * They take only caret offset 0, are selected and deleted as a whole, and never merge with text.
+     */
+    static atomicBlockTags = new Set(['HR', 'FIGURE']);
+
+    /**
+     * Check if a node is an atomic block (e.g. HR, FIGURE)
+     * @param {Node} node - Node to check
+     * @returns {boolean} True if the node is a block without text
+     */
+    static isAtomicBlock(node) {
+        return !!node && node.nodeType === Node.ELEMENT_NODE && this.atomicBlockTags.has(node.tagName);
+    }
+
+    /**
+     * Tags of table cells: the blocks of a table, addressed by block index like any other block
+     */
+    static tableCellTags = new Set(['TD', 'TH']);
+
+    /**
+     * Check if a node is a table cell (TD/TH)
+     * @param {Node} node - Node to check
+     * @returns {boolean} True if the node is a cell block
+     */
+    static isTableCell(node) {
+        return !!node && node.nodeType === Node.ELEMENT_NODE && this.tableCellTags.has(node.tagName);
+    }
+
+    /**
+     * Get all blocks (leaves) of an editor in document order, flattening containers
+     * @param {Element} root - Editor element
+     * @returns {Element[]} Array of block elements
+     */
+    static getBlocks(root) {
+        const blocks = [];
+        for (const child of root.children) {
+            if (this.isBlockContainer(child)) {
+                blocks.push(...this.getBlocks(child));
+            } else {
+                blocks.push(child);
+            }
+        }
+        return blocks;
+    }
+
+    /**
+     * Get the block (leaf) containing a node
+     * @param {Node} node - Node inside the editor
+     * @param {Element} root - Editor element
+     * @returns {Element|null} The block element or null
+     */
+    static getBlockForNode(node, root) {
+        let el = node && node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+        let block = null;
+
+        while (el && el !== root) {
+            const parent = el.parentNode;
+            // Outermost non-container whose parent is the root or a container
+            if (!this.isBlockContainer(el) && (parent === root || this.isBlockContainer(parent))) {
+                block = el;
+            }
+            el = parent;
+        }
+
+        return el === root ? block : null;
+    }
+
+    /**
+     * Get the direct editor child holding a block (the block itself or its outermost container)
+     * @param {Element} block - Block element
+     * @param {Element} root - Editor element
+     * @returns {Element|null} Top-level element or null
+     */
+    static getTopLevelNode(block, root) {
+        let el = block;
+        while (el && el.parentNode !== root) {
+            el = el.parentNode;
+        }
+        return el;
+    }
+
+    /**
+     * Replace the children of a parent with a list of nodes, moving only what differs
+     * @param {Node} parent - Parent node
+     * @param {Array<Node>} nodes - Desired children in order
+     */
+    static setChildren(parent, nodes) {
+        let ref = parent.firstChild;
+
+        for (const node of nodes) {
+            if (node === ref) {
+                ref = ref.nextSibling;
+                continue;
+            }
+            parent.insertBefore(node, ref);
+        }
+
+        // Drop remaining children that are not part of the list
+        while (ref) {
+            const next = ref.nextSibling;
+            parent.removeChild(ref);
+            ref = next;
+        }
+    }
+
+    /**
+     * Apply a layout (see RESTRUCTURE_BLOCKS) to the DOM
+     * @param {Array<Array>} layout - Entries [parent, nodes]
+     * @returns {Array<Array>} Layout of the touched parents before the change (for revert)
+     */
+    static applyLayout(layout) {
+        const originalLayout = layout.map(([parent]) => [parent, Array.from(parent.childNodes)]);
+        layout.forEach(([parent, nodes]) => this.setChildren(parent, nodes));
+        return originalLayout;
+    }
+
+    /**
+     * Flatten a root into block entries (whitespace between blocks is skipped)
+     * @param {Element} root - Editor element (or a detached root with the same structure)
+     * @returns {Array<Object>} Entries {node, listType, container, table?} in document order
+     */
+    static getBlockEntries(root) {
+        const entries = [];
+
+        for (const node of Array.from(root.childNodes)) {
+            if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'TABLE') {
+                // Cells keep their row; the table groups them (see buildBlockLayout)
+                for (const cell of this.getBlocks(node)) {
+                    entries.push({ node: cell, listType: null, container: cell.parentNode, table: node });
+                }
+            } else if (this.isBlockContainer(node)) {
+                for (const child of node.children) {
+                    entries.push({ node: child, listType: node.tagName, container: node });
+                }
+            } else if (node.nodeType === Node.ELEMENT_NODE || node.textContent.trim() !== '') {
+                entries.push({ node, listType: null, container: null });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Build the layout placing block entries under a root, in order.
+     * Consecutive list items of the same type share one container; original containers are reused.
+     * Cells stay in their rows, and consecutive cells of one table are placed as that table.
+     * @param {Element} root - Editor element
+     * @param {Array<Object>} entries - Entries {node, listType, container, table?} in the desired order
+     * @returns {Array<Array>} Layout entries [parent, nodes], root first
+     */
+    static buildBlockLayout(root, entries) {
+        const layout = [];
+
+        // Group consecutive list items of the same type, and consecutive cells of the same table
+        const topLevel = [];
+        let group = null;
+        for (const entry of entries) {
+            if (entry.table) {
+                if (!group || group.table !== entry.table) {
+                    group = { table: entry.table, rows: new Map() };
+                    topLevel.push(group);
+                }
+                if (!group.rows.has(entry.container)) group.rows.set(entry.container, []);
+                group.rows.get(entry.container).push(entry.node);
+                continue;
+            }
+
+            if (!entry.listType) {
+                group = null;
+                topLevel.push(entry);
+                continue;
+            }
+
+            if (!group || group.listType !== entry.listType) {
+                group = { listType: entry.listType, items: [], containers: [] };
+                topLevel.push(group);
+            }
+            group.items.push(entry.node);
+            if (entry.container) group.containers.push(entry.container);
+        }
+
+        // Assign containers (reuse an original container of the same type if available)
+        const usedContainers = new Set();
+        const topLevelNodes = topLevel.map(entry => {
+            if (entry.table) {
+                // Rows keep their section; only the cells of each row are placed
+                usedContainers.add(entry.table);
+                entry.rows.forEach((cells, row) => layout.push([row, cells]));
+                return entry.table;
+            }
+            if (!entry.items) return entry.node;
+
+            let container = entry.containers.find(c => c.tagName === entry.listType && !usedContainers.has(c));
+            if (!container) {
+                container = this.createElement(entry.listType);
+            }
+            usedContainers.add(container);
+            layout.push([container, entry.items]);
+            return container;
+        });
+
+        // Unused containers of the root are emptied (their children are captured for revert)
+        Array.from(root.children)
+            .filter(node => this.isBlockContainer(node) && !usedContainers.has(node))
+            .forEach(container => layout.push([container, []]));
+
+        layout.unshift([root, topLevelNodes]);
+        return layout;
+    }
+
+    /**
+     * Remove a block from the DOM, also removing containers left without blocks
+     * @param {Element} block - Block to remove
+     * @returns {Object} Detach record for reattachBlock
+     */
+    static detachBlock(block) {
+        const record = {
+            block,
+            parent: block.parentNode,
+            nextSibling: block.nextSibling,
+            removedContainers: []
+        };
+
+        block.remove();
+
+        let container = record.parent;
+        while (this.isBlockContainer(container) && container.children.length === 0 && container.parentNode) {
+            record.removedContainers.push({
+                element: container,
+                parent: container.parentNode,
+                nextSibling: container.nextSibling
+            });
+            const parent = container.parentNode;
+            container.remove();
+            container = parent;
+        }
+
+        return record;
+    }
+
+    /**
+     * Undo detachBlock (reattach records in reverse order of detaching)
+     * @param {Object} record - Record returned by detachBlock
+     */
+    static reattachBlock(record) {
+        for (let i = record.removedContainers.length - 1; i >= 0; i--) {
+            const { element, parent, nextSibling } = record.removedContainers[i];
+            parent.insertBefore(element, nextSibling);
+        }
+        record.parent.insertBefore(record.block, record.nextSibling);
+    }
+
     /**
      * Clear all content from a block element
      * @param {Element} block - Block to clear
@@ -219,7 +489,7 @@ class DOMOperations {
     
     /**
      * Prepare merge operation
-     * @param {Element} firstBlock - Target block
+     * @param {Element} firstBlock - Target block (never atomic)
      * @param {Element} secondBlock - Source block
      * @param {Object} cache - Cache object
      * @returns {Object} Merge operation data
@@ -238,12 +508,15 @@ class DOMOperations {
                 mergedNodes.push(node.cloneNode(true));
             });
             
-            // Add second block content
-            Array.from(secondBlock.childNodes).forEach(node => {
-                mergedNodes.push(node.cloneNode(true));
-            });
+            // Add second block content (an atomic block has no text to take over, merging removes it)
+            if (!this.isAtomicBlock(secondBlock)) {
+                Array.from(secondBlock.childNodes).forEach(node => {
+                    mergedNodes.push(node.cloneNode(true));
+                });
+            }
             
-            return mergedNodes;
+            // Re-join inline wrappers cut apart by a split (e.g. one link across the seam)
+            return this._joinAdjacentInline(mergedNodes);
         };
         
         this.getCachedNodes('merged', createMergedFn, cache);
@@ -279,23 +552,29 @@ class DOMOperations {
      * @param {number} startOffset - Start offset
      * @param {number} endOffset - End offset
      * @param {Object} cache - Cache object
-     * @returns {Object} Extract operation data
+     * @param {boolean} keepBoundary - Leave an empty text node at the range start, outside the marks
+     *     around it (text typed there no longer continues a mark ending at the range)
+     * @returns {Object} Extract operation data (with the boundary text node, if kept)
      */
-    static prepareExtractContent(block, startOffset, endOffset, cache) {
+    static prepareExtractContent(block, startOffset, endOffset, cache, keepBoundary = false) {
         // Capture original
         this.captureBlockContent(block, 'original', cache);
         
         // Calculate and cache remaining content
         const createRemainingFn = () => {
-            const { remainingNodes } = this._calculateExtractContent(block, startOffset, endOffset);
-            return remainingNodes;
+            const { beforeNodes, afterNodes } = this._calculateRangeSplitContent(block, startOffset, endOffset);
+            const boundaryNodes = keepBoundary ? [cache.boundary = this.createTextNode('')] : [];
+
+            // The halves of a mark or link split at the range edges join again (not across a boundary)
+            return this._joinAdjacentInline([...beforeNodes, ...boundaryNodes, ...afterNodes]);
         };
         
         this.getCachedNodes('remaining', createRemainingFn, cache);
         
         return {
             startOffset,
-            endOffset
+            endOffset,
+            boundary: cache.boundary || null
         };
     }
     
@@ -318,21 +597,191 @@ class DOMOperations {
     }
     
     /**
-     * Ensure block has proper content (add <br> if empty)
+     * Prepare text insertion at an offset
+     * Typed text continues the text node before the offset (taking its marks), or the one after it at the block start
+     * @param {Element} block - Block to insert into
+     * @param {number} offset - Text offset for insertion
+     * @param {string} text - Text to insert
+     * @param {Object} cache - Cache object
+     */
+    static prepareInsertText(block, offset, text, cache) {
+        // Capture original
+        this.captureBlockContent(block, 'original', cache);
+
+        const createInsertedFn = () => {
+            // An empty block only holds a placeholder <br>
+            if (this.getTextLength(block) === 0) {
+                return [this.createTextNode(text)];
+            }
+
+            const { beforeNodes, afterNodes } = this._calculateSplitContent(block, offset);
+            const beforeText = this._getEdgeTextNode(beforeNodes, true);
+            const afterText = beforeNodes.length === 0 ? this._getEdgeTextNode(afterNodes, false) : null;
+
+            if (beforeText) {
+                beforeText.appendData(text);
+            } else if (afterText) {
+                afterText.insertData(0, text);
+            } else {
+                beforeNodes.push(this.createTextNode(text));
+            }
+
+            // The halves of a mark or link split at the offset join again
+            return this._joinAdjacentInline([...beforeNodes, ...afterNodes]);
+        };
+
+        this.getCachedNodes('inserted', createInsertedFn, cache);
+    }
+
+    /**
+     * Apply text insertion
+     * @param {Element} block - Block to update
+     * @param {Object} cache - Cache object
+     */
+    static applyInsertText(block, cache) {
+        this.populateBlock(block, 'inserted', () => [], cache);
+    }
+
+    /**
+     * Revert text insertion
+     * @param {Element} block - Block to restore
+     * @param {Object} cache - Cache object
+     */
+    static revertInsertText(block, cache) {
+        this.restoreBlockContent(block, 'original', cache);
+    }
+
+    /**
+     * Prepare inline formatting of a block segment (wrap or unwrap an inline mark)
+     * @param {Element} block - Block to format
+     * @param {number} startOffset - Start text offset of the segment
+     * @param {number} endOffset - End text offset of the segment
+     * @param {Object} format - {tagName, attributes, matchTags, remove}
+     * @param {Object} cache - Cache object
+     * @param {string} cacheKey - Key prefix for this block's content
+     * @returns {Object} Format operation data
+     */
+    static prepareInlineFormat(block, startOffset, endOffset, format, cache, cacheKey) {
+        // Capture original
+        this.captureBlockContent(block, `${cacheKey}_original`, cache);
+
+        // Calculate and cache formatted content
+        const createFormattedFn = () => {
+            const { beforeNodes, middleNodes, afterNodes } = this._calculateRangeSplitContent(block, startOffset, endOffset);
+            const matchTags = format.matchTags || [format.tagName];
+
+            // Drop existing occurrences of the mark inside the segment (avoids nesting when wrapping)
+            let formattedNodes = this._unwrapInline(middleNodes, matchTags);
+
+            if (!format.remove) {
+                const wrapper = this.createElement(format.tagName);
+                for (const [name, value] of Object.entries(format.attributes || {})) {
+                    wrapper.setAttribute(name, value);
+                }
+                formattedNodes.forEach(node => wrapper.appendChild(node));
+                formattedNodes = [wrapper];
+            }
+
+            return this._joinAdjacentInline([...beforeNodes, ...formattedNodes, ...afterNodes]);
+        };
+
+        this.getCachedNodes(`${cacheKey}_formatted`, createFormattedFn, cache);
+
+        return {
+            startOffset,
+            endOffset
+        };
+    }
+
+    /**
+     * Apply inline formatting
+     * @param {Element} block - Block to update
+     * @param {Object} cache - Cache object
+     * @param {string} cacheKey - Key prefix used in prepareInlineFormat
+     */
+    static applyInlineFormat(block, cache, cacheKey) {
+        this.populateBlock(block, `${cacheKey}_formatted`, () => [], cache);
+    }
+
+    /**
+     * Revert inline formatting
+     * @param {Element} block - Block to restore
+     * @param {Object} cache - Cache object
+     * @param {string} cacheKey - Key prefix used in prepareInlineFormat
+     */
+    static revertInlineFormat(block, cache, cacheKey) {
+        this.restoreBlockContent(block, `${cacheKey}_original`, cache);
+    }
+
+    /**
+     * Ensure block has proper content (add <br> if empty; atomic blocks stay empty; code keeps a
+     * <br> after a final newline, see _normalizeCodeBlock)
      * @param {Element} block - Block to normalize
      */
     static normalizeBlock(block) {
-        if (block.childNodes.length === 0) {
+        if (block.tagName === 'PRE') {
+            this._normalizeCodeBlock(block);
+        } else if (block.childNodes.length === 0 && !this.isAtomicBlock(block)) {
             block.appendChild(this.createElement('br'));
         }
     }
+
+    /**
+     * Get the text offsets of the line breaks of a block: '\n' characters in a code block,
+     * <br> elements elsewhere (a lone placeholder <br> is not a line break)
+     * @param {Element} block - Block to read
+     * @returns {number[]} Offsets in ascending order
+     */
+    static getLineBreakOffsets(block) {
+        if (block.tagName === 'PRE') {
+            return Array.from(block.textContent.matchAll(/\n/g), match => match.index);
+        }
+
+        const offsets = [];
+        let position = 0;
+        const walker = document.createTreeWalker(block, NodeFilter.SHOW_ALL);
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            if (node.nodeType === Node.TEXT_NODE) {
+                position += node.textContent.length;
+            } else if (node.nodeName === 'BR') {
+                offsets.push(position);
+            }
+        }
+
+        return offsets.length === 1 && this.getTextLength(block) === 0 ? [] : offsets;
+    }
+
+    /**
+     * Build the content of a block formatted into or out of a code block: code holds plain text
+     * with '\n' line breaks, other blocks <br> elements (marks are dropped going into code)
+     * @param {Element} block - Block to convert (left unchanged)
+     * @param {boolean} toCode - Into a code block, else out of one
+     * @returns {Array<Node>} Detached content for the new block
+     */
+    static convertCodeContent(block, toCode) {
+        let text = block.textContent;
+
+        if (toCode) {
+            const breaks = this.getLineBreakOffsets(block);
+            text = breaks.reduceRight((result, offset) => `${result.slice(0, offset)}\n${result.slice(offset)}`, text);
+            return text ? [this.createTextNode(text)] : [];
+        }
+
+        return text.split('\n').flatMap((line, i) => [
+            ...(i > 0 ? [this.createElement('br')] : []),
+            ...(line ? [this.createTextNode(line)] : []),
+        ]);
+    }
     
     /**
-     * Get total text length of element
+     * Get total text length of element (0 for atomic blocks, e.g. an image with a caption)
      * @param {Node} node - Node to measure
      * @returns {number} Text length
      */
     static getTextLength(node) {
+        if (this.isAtomicBlock(node)) return 0;
+
         if (node.nodeType === Node.TEXT_NODE) {
             return node.textContent.length;
         } else if (node.nodeType === Node.ELEMENT_NODE) {
@@ -345,6 +794,41 @@ class DOMOperations {
         return 0;
     }
     
+    /**
+     * Get the text of the line before an offset in a block: line breaks and atomic inlines (e.g.
+     * <br>, <img>) end a line, and have no length, like in getTextLength
+     * @param {Element} block - Block to read
+     * @param {number} offset - Text offset in the block
+     * @returns {Object} {text, start} - Text of the line up to the offset, and the offset the line starts at
+     */
+    static getLineBefore(block, offset) {
+        let text = '';
+        let start = 0;
+        let position = 0;
+
+        const walk = (node) => {
+            for (const child of node.childNodes) {
+                if (position >= offset) return;
+
+                if (child.nodeType === Node.TEXT_NODE) {
+                    const length = Math.min(child.textContent.length, offset - position);
+                    text += child.textContent.slice(0, length);
+                    position += length;
+                } else if (child.nodeType === Node.ELEMENT_NODE) {
+                    if (this.isJoinableInline(child)) {
+                        walk(child);
+                    } else {
+                        text = '';
+                        start = position;
+                    }
+                }
+            }
+        };
+        walk(block);
+
+        return { text, start };
+    }
+
     /**
      * Check if block is effectively empty
      * @param {Element} block - Block to check
@@ -378,8 +862,68 @@ class DOMOperations {
     static calculateSplitContent(block, offset) {
         return this._calculateSplitContent(block, offset);
     }
+
+    /**
+     * Calculate three-way split content around a range (public helper)
+     * @param {Element} block - Block to analyze
+     * @param {number} startOffset - Start offset
+     * @param {number} endOffset - End offset
+     * @returns {Object} {beforeNodes, middleNodes, afterNodes}
+     */
+    static calculateRangeSplitContent(block, startOffset, endOffset) {
+        return this._calculateRangeSplitContent(block, startOffset, endOffset);
+    }
+
+    /**
+     * Join adjacent identical inline elements in a node list (public helper)
+     * @param {Array<Node>} nodes - Detached nodes to join
+     * @returns {Array<Node>} Joined nodes
+     */
+    static joinAdjacentInline(nodes) {
+        return this._joinAdjacentInline(nodes);
+    }
+
+    /**
+     * Check whether an element is an inline wrapper that can be joined with an identical sibling
+     * @param {Node} node - Node to check
+     * @returns {boolean} True for inline elements with children (not <br> or atomic inlines)
+     */
+    static isJoinableInline(node) {
+        return node.nodeType === Node.ELEMENT_NODE &&
+            !/^(BR|IMG|INPUT|BUTTON|SELECT|TEXTAREA|VIDEO|AUDIO|IFRAME|CANVAS|SVG)$/.test(node.tagName);
+    }
+
+    /**
+     * Check whether two elements have the same tag and attributes
+     * @param {Element} a - First element
+     * @param {Element} b - Second element
+     * @returns {boolean} True if shallow-equal
+     */
+    static isSameInline(a, b) {
+        if (a.tagName !== b.tagName || a.attributes.length !== b.attributes.length) return false;
+        for (const attr of a.attributes) {
+            if (b.getAttribute(attr.name) !== attr.value) return false;
+        }
+        return true;
+    }
     
     // ===== PRIVATE HELPER METHODS =====
+
+    /**
+     * Keep the only <br> a code block holds: a last one after a final '\n' (or in an empty block),
+     * so the empty last line shows. It has no length, and DocumentModel doesn't read it as text.
+     * @private
+     */
+    static _normalizeCodeBlock(block) {
+        const breaks = Array.from(block.childNodes).filter(node => node.nodeName === 'BR');
+        const needsBreak = block.childNodes.length === breaks.length || block.textContent.endsWith('\n');
+        const lastBreak = needsBreak ? (breaks.pop() || this.createElement('br')) : null;
+
+        breaks.forEach(br => br.remove());
+        if (lastBreak && block.lastChild !== lastBreak) {
+            block.appendChild(lastBreak);
+        }
+    }
     
     /**
      * Calculate split content without modifying DOM
@@ -440,6 +984,22 @@ class DOMOperations {
         return { beforeNodes, afterNodes };
     }
     
+    /**
+     * Get the text node at the edge of a node list, descending into inline wrappers
+     * @private
+     * @returns {Text|null} Text node, or null if the edge is not text (e.g. <br>)
+     */
+    static _getEdgeTextNode(nodes, fromEnd) {
+        const node = fromEnd ? nodes[nodes.length - 1] : nodes[0];
+        if (!node) return null;
+
+        if (node.nodeType === Node.TEXT_NODE) return node;
+        if (this.isJoinableInline(node)) {
+            return this._getEdgeTextNode(Array.from(node.childNodes), fromEnd);
+        }
+        return null;
+    }
+
     /**
      * Calculate content extraction without modifying DOM
      * @private
@@ -457,6 +1017,80 @@ class DOMOperations {
         };
     }
     
+    /**
+     * Calculate before/middle/after content around a range without modifying DOM
+     * @private
+     */
+    static _calculateRangeSplitContent(block, startOffset, endOffset) {
+        const firstSplit = this._calculateSplitContent(block, startOffset);
+
+        const tempBlock = this.createElement('div');
+        firstSplit.afterNodes.forEach(node => tempBlock.appendChild(node));
+
+        const secondSplit = this._calculateSplitContent(tempBlock, endOffset - startOffset);
+
+        return {
+            beforeNodes: firstSplit.beforeNodes,
+            middleNodes: secondSplit.beforeNodes,
+            afterNodes: secondSplit.afterNodes
+        };
+    }
+
+    /**
+     * Replace elements matching tagNames with their children (recursively)
+     * @private
+     */
+    static _unwrapInline(nodes, tagNames) {
+        const result = [];
+
+        for (const node of nodes) {
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                result.push(node);
+                continue;
+            }
+
+            const children = this._unwrapInline(Array.from(node.childNodes), tagNames);
+            if (tagNames.includes(node.tagName)) {
+                result.push(...children);
+            } else {
+                this.clearBlock(node);
+                children.forEach(child => node.appendChild(child));
+                result.push(node);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Join adjacent identical inline elements (e.g. <b>a</b><b>b</b> -> <b>ab</b>)
+     * @private
+     */
+    static _joinAdjacentInline(nodes) {
+        const result = [];
+
+        for (const node of nodes) {
+            const previous = result[result.length - 1];
+
+            if (previous && this.isJoinableInline(previous) && this.isJoinableInline(node) &&
+                this.isSameInline(previous, node)) {
+                while (node.firstChild) {
+                    previous.appendChild(node.firstChild);
+                }
+
+                // Seams inside the joined element may now be joinable too
+                const children = this._joinAdjacentInline(Array.from(previous.childNodes));
+                this.clearBlock(previous);
+                children.forEach(child => previous.appendChild(child));
+                continue;
+            }
+
+            result.push(node);
+        }
+
+        return result;
+    }
+
     /**
      * Split inline element preserving structure
      * @private
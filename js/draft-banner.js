@@ -0,0 +1,90 @@
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Draft Banner - Offers to restore an unsaved draft found on startup (see AutosaveManager)
+ */
+class DraftBanner {
+    /**
+     * @param {Object} callbacks - {onRestore(draft), onDiscard(draft)}
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+        this.draft = null; // Draft being offered
+
+        this.createBanner();
+    }
+
+    /**
+     * Create banner elements
+     */
+    createBanner() {
+        this.banner = DOMOperations.createElement('div');
+        this.banner.className = 'draft-banner';
+        this.banner.setAttribute('role', 'alert');
+        this.banner.hidden = true;
+
+        this.message = DOMOperations.createElement('span');
+        this.message.className = 'draft-banner-message';
+
+        const restoreBtn = this.createButton('Restore', () => this.resolve(this.callbacks.onRestore));
+        const discardBtn = this.createButton('Discard', () => this.resolve(this.callbacks.onDiscard));
+
+        this.banner.appendChild(this.message);
+        this.banner.appendChild(restoreBtn);
+        this.banner.appendChild(discardBtn);
+        document.body.appendChild(this.banner);
+    }
+
+    /**
+     * Create a banner button that does not steal the editor selection
+     * @private
+     */
+    createButton(label, onClick) {
+        const btn = DOMOperations.createElement('button');
+        btn.className = 'toolbar-btn';
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    /**
+     * Offer a draft
+     * @param {Object} draft - Draft {document, savedAt}
+     */
+    show(draft) {
+        this.draft = draft;
+        this.message.textContent = `Unsaved changes from ${new Date(draft.savedAt).toLocaleString()} were found.`;
+        this.banner.hidden = false;
+    }
+
+    /**
+     * Hide the banner and pass the offered draft to a callback
+     * @private
+     */
+    resolve(callback) {
+        const draft = this.draft;
+        this.hide();
+        if (draft) callback(draft);
+    }
+
+    /**
+     * Hide the banner
+     */
+    hide() {
+        this.banner.hidden = true;
+        this.draft = null;
+    }
+
+    /**
+     * Destroy the banner
+     */
+    destroy() {
+        if (this.banner.parentNode) {
+            this.banner.parentNode.removeChild(this.banner);
+        }
+    }
+}
+
+export default DraftBanner;
\ No newline at end of file
@@ -0,0 +1,278 @@
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Gap (px) between the handle and the editor's left edge
+ */
+const GUTTER_GAP = 4;
+
+/**
+ * Drag Handle - Gutter handle to reorder blocks by dragging
+ *
+ * Shown next to the hovered block (a table is one block here). Dragging the handle shows a drop
+ * indicator between blocks; releasing moves the block, or all selected blocks when the selection
+ * covers it, as one undoable mutation that keeps the caret in its block (see BlockManager.moveBlocks).
+ * Uses mouse events like the image resize handle, so native drops (image files) stay separate.
+ */
+class DragHandle {
+    /**
+     * @param {Editor} editor - Editor whose blocks are moved
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.blockManager = editor.blockManager;
+
+        this.block = null; // Hovered block the handle is shown for
+        this.drag = null; // Drag in progress {blocks, elements, before}
+
+        this.createElements();
+
+        this.onHover = this.onHover.bind(this);
+        this.onLeave = this.onLeave.bind(this);
+        this.update = this.update.bind(this);
+        this.reposition = this.reposition.bind(this);
+        this.onDragMove = this.onDragMove.bind(this);
+        this.onDragEnd = this.onDragEnd.bind(this);
+        this.onDragKeyDown = this.onDragKeyDown.bind(this);
+
+        this.editor.element.addEventListener('mousemove', this.onHover);
+        this.editor.element.addEventListener('mouseleave', this.onLeave);
+        this.handle.addEventListener('mouseleave', this.onLeave);
+        this.editor.on('change', this.update);
+
+        // Capture scrolls of any scrolling ancestor, not only the window
+        window.addEventListener('scroll', this.reposition, true);
+        window.addEventListener('resize', this.reposition);
+    }
+
+    /**
+     * Create the handle and the drop indicator
+     */
+    createElements() {
+        this.handle = DOMOperations.createElement('div');
+        this.handle.className = 'drag-handle';
+        this.handle.textContent = '⋮⋮';
+        this.handle.title = 'Drag to move';
+        this.handle.hidden = true;
+        this.handle.addEventListener('mousedown', (e) => this.onDragStart(e));
+        document.body.appendChild(this.handle);
+
+        this.indicator = DOMOperations.createElement('div');
+        this.indicator.className = 'drop-indicator';
+        this.indicator.hidden = true;
+        document.body.appendChild(this.indicator);
+    }
+
+    /**
+     * Get the element drawn for a block: its table for a cell, otherwise the block itself
+     * @private
+     */
+    getUnitElement(block) {
+        return DOMOperations.isTableCell(block) ? DOMOperations.getTopLevelNode(block, this.editor.element) : block;
+    }
+
+    /**
+     * Get the places blocks can be dropped before: every block, and each table as a whole
+     * @private
+     * @returns {Array<Object>} Units {block: first block, element} in document order
+     */
+    getUnits() {
+        const units = [];
+        for (const block of this.blockManager.getAllBlocks()) {
+            const element = this.getUnitElement(block);
+            if (units.length === 0 || units[units.length - 1].element !== element) {
+                units.push({ block, element });
+            }
+        }
+        return units;
+    }
+
+    /**
+     * Show the handle next to the block under the pointer
+     * @private
+     */
+    onHover(e) {
+        if (this.drag) return;
+
+        const block = this.blockManager.getBlockForNode(e.target);
+        if (!block || block === this.block) return;
+
+        this.block = block;
+        this.handle.hidden = false;
+        this.reposition();
+    }
+
+    /**
+     * Hide the handle once the pointer left both the editor and the handle
+     * @private
+     */
+    onLeave(e) {
+        if (this.drag) return;
+
+        const to = e.relatedTarget;
+        if (to && (to === this.handle || this.editor.element.contains(to))) return;
+
+        this.hide();
+    }
+
+    /**
+     * Follow document changes (the hovered block may be gone)
+     */
+    update() {
+        if (this.block && !this.editor.element.contains(this.block)) {
+            this.hide();
+            return;
+        }
+        this.reposition();
+    }
+
+    /**
+     * Place the handle in the gutter, level with the top of the hovered block
+     */
+    reposition() {
+        if (this.handle.hidden || !this.block) return;
+
+        const editorRect = this.editor.element.getBoundingClientRect();
+        const rect = this.getUnitElement(this.block).getBoundingClientRect();
+
+        this.handle.style.top = (rect.top + window.scrollY) + 'px';
+        this.handle.style.left = (editorRect.left + window.scrollX - this.handle.offsetWidth - GUTTER_GAP) + 'px';
+    }
+
+    /**
+     * Hide the handle
+     */
+    hide() {
+        this.handle.hidden = true;
+        this.block = null;
+    }
+
+    /**
+     * Get the blocks a drag from the hovered block moves: the selected blocks when they include it
+     * @private
+     */
+    getDragBlocks(block) {
+        const unit = this.blockManager.getBlockUnit(block);
+        const selected = this.editor.getSelectedBlocks();
+
+        return selected.length > 1 && unit.some(unitBlock => selected.includes(unitBlock)) ? selected : [block];
+    }
+
+    /**
+     * Start dragging the handle
+     * @private
+     */
+    onDragStart(e) {
+        if (!this.block || e.button !== 0) return;
+
+        // Keep the editor selection (and its caret, which moves with the blocks)
+        e.preventDefault();
+
+        const blocks = this.getDragBlocks(this.block);
+        const elements = [...new Set(blocks.map(block => this.getUnitElement(block)))];
+        elements.forEach(element => element.classList.add('dragging'));
+
+        this.drag = { blocks, elements, before: undefined };
+        document.addEventListener('mousemove', this.onDragMove);
+        document.addEventListener('mouseup', this.onDragEnd);
+        document.addEventListener('keydown', this.onDragKeyDown, true);
+    }
+
+    /**
+     * Show the drop indicator at the gap nearest to the pointer
+     * @private
+     */
+    onDragMove(e) {
+        const units = this.getUnits();
+        const target = units.find(({ element }) => {
+            const rect = element.getBoundingClientRect();
+            return e.clientY < rect.top + rect.height / 2;
+        });
+
+        this.drag.before = target ? target.block : null;
+        if (this.isNoOp(this.drag.blocks, this.drag.before) || units.length === 0) {
+            this.indicator.hidden = true;
+            return;
+        }
+
+        const editorRect = this.editor.element.getBoundingClientRect();
+        const rect = (target || units[units.length - 1]).element.getBoundingClientRect();
+        this.indicator.hidden = false;
+        this.indicator.style.top = ((target ? rect.top : rect.bottom) + window.scrollY - this.indicator.offsetHeight / 2) + 'px';
+        this.indicator.style.left = (editorRect.left + window.scrollX) + 'px';
+        this.indicator.style.width = editorRect.width + 'px';
+    }
+
+    /**
+     * Check whether dropping before a block leaves the dragged blocks where they are
+     * @private
+     */
+    isNoOp(blocks, before) {
+        const allBlocks = this.blockManager.getAllBlocks();
+        const indices = blocks.flatMap(block => this.blockManager.getBlockUnit(block)).map(block => allBlocks.indexOf(block));
+        const targetIndex = before ? allBlocks.indexOf(before) : allBlocks.length;
+
+        return targetIndex >= Math.min(...indices) && targetIndex <= Math.max(...indices) + 1;
+    }
+
+    /**
+     * Move the blocks to the indicated gap when the drag ends (one undoable mutation)
+     * @private
+     */
+    onDragEnd() {
+        const { blocks, before } = this.drag;
+        this.endDrag();
+
+        if (before !== undefined && !this.isNoOp(blocks, before)) {
+            this.editor.moveBlocks(blocks, before);
+        }
+    }
+
+    /**
+     * Cancel the drag with Escape
+     * @private
+     */
+    onDragKeyDown(e) {
+        if (e.key !== 'Escape') return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.endDrag();
+    }
+
+    /**
+     * Stop tracking the drag and clear its marks
+     * @private
+     */
+    endDrag() {
+        this.drag.elements.forEach(element => element.classList.remove('dragging'));
+        this.drag = null;
+        this.indicator.hidden = true;
+        document.removeEventListener('mousemove', this.onDragMove);
+        document.removeEventListener('mouseup', this.onDragEnd);
+        document.removeEventListener('keydown', this.onDragKeyDown, true);
+        this.reposition();
+    }
+
+    /**
+     * Destroy the handle
+     */
+    destroy() {
+        if (this.drag) {
+            this.endDrag();
+        }
+
+        this.editor.element.removeEventListener('mousemove', this.onHover);
+        this.editor.element.removeEventListener('mouseleave', this.onLeave);
+        this.editor.off('change', this.update);
+        window.removeEventListener('scroll', this.reposition, true);
+        window.removeEventListener('resize', this.reposition);
+
+        [this.handle, this.indicator].forEach(element => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
+
+export default DragHandle;
\ No newline at end of file
@@ -1,29 +1,196 @@
 import { INSERT_ELEMENT, REMOVE_ELEMENT } from './mutation-types.js';
-import { CaretTracker } from './caret-tracker.js';
+import { CaretState, CaretTracker } from './caret-tracker.js';
 import StateManager from './state-manager.js';
 import BlockManager from './block-manager.js';
 import HistoryManager from './history-manager.js';
+import HistoryStore from './history-store.js';
+import AutosaveManager from './autosave-manager.js';
+import DraftBanner from './draft-banner.js';
+import EventEmitter from './event-emitter.js';
+import BlockTypes, { CALLOUT_VARIANTS } from './block-types.js';
+import CommandRegistry from './command-registry.js';
+import Keymap, { DEFAULT_BINDINGS } from './keymap.js';
 import ContentManager from './content-manager.js';
+import InlineManager from './inline-manager.js';
+import LinkManager from './link-manager.js';
+import LinkPopover from './link-popover.js';
+import SlashMenu from './slash-menu.js';
+import BubbleToolbar from './bubble-toolbar.js';
+import DragHandle from './drag-handle.js';
+import ListManager from './list-manager.js';
+import CodeManager from './code-manager.js';
+import ImageManager from './image-manager.js';
+import ImagePopover from './image-popover.js';
+import TableManager from './table-manager.js';
+import ClipboardManager from './clipboard-manager.js';
+import InputRules from './input-rules.js';
+import DocumentModel from './document-model.js';
+import Markdown from './markdown.js';
 import DOMOperations from './dom-operations.js';
 import Carets from './carets.js';
 import BlockText from './block-text.js';
 
+/**
+ * Native beforeinput formatting types mapped to inline marks
+ */
+const NATIVE_FORMAT_INPUT_TYPES = {
+    formatBold: 'STRONG',
+    formatItalic: 'EM',
+    formatUnderline: 'U',
+    formatStrikeThrough: 'S',
+};
+
+/**
+ * Native beforeinput types recorded as typing mutations (text insertion and deletion inside blocks)
+ */
+const TEXT_INPUT_TYPES = new Set([
+    'insertText',
+    'insertReplacementText',
+    'deleteContentBackward',
+    'deleteContentForward',
+    'deleteWordBackward',
+    'deleteWordForward',
+    'deleteSoftLineBackward',
+    'deleteSoftLineForward',
+    'deleteHardLineBackward',
+    'deleteHardLineForward',
+]);
+
+/**
+ * @typedef {Object} EditorChangeEvent
+ * @property {Object} mutation - Committed mutation, or the undone/redone history entry
+ * @property {'commit'|'undo'|'redo'} source - What changed the document
+ * @property {CaretState|null} caretState - Caret after the change
+ * @property {string|null} blockTag - Tag of the block at the caret
+ */
+
+/**
+ * @typedef {Object} EditorHistoryEvent
+ * @property {Object} mutation - Undone/redone history entry
+ * @property {CaretState|null} caretState - Caret after the change
+ * @property {string|null} blockTag - Tag of the block at the caret
+ */
+
+/**
+ * @typedef {Object} EditorSelectionEvent
+ * @property {CaretState|null} caretState - Current caret (null without a selection in the editor)
+ * @property {string|null} blockTag - Tag of the block at the caret
+ */
+
+/**
+ * @typedef {Object} EditorCompositionEvent
+ * @property {string} data - Composed text (empty at start)
+ * @property {CaretState|null} caretState - Current caret
+ * @property {string|null} blockTag - Tag of the block at the caret
+ */
+
+/**
+ * Editor events and their payloads (see Editor.on)
+ * @typedef {Object} EditorEventMap
+ * @property {EditorChangeEvent} change - Document changed
+ * @property {EditorSelectionEvent} selectionchange - Caret moved inside the editor
+ * @property {EditorSelectionEvent} focus - Editor gained focus
+ * @property {EditorSelectionEvent} blur - Editor lost focus (caret from before)
+ * @property {EditorHistoryEvent} undo - History entry undone
+ * @property {EditorHistoryEvent} redo - History entry redone
+ * @property {EditorCompositionEvent} compositionstart - IME composition started
+ * @property {EditorCompositionEvent} compositionend - IME composition ended
+ */
+
 /**
  * Main Editor Application
  * Ties together all the managers and sets up the editor
  */
 class Editor {
-    constructor(editorElement) {
+    /**
+     * @param {Element} editorElement - Contenteditable root
+     * @param {Object} options - {history: 'native' | 'fallback' (see HistoryManager),
+     *     persistHistory: true or a storage key to keep the document and its history across reloads (see HistoryStore),
+     *     autosave: true, a draft key, or {key, since} to save drafts to IndexedDB and offer to recover them (see AutosaveManager),
+     *     keymap: {keys: command or null} bindings over the defaults (see Keymap),
+     *     inputRules: false to turn off Markdown-style autoformat while typing (see InputRules),
+     *     slashMenu: false to turn off the "/" command menu (see SlashMenu),
+     *     bubbleToolbar: true to show a floating toolbar above selections (see BubbleToolbar),
+     *     dragHandles: false to turn off the gutter handle that reorders blocks (see DragHandle),
+     *     uploadImage: (file) => image URL or a promise of one, for dropped and pasted images (see ImageManager)}
+     */
+    constructor(editorElement, options = {}) {
         this.element = editorElement;
 
         // Initialize caret tracker shared across managers
         this.caretTracker = new CaretTracker(editorElement);
 
+        /** @type {EventEmitter<EditorEventMap>} */
+        this.events = new EventEmitter();
+        this.lastCaretState = null; // Caret of the last selectionchange event
+        this.selectedAtomicBlock = null; // Atomic block marked selected (see updateAtomicSelection)
+        this.pendingArrowDirection = null; // Direction of a native Up/Down move (see handleArrowKey)
+
         // Initialize managers
         this.stateManager = new StateManager();
         this.blockManager = new BlockManager(editorElement, this.stateManager, this.caretTracker);
-        this.historyManager = new HistoryManager(this.stateManager, this.caretTracker);
+        this.historyManager = new HistoryManager(this.stateManager, this.caretTracker, { mode: options.history });
         this.contentManager = new ContentManager(editorElement, this.stateManager, this.caretTracker);
+        this.inlineManager = new InlineManager(editorElement, this.stateManager, this.caretTracker);
+        this.linkManager = new LinkManager(editorElement, this.stateManager, this.caretTracker);
+        this.listManager = new ListManager(editorElement, this.stateManager, this.caretTracker);
+        this.codeManager = new CodeManager(editorElement, this.stateManager, this.caretTracker, this.contentManager);
+        this.imageManager = new ImageManager(editorElement, this.stateManager, this.caretTracker, this.blockManager, {
+            upload: options.uploadImage,
+        });
+        this.tableManager = new TableManager(editorElement, this.stateManager, this.caretTracker, this.blockManager);
+        this.clipboardManager = new ClipboardManager(editorElement, this.caretTracker, this.contentManager);
+
+        // Markdown-style autoformat while typing
+        this.inputRules = options.inputRules === false ? null : new InputRules(editorElement, this.stateManager, this.caretTracker, {
+            blockManager: this.blockManager,
+            contentManager: this.contentManager,
+            inlineManager: this.inlineManager,
+            listManager: this.listManager,
+            codeManager: this.codeManager,
+        });
+
+        // Persisted history (restored before any edit is recorded)
+        this.historyStore = null;
+        if (options.persistHistory) {
+            const key = typeof options.persistHistory === 'string' ? options.persistHistory : undefined;
+            this.historyStore = new HistoryStore(editorElement, this.stateManager, this.historyManager, { key });
+            this.historyStore.restore();
+        }
+
+        // Autosaved drafts (a newer draft than the loaded document is offered for recovery)
+        this.autosaveManager = null;
+        this.draftBanner = null;
+        if (options.autosave) {
+            this.setupAutosave(options.autosave);
+        }
+
+        // Named commands and the keys bound to them (defaults, then user overrides; the overrides
+        // stay on top of plugin keys, see use)
+        this.commands = new CommandRegistry();
+        this.registerCommands();
+        this.keymap = new Keymap(this.commands, { context: this });
+        this.keymap.bindAll(DEFAULT_BINDINGS);
+        this.userKeymap = options.keymap || {};
+        this.keymap.bindAll(this.userKeymap);
+
+        // Installed plugins (see use)
+        this.plugins = [];
+
+        // Create link popover (shown when caret is inside a link)
+        this.linkPopover = new LinkPopover(editorElement, this.linkManager, this.caretTracker);
+
+        // Create image popover (insert by URL; shown with a resize handle when an image is selected)
+        this.imagePopover = new ImagePopover(this);
+
+        // Create slash command menu (opened by typing "/" in an empty block)
+        this.slashMenu = options.slashMenu === false ? null : new SlashMenu(this);
+
+        // Create floating selection toolbar (optional, next to the bottom bar)
+        this.bubbleToolbar = options.bubbleToolbar ? new BubbleToolbar(this) : null;
+
+        // Create block drag handle (shown in the gutter next to the hovered block)
+        this.dragHandle = options.dragHandles === false ? null : new DragHandle(this);
 
         // Create bottom editing bar
         this.createEditingBar();
@@ -52,18 +219,93 @@ class Editor {
             { tag: 'H2', label: 'H2' },
             { tag: 'H3', label: 'H3' },
             { tag: 'P', label: 'P' },
+            { tag: 'BLOCKQUOTE', label: '❝', title: 'Quote' },
+            { tag: 'ASIDE', label: 'ⓘ', title: 'Callout (again for the next variant)' },
         ];
 
-        formatButtons.forEach(({ tag, label }) => {
+        formatButtons.forEach(({ tag, label, title }) => {
             const btn = DOMOperations.createElement('button');
             btn.className = 'toolbar-btn format-btn';
             btn.textContent = label;
+            if (title) btn.title = title;
             btn.dataset.format = tag;
             btn.addEventListener('mousedown', (e) => e.preventDefault());
             btn.addEventListener('click', () => this.formatCurrentBlock(tag));
             formatGroup.appendChild(btn);
         });
 
+        // List buttons group
+        const listGroup = DOMOperations.createElement('div');
+        listGroup.className = 'toolbar-group';
+
+        const listButtons = [
+            { type: 'UL', label: '• List', title: 'Bulleted list' },
+            { type: 'OL', label: '1. List', title: 'Numbered list' },
+            { type: 'TASK', label: '☐ List', title: 'Task list' },
+        ];
+
+        listButtons.forEach(({ type, label, title }) => {
+            const btn = DOMOperations.createElement('button');
+            btn.className = 'toolbar-btn list-btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.dataset.list = type;
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+            btn.addEventListener('click', () => this.toggleList(type));
+            listGroup.appendChild(btn);
+        });
+
+        // Inline format buttons group
+        const inlineGroup = DOMOperations.createElement('div');
+        inlineGroup.className = 'toolbar-group';
+
+        const inlineButtons = [
+            { tag: 'STRONG', label: 'B', title: 'Bold' },
+            { tag: 'EM', label: 'I', title: 'Italic' },
+            { tag: 'U', label: 'U', title: 'Underline' },
+            { tag: 'S', label: 'S', title: 'Strikethrough' },
+            { tag: 'CODE', label: '</>', title: 'Inline code' },
+        ];
+
+        inlineButtons.forEach(({ tag, label, title }) => {
+            const btn = DOMOperations.createElement('button');
+            btn.className = 'toolbar-btn inline-btn';
+            btn.textContent = label;
+            btn.title = title;
+            btn.dataset.mark = tag;
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+            btn.addEventListener('click', () => this.toggleInlineFormat(tag));
+            inlineGroup.appendChild(btn);
+        });
+
+        const linkBtn = DOMOperations.createElement('button');
+        linkBtn.className = 'toolbar-btn link-btn';
+        linkBtn.textContent = 'Link';
+        linkBtn.title = 'Link';
+        linkBtn.addEventListener('mousedown', (e) => e.preventDefault());
+        linkBtn.addEventListener('click', () => this.editLink());
+        inlineGroup.appendChild(linkBtn);
+
+        // History buttons group
+        const historyGroup = DOMOperations.createElement('div');
+        historyGroup.className = 'toolbar-group';
+
+        const undoBtn = DOMOperations.createElement('button');
+        undoBtn.className = 'toolbar-btn history-btn';
+        undoBtn.textContent = '↶';
+        undoBtn.title = 'Undo';
+        undoBtn.addEventListener('mousedown', (e) => e.preventDefault());
+        undoBtn.addEventListener('click', () => this.undo());
+        historyGroup.appendChild(undoBtn);
+
+        const redoBtn = DOMOperations.createElement('button');
+        redoBtn.className = 'toolbar-btn history-btn';
+        redoBtn.textContent = '↷';
+        redoBtn.title = 'Redo';
+        redoBtn.addEventListener('mousedown', (e) => e.preventDefault());
+        redoBtn.addEventListener('click', () => this.redo());
+        historyGroup.appendChild(redoBtn);
+
         // Action buttons group
         const actionGroup = DOMOperations.createElement('div');
         actionGroup.className = 'toolbar-group';
@@ -86,19 +328,75 @@ class Editor {
         deleteSelectionBtn.addEventListener('mousedown', (e) => e.preventDefault());
         deleteSelectionBtn.addEventListener('click', () => this.deleteSelection());
 
+        const dividerBtn = DOMOperations.createElement('button');
+        dividerBtn.className = 'toolbar-btn action-btn';
+        dividerBtn.textContent = '―';
+        dividerBtn.title = 'Divider';
+        dividerBtn.addEventListener('mousedown', (e) => e.preventDefault());
+        dividerBtn.addEventListener('click', () => this.insertHorizontalRule());
+
+        const imageBtn = DOMOperations.createElement('button');
+        imageBtn.className = 'toolbar-btn action-btn';
+        imageBtn.textContent = 'Image';
+        imageBtn.title = 'Image';
+        imageBtn.addEventListener('mousedown', (e) => e.preventDefault());
+        imageBtn.addEventListener('click', () => this.editImage());
+
         // actionGroup.appendChild(splitBtn);
         // actionGroup.appendChild(mergeBtn);
+        actionGroup.appendChild(dividerBtn);
+        actionGroup.appendChild(imageBtn);
         actionGroup.appendChild(deleteSelectionBtn);
 
+        // Table buttons group (row/column buttons only work in a table)
+        const tableGroup = DOMOperations.createElement('div');
+        tableGroup.className = 'toolbar-group';
+
+        const tableButtons = [
+            { command: 'insertTable', label: 'Table', title: 'Insert table' },
+            { command: 'insertRow', label: '+Row', title: 'Insert row below', inTable: true },
+            { command: 'deleteRow', label: '−Row', title: 'Delete row', inTable: true },
+            { command: 'insertColumn', label: '+Col', title: 'Insert column after', inTable: true },
+            { command: 'deleteColumn', label: '−Col', title: 'Delete column', inTable: true },
+            { command: 'mergeCells', label: 'Merge', title: 'Merge cells', inTable: true },
+        ];
+
+        tableButtons.forEach(({ command, label, title, inTable }) => {
+            const btn = DOMOperations.createElement('button');
+            btn.className = 'toolbar-btn table-btn';
+            btn.textContent = label;
+            btn.title = title;
+            if (inTable) btn.dataset.inTable = 'true';
+            btn.addEventListener('mousedown', (e) => e.preventDefault());
+            btn.addEventListener('click', () => this.commands.execute(command));
+            tableGroup.appendChild(btn);
+        });
+
+        // Plugin buttons group (added to the toolbar with the first item, see addToolbarItem)
+        this.pluginGroup = DOMOperations.createElement('div');
+        this.pluginGroup.className = 'toolbar-group';
+        this.pluginItems = [];
+        this.actionGroup = actionGroup;
+
         // Add groups to toolbar
+        this.toolbar.appendChild(historyGroup);
         this.toolbar.appendChild(formatGroup);
+        this.toolbar.appendChild(listGroup);
+        this.toolbar.appendChild(inlineGroup);
         this.toolbar.appendChild(actionGroup);
+        this.toolbar.appendChild(tableGroup);
 
         // Add toolbar to body
         document.body.appendChild(this.toolbar);
 
         // Store references for later
         this.formatButtons = formatGroup.querySelectorAll('.format-btn');
+        this.listButtons = listGroup.querySelectorAll('.list-btn');
+        this.inlineButtons = inlineGroup.querySelectorAll('.inline-btn');
+        this.tableButtons = tableGroup.querySelectorAll('.table-btn[data-in-table]');
+        this.linkButton = linkBtn;
+        this.undoButton = undoBtn;
+        this.redoButton = redoBtn;
         this.splitButton = splitBtn;
         this.mergeButton = mergeBtn;
         this.deleteSelectionButton = deleteSelectionBtn;
@@ -109,15 +407,209 @@ class Editor {
 
     /**
      * Format current block to specified tag
+     * @param {string} tagName - Block tag (ASIDE goes through setCallout)
+     * @param {Object} attributes - Optional attributes of the new block
      */
-    formatCurrentBlock(tagName) {
+    formatCurrentBlock(tagName, attributes = null) {
         const { range, block } = this.getNormalizedRangeAndBlock();
         if (!range || !block) return;
 
-        this.blockManager.formatBlock(block, tagName);
+        if (tagName.toUpperCase() === 'ASIDE' && !attributes) {
+            this.setCallout();
+            return;
+        }
+
+        if (this.listManager.isListItem(block)) {
+            // Leaving a list replaces the item with the new block in one step
+            const blockIndex = this.blockManager.getAllBlocks().indexOf(block);
+            this.stateManager.batch(() => {
+                this.listManager.convertBlocks([block], null, tagName);
+                if (attributes) {
+                    this.blockManager.setBlockAttributes(this.blockManager.getAllBlocks()[blockIndex], attributes);
+                }
+            });
+        } else {
+            this.blockManager.formatBlock(block, tagName, attributes);
+        }
         this.updateToolbarState();
     }
 
+    /**
+     * Turn the current block into a callout, or change the variant of a callout
+     * @param {string|null} variant - One of CALLOUT_VARIANTS; null for the default, or the next variant in a callout
+     */
+    setCallout(variant = null) {
+        const { range, block } = this.getNormalizedRangeAndBlock();
+        if (!range || !block) return;
+
+        if (block.tagName !== 'ASIDE') {
+            this.formatCurrentBlock('ASIDE', { 'data-variant': CALLOUT_VARIANTS.includes(variant) ? variant : CALLOUT_VARIANTS[0] });
+            return;
+        }
+
+        const current = CALLOUT_VARIANTS.indexOf(block.getAttribute('data-variant'));
+        const next = CALLOUT_VARIANTS.includes(variant) ? variant : CALLOUT_VARIANTS[(current + 1) % CALLOUT_VARIANTS.length];
+        if (next !== block.getAttribute('data-variant')) {
+            this.blockManager.setBlockAttributes(block, { 'data-variant': next });
+            this.updateToolbarState();
+        }
+    }
+
+    /**
+     * Insert a horizontal rule: above an empty block (the caret stays in it), otherwise below the block
+     * Next to a list item, the rule goes next to the whole list
+     * @returns {boolean} Whether the rule was inserted
+     */
+    insertHorizontalRule() {
+        const caretState = this.caretTracker.captureCaretState();
+        const block = caretState ? this.blockManager.getAllBlocks()[caretState.startBlockIndex] : null;
+        if (!block) return false;
+
+        const success = this.blockManager.insertAtomicBlock(DOMOperations.createElement('hr'), block);
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Move adjacent blocks before another block as one undoable step (the caret moves with its block)
+     * @param {Element[]} blocks - Adjacent blocks to move (a cell moves its whole table)
+     * @param {Element|null} beforeBlock - The block to insert before (null for the end)
+     * @returns {boolean} Whether the blocks were moved
+     */
+    moveBlocks(blocks, beforeBlock = null) {
+        const success = this.blockManager.moveBlocks(blocks, beforeBlock);
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Move the selected blocks up or down past their neighbour (the caret keeps its offset in its block)
+     * @param {string} direction - 'up' or 'down'
+     * @returns {boolean} Whether the blocks were moved
+     */
+    moveSelectedBlocks(direction) {
+        const blocks = this.getSelectedBlocks();
+        if (blocks.length === 0) return false;
+
+        const success = direction === 'up'
+            ? this.blockManager.moveBlocksUp(blocks)
+            : this.blockManager.moveBlocksDown(blocks);
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Insert copies of the selected blocks after them; the caret goes to its offset in the copy
+     * @returns {boolean} Whether the blocks were duplicated
+     */
+    duplicateSelectedBlocks() {
+        const success = this.blockManager.duplicateBlocks(this.getSelectedBlocks());
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Update the toolbar after a table operation (see TableManager)
+     * @private
+     * @param {boolean} success - Whether the operation changed the document
+     * @returns {boolean} The same success
+     */
+    afterTableOperation(success) {
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Toggle a list type on the selected blocks
+     */
+    toggleList(listType) {
+        const success = this.listManager.toggleList(this.getSelectedBlocks(), listType);
+
+        if (success) {
+            this.updateToolbarState();
+        }
+    }
+
+    /**
+     * Toggle the checked state of the selected task items (the caret stays where it is)
+     * @returns {boolean} Whether any task item was toggled
+     */
+    toggleChecked() {
+        const success = this.listManager.toggleChecked(this.getSelectedBlocks());
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Undo the last change
+     * @returns {boolean} Whether anything was undone
+     */
+    undo() {
+        const success = this.historyManager.undo();
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Redo the last undone change
+     * @returns {boolean} Whether anything was redone
+     */
+    redo() {
+        const success = this.historyManager.redo();
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Toggle an inline mark (bold, italic, ...) on the current selection
+     */
+    toggleInlineFormat(tagName) {
+        const success = this.inlineManager.toggleFormat(tagName);
+
+        if (success) {
+            this.updateToolbarState();
+        }
+    }
+
+    /**
+     * Edit the link at the caret, or create one from the selection
+     */
+    editLink() {
+        const link = this.linkManager.getLinkAtSelection();
+        this.linkPopover.showEditor(link);
+    }
+
+    /**
+     * Edit the selected image, or insert one by URL at the caret
+     */
+    editImage() {
+        const figure = this.imageManager.getImageAtSelection();
+        this.imagePopover.showEditor(figure);
+    }
+
     /**
      * Split current block at cursor position
      */
@@ -148,7 +640,7 @@ class Editor {
         const { range, block } = this.getNormalizedRangeAndBlock();
         if (!range || !block) return;
 
-        const previousBlock = block.previousElementSibling;
+        const previousBlock = this.blockManager.getPreviousBlock(block);
         if (!previousBlock) return;
 
         // Perform the merge - caret positioning is handled by the mutation
@@ -186,8 +678,12 @@ class Editor {
             console.info('Caret at editor:', range.startContainer, range.startOffset);
 
             range = this.caretTracker.normalizeRange(range);
-            Carets.setRange(range);
             block = this.blockManager.getBlockForNode(range.startContainer);
+
+            // A selected atomic block stays selected
+            if (!DOMOperations.isAtomicBlock(block)) {
+                Carets.setRange(range);
+            }
         }
 
         if (!block) {
@@ -198,6 +694,25 @@ class Editor {
         return { range, block };
     }
 
+    /**
+     * Get the blocks touched by the current selection
+     * @returns {Element[]} Blocks in document order (empty if no selection)
+     */
+    getSelectedBlocks() {
+        const caretState = this.caretTracker.captureCaretState();
+        if (!caretState) return [];
+
+        let { startBlockIndex, endBlockIndex } = caretState;
+
+        // A selection ending at the very start of a block doesn't include that block (unless it is atomic)
+        const blocks = this.blockManager.getAllBlocks();
+        if (endBlockIndex > startBlockIndex && caretState.endOffset === 0 && !DOMOperations.isAtomicBlock(blocks[endBlockIndex])) {
+            endBlockIndex--;
+        }
+
+        return blocks.slice(startBlockIndex, endBlockIndex + 1);
+    }
+
     /**
      * Check if current selection spans across multiple blocks
      * @returns {boolean} True if selection spans multiple blocks
@@ -206,7 +721,8 @@ class Editor {
         const selection = window.getSelection();
         if (selection.rangeCount === 0 || selection.isCollapsed) return false;
 
-        const range = selection.getRangeAt(0);
+        // Normalized, so positions between blocks (e.g. around a selected <hr>) belong to a block
+        const range = this.caretTracker.normalizeRange(selection.getRangeAt(0));
         
         // Get the blocks containing start and end of selection
         const startBlock = this.blockManager.getBlockForNode(range.startContainer);
@@ -220,6 +736,9 @@ class Editor {
      * Update toolbar state based on current selection
      */
     updateToolbarState() {
+        this.undoButton.disabled = !this.historyManager.canUndo();
+        this.redoButton.disabled = !this.historyManager.canRedo();
+
         const range = Carets.getCurrentRange();
         if (!range) return;
 
@@ -236,6 +755,34 @@ class Editor {
             }
         });
 
+        // Update list button states
+        const listType = this.listManager.getItemType(block);
+        this.listButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.list === listType);
+        });
+
+        // Update inline button states (active when the mark covers the selection)
+        this.inlineButtons.forEach(btn => {
+            if (this.inlineManager.isFormatActive(btn.dataset.mark)) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+
+        this.linkButton.classList.toggle('active', this.linkManager.getLinkAtSelection() !== null);
+
+        const inTable = DOMOperations.isTableCell(block);
+        this.tableButtons.forEach(btn => {
+            btn.disabled = !inTable;
+        });
+
+        // Plugin buttons decide their own state
+        this.pluginItems.forEach(({ button, isActive, isDisabled }) => {
+            if (isActive) button.classList.toggle('active', !!isActive(this, block));
+            if (isDisabled) button.disabled = !!isDisabled(this, block);
+        });
+
         // Update action button states
         const blocks = this.blockManager.getAllBlocks();
         const blockIndex = blocks.indexOf(block);
@@ -254,35 +801,62 @@ class Editor {
      * Set up event listeners
      */
     setupEventListeners() {
+        // Handlers are bound once and kept, so destroy() removes exactly these
+        this.eventListeners = [];
+        const listen = (target, type, handler) => {
+            target.addEventListener(type, handler);
+            this.eventListeners.push({ target, type, handler });
+        };
+
         // Keyboard events
-        this.element.addEventListener('keydown', this.onKeyDown.bind(this));
-        this.element.addEventListener('keypress', this.onKeyPress.bind(this));
-        this.element.addEventListener('beforeinput', this.onBeforeInput.bind(this));
-        this.element.addEventListener('paste', this.onPaste.bind(this));
+        listen(this.element, 'keydown', this.onKeyDown.bind(this));
+        listen(this.element, 'beforeinput', this.onBeforeInput.bind(this));
+        listen(this.element, 'paste', this.onPaste.bind(this));
+        listen(this.element, 'copy', this.onCopy.bind(this));
+        listen(this.element, 'cut', this.onCut.bind(this));
+
+        // Drag and drop events (image files)
+        listen(this.element, 'dragover', this.onDragOver.bind(this));
+        listen(this.element, 'drop', this.onDrop.bind(this));
 
         // IME composition events
-        this.element.addEventListener('compositionstart', this.onCompositionStart.bind(this));
-        this.element.addEventListener('compositionupdate', this.onCompositionUpdate.bind(this));
-        this.element.addEventListener('compositionend', this.onCompositionEnd.bind(this));
+        listen(this.element, 'compositionstart', this.onCompositionStart.bind(this));
+        listen(this.element, 'compositionupdate', this.onCompositionUpdate.bind(this));
+        listen(this.element, 'compositionend', this.onCompositionEnd.bind(this));
 
         // Mouse events
-        this.element.addEventListener('mousedown', this.onMouseDown.bind(this));
+        listen(this.element, 'mousedown', this.onMouseDown.bind(this));
+        listen(this.element, 'click', this.onClick.bind(this));
+
+        // Focus events
+        listen(this.element, 'focus', this.onFocus.bind(this));
+        listen(this.element, 'blur', this.onBlur.bind(this));
 
         // Selection change events for toolbar updates
-        this.element.addEventListener('keyup', () => this.updateToolbarState());
-        this.element.addEventListener('mouseup', () => this.updateToolbarState());
-        document.addEventListener('selectionchange', () => {
+        listen(this.element, 'keyup', () => this.updateToolbarState());
+        listen(this.element, 'mouseup', () => this.updateToolbarState());
+        listen(document, 'selectionchange', () => {
             if (Carets.isSelectionInEditor(this.element)) {
+                this.skipPendingAtomicBlock();
+                this.updateAtomicSelection();
                 this.updateToolbarState();
+                this.linkPopover.update();
+                this.emitSelectionChange();
             }
         });
 
+        // Document changes for editor events
+        this.onMutationCommit = this.onMutationCommit.bind(this);
+        this.onHistoryChange = this.onHistoryChange.bind(this);
+        this.stateManager.addCommitListener(this.onMutationCommit);
+        this.historyManager.addHistoryListener(this.onHistoryChange);
+
         // Button events (demo)
         const btn = document.getElementById('btn');
         if (btn) {
-            btn.addEventListener('mousedown', e => e.preventDefault());
-            btn.addEventListener('focus', e => e.preventDefault());
-            btn.addEventListener('click', this.onButtonClick.bind(this));
+            listen(btn, 'mousedown', e => e.preventDefault());
+            listen(btn, 'focus', e => e.preventDefault());
+            listen(btn, 'click', this.onButtonClick.bind(this));
         }
 
     }
@@ -291,61 +865,162 @@ class Editor {
      * Handle keydown events
      */
     onKeyDown(e) {
-        switch (e.key) {
-            case 'Enter':
-                this.handleEnter(e);
-                break;
-            case 'Tab':
-                this.handleTab(e);
-                break;
-            case 'Backspace':
-                this.handleBackspace(e);
-                break;
-            case 'Delete':
-                this.handleDelete(e);
-                break;
-        }
+        // An open slash menu takes navigation keys first
+        if (this.slashMenu && this.slashMenu.handleKeyDown(e)) return;
+
+        this.keymap.handleKeyDown(e);
     }
 
     /**
-     * Handle keypress events for ordinary character input
+     * Register the built-in commands (see CommandRegistry, bound in DEFAULT_BINDINGS)
      */
-    onKeyPress(e) {
-        // Skip if IME composition is in progress
-        if (e.isComposing) {
-            return;
-        }
+    registerCommands() {
+        const commands = this.commands;
+
+        // Block formats and lists
+        commands.register('formatBlock', (tag) => this.formatCurrentBlock(tag));
+        commands.register('callout', (variant) => this.setCallout(variant || null));
+        commands.register('toggleList', (listType) => this.toggleList(listType));
+        commands.register('toggleChecked', () => this.toggleChecked());
+        commands.register('toggleMark', (tag) => this.toggleInlineFormat(tag));
+        commands.register('link', () => this.editLink());
+        commands.register('image', () => this.editImage());
+
+        // Block structure
+        commands.register('splitBlock', () => this.splitCurrentBlock());
+        commands.register('mergeWithPrevious', () => this.mergeWithPrevious());
+        commands.register('deleteSelection', () => this.deleteSelection());
+        commands.register('insertHorizontalRule', () => this.insertHorizontalRule());
+        // The keys stay with the editor at the document edges too (no native selection change)
+        commands.register('moveBlocksUp', () => { this.moveSelectedBlocks('up'); });
+        commands.register('moveBlocksDown', () => { this.moveSelectedBlocks('down'); });
+        commands.register('duplicateBlocks', () => { this.duplicateSelectedBlocks(); });
+        commands.register('indent', () => {
+            // Tab never leaves the editor (in code blocks it indents lines, in tables it goes to the next cell)
+            if (this.tableManager.moveToCell(true)) return;
+
+            const caretState = this.caretTracker.captureCaretState();
+            if (this.codeManager.getCodeBlock(caretState)) {
+                this.codeManager.indent(caretState);
+            } else if (this.listManager.indent(this.getSelectedBlocks())) {
+                this.updateToolbarState();
+            }
+        });
+        commands.register('outdent', () => {
+            if (this.tableManager.moveToCell(false)) return;
 
-        // Skip if it's a special key (Ctrl, Alt, etc.)
-        if (e.ctrlKey || e.altKey || e.metaKey) {
-            return;
-        }
+            const caretState = this.caretTracker.captureCaretState();
+            if (this.codeManager.getCodeBlock(caretState)) {
+                this.codeManager.outdent(caretState);
+            } else if (this.listManager.outdent(this.getSelectedBlocks())) {
+                this.updateToolbarState();
+            }
+        });
 
-        // Skip non-printable characters
-        const char = e.char || String.fromCharCode(e.charCode);
-        if (!char || char.length === 0) {
-            return;
-        }
+        // Tables (row and column commands insert on the other side with 'above' or 'before')
+        commands.register('insertTable', () => this.afterTableOperation(this.tableManager.insertTable()));
+        commands.register('deleteTable', () => this.afterTableOperation(this.tableManager.deleteTable()));
+        commands.register('insertRow', (position) => this.afterTableOperation(this.tableManager.insertRow(position !== 'above')));
+        commands.register('deleteRow', () => this.afterTableOperation(this.tableManager.deleteRow()));
+        commands.register('insertColumn', (position) => this.afterTableOperation(this.tableManager.insertColumn(position !== 'before')));
+        commands.register('deleteColumn', () => this.afterTableOperation(this.tableManager.deleteColumn()));
+        commands.register('mergeCells', () => this.afterTableOperation(this.tableManager.mergeCells()));
+
+        commands.register('codeLanguage', (language) => {
+            const codeBlock = this.codeManager.getCodeBlock(this.caretTracker.captureCaretState());
+            return this.codeManager.setLanguage(codeBlock, language);
+        });
 
-        // For cross-block selections, delete first before inserting
-        if (!window.getSelection().isCollapsed && this.isCrossBlockSelection()) {
-            this.contentManager.deleteSelection();
-        }
+        // Keys whose handlers decide whether the browser's default runs
+        commands.register('insertParagraph', (arg, e) => {
+            if (!e) return this.splitCurrentBlock();
+            this.handleEnter(e);
+            return e.defaultPrevented;
+        });
+        commands.register('deleteBackward', (arg, e) => {
+            if (!e) return false;
+            this.handleBackspace(e);
+            return e.defaultPrevented;
+        });
+        commands.register('deleteForward', (arg, e) => {
+            if (!e) return false;
+            this.handleDelete(e);
+            return e.defaultPrevented;
+        });
+        commands.register('moveBackward', (arg, e) => this.handleArrowKey('backward', e));
+        commands.register('moveForward', (arg, e) => this.handleArrowKey('forward', e));
 
-        // Allow default behavior for single character insertion
-        // The browser's contenteditable will handle it naturally
+        // History: with native history, shortcuts stay with the browser (its undo stack drives the tracker)
+        commands.register('undo', (arg, e) => {
+            if (e && !this.historyManager.isFallback) return false;
+            this.undo();
+        });
+        commands.register('redo', (arg, e) => {
+            if (e && !this.historyManager.isFallback) return false;
+            this.redo();
+        });
     }
 
     /**
      * Handle Enter key
      */
     handleEnter(e) {
+        // Code blocks take Enter as a newline; Mod+Enter leaves them
+        const caretState = this.caretTracker.captureCaretState();
+        const codeBlock = this.codeManager.getCodeBlock(caretState);
+        if (codeBlock) {
+            e.preventDefault();
+            if (e.metaKey || e.ctrlKey) {
+                this.blockManager.insertBlockAfter(codeBlock, '', 'P');
+                this.updateToolbarState();
+            } else {
+                this.codeManager.insertNewline(caretState);
+            }
+            return;
+        }
+
+        // Enter on a selected atomic block adds a paragraph after it
+        const atomicBlock = this.getSelectedAtomicBlock(caretState);
+        if (atomicBlock) {
+            e.preventDefault();
+            this.blockManager.insertBlockAfter(atomicBlock, '', 'P');
+            this.updateToolbarState();
+            return;
+        }
+
+        // Mod+Enter checks or unchecks the selected task items
+        if ((e.metaKey || e.ctrlKey) && this.toggleChecked()) {
+            e.preventDefault();
+            return;
+        }
+
         if (!e.shiftKey) {
             e.preventDefault();
 
             const { range, block } = this.getNormalizedRangeAndBlock();
             if (!range || !block || !range.collapsed) return;
 
+            // Enter in a table cell goes to the cell below (Shift+Enter adds a line break in the cell)
+            if (DOMOperations.isTableCell(block)) {
+                this.tableManager.moveToNextRow();
+                this.updateToolbarState();
+                return;
+            }
+
+            // Enter on an empty list item outdents it (or leaves the list)
+            if (this.listManager.isListItem(block) && DOMOperations.getTextLength(block) === 0) {
+                this.listManager.outdent([block]);
+                this.updateToolbarState();
+                return;
+            }
+
+            // Enter on an empty quote or callout line leaves it
+            if ((block.tagName === 'BLOCKQUOTE' || block.tagName === 'ASIDE') && DOMOperations.getTextLength(block) === 0) {
+                this.blockManager.formatBlock(block, 'P');
+                this.updateToolbarState();
+                return;
+            }
+
             try {
                 // Get text offset within the block
                 const logicalPos = this.caretTracker.getLogicalPosition(range.startContainer, range.startOffset);
@@ -368,17 +1043,17 @@ class Editor {
     }
 
     /**
-     * Handle Tab key
-     */
-    handleTab(e) {
-        e.preventDefault();
-        // TODO: Implement tab handling (indent/outdent)
-    }
-
-    /**
-     * Handle Backspace key
+     * Handle Backspace key
      */
     handleBackspace(e) {
+        // A selected atomic block is deleted as a whole
+        const atomicBlock = this.getSelectedAtomicBlock();
+        if (atomicBlock) {
+            e.preventDefault();
+            this.deleteAtomicBlock(atomicBlock, 'backward');
+            return;
+        }
+
         const { range, block } = this.getNormalizedRangeAndBlock();
         if (!range) {
             e.preventDefault();
@@ -401,19 +1076,47 @@ class Editor {
         if (BlockText.isAtBlockStart(range)) {
             e.preventDefault();
 
-            // If not a paragraph, convert to paragraph
+            // Cells never merge (the table structure has its own commands)
+            if (DOMOperations.isTableCell(block)) return;
+
+            // List items outdent first, then leave the list
+            if (this.listManager.isListItem(block)) {
+                this.listManager.outdent([block]);
+                this.updateToolbarState();
+                return;
+            }
+
+            // Code blocks only turn back into paragraphs once empty
+            if (this.codeManager.isCodeBlock(block)) {
+                if (DOMOperations.getTextLength(block) === 0) {
+                    this.blockManager.formatBlock(block, 'P');
+                    this.updateToolbarState();
+                }
+                return;
+            }
+
+            // If not a paragraph (heading, quote, callout), convert to paragraph
             if (block.tagName !== 'P') {
                 this.blockManager.formatBlock(block, 'P');
+                this.updateToolbarState();
                 return;
             }
 
             // If it's a paragraph, merge or delete
-            const previousBlock = block.previousElementSibling;
+            const previousBlock = this.blockManager.getPreviousBlock(block);
             if (previousBlock) {
                 const blockText = block.innerText;
                 if (blockText === '' || blockText === '\n') {
                     // If current block is empty, just delete it (caret handled by mutation)
                     this.blockManager.deleteBlock(block);
+                } else if (DOMOperations.isTableCell(previousBlock)) {
+                    // Text after a table only moves the caret into its last cell
+                    const previousIndex = this.blockManager.getAllBlocks().indexOf(previousBlock);
+                    this.caretTracker.restoreCaretState(CaretState.collapsed(previousIndex, DOMOperations.getTextLength(previousBlock)));
+                } else if (DOMOperations.isAtomicBlock(previousBlock)) {
+                    // An atomic block before is deleted instead of merged (the caret stays at the block start)
+                    const previousIndex = this.blockManager.getAllBlocks().indexOf(previousBlock);
+                    this.blockManager.deleteBlock(previousBlock, CaretState.collapsed(previousIndex, 0));
                 } else {
                     // Merge with previous block (caret handled by mutation)
                     this.blockManager.mergeWithPrevious(block);
@@ -426,6 +1129,14 @@ class Editor {
      * Handle Delete key
      */
     handleDelete(e) {
+        // A selected atomic block is deleted as a whole
+        const atomicBlock = this.getSelectedAtomicBlock();
+        if (atomicBlock) {
+            e.preventDefault();
+            this.deleteAtomicBlock(atomicBlock, 'forward');
+            return;
+        }
+
         const { range, block } = this.getNormalizedRangeAndBlock();
         if (!range) {
             e.preventDefault();
@@ -448,7 +1159,10 @@ class Editor {
         if (BlockText.isAtBlockEnd(range)) {
             e.preventDefault();
 
-            const nextBlock = block.nextElementSibling;
+            // Cells never merge (the table structure has its own commands)
+            if (DOMOperations.isTableCell(block)) return;
+
+            const nextBlock = this.blockManager.getNextBlock(block);
             if (nextBlock) {
                 const nextBlockText = nextBlock.innerText;
                 if (nextBlockText === '' || nextBlockText === '\n') {
@@ -462,12 +1176,169 @@ class Editor {
         }
     }
 
+    /**
+     * Get the atomic block selected by a caret (a collapsed caret in an atomic block, e.g. a clicked <hr>)
+     * @param {CaretState|null} caretState - Caret (defaults to the selection)
+     * @returns {Element|null} The selected atomic block
+     */
+    getSelectedAtomicBlock(caretState = this.caretTracker.captureCaretState()) {
+        if (!this.contentManager.isAtomicCaret(caretState)) return null;
+
+        return this.blockManager.getAllBlocks()[caretState.startBlockIndex];
+    }
+
+    /**
+     * Delete an atomic block as a whole (Backspace/Delete on a selected block)
+     * The caret goes to the neighbor in the key's direction (the other one at the document edge);
+     * the only block of the document becomes an empty paragraph instead
+     * @param {Element} block - Atomic block
+     * @param {string} direction - 'backward' or 'forward'
+     */
+    deleteAtomicBlock(block, direction) {
+        const blocks = this.blockManager.getAllBlocks();
+        const index = blocks.indexOf(block);
+
+        if (blocks.length === 1) {
+            this.blockManager.formatBlock(block, 'P');
+        } else {
+            // Without a caret state, DELETE_BLOCK goes to the end of the previous block
+            const toNext = direction === 'forward' ? index < blocks.length - 1 : index === 0;
+            this.blockManager.deleteBlock(block, toNext ? CaretState.collapsed(index, 0) : null);
+        }
+        this.updateToolbarState();
+    }
+
+    /**
+     * Handle arrow keys around atomic blocks, which take no caret: a selected atomic block is left
+     * for the nearest text block, and Left/Right at a block edge jump over atomic blocks (selecting
+     * the last one when no text block follows). Other moves stay native; a caret Up/Down puts on
+     * an atomic block is moved on once the selection changed (see skipPendingAtomicBlock).
+     * @param {string} direction - 'backward' (Left/Up) or 'forward' (Right/Down)
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {boolean} Whether the key was handled
+     */
+    handleArrowKey(direction, e) {
+        this.pendingArrowDirection = null;
+
+        const caretState = this.caretTracker.captureCaretState();
+        if (!caretState) return false;
+
+        const blocks = this.blockManager.getAllBlocks();
+        const step = direction === 'backward' ? -1 : 1;
+        const index = step < 0 ? caretState.startBlockIndex : caretState.endBlockIndex;
+        const block = blocks[index];
+        if (!block) return false;
+
+        if (this.contentManager.isAtomicCaret(caretState)) {
+            this.skipAtomicBlocks(index, direction);
+            return true;
+        }
+
+        const isVertical = !!e && (e.key === 'ArrowUp' || e.key === 'ArrowDown');
+        const edgeOffset = step < 0 ? 0 : DOMOperations.getTextLength(block);
+        const atEdge = caretState.isCollapsed && caretState.startOffset === edgeOffset;
+        if (isVertical || !atEdge || !DOMOperations.isAtomicBlock(blocks[index + step])) {
+            if (isVertical) this.pendingArrowDirection = direction;
+            return false;
+        }
+
+        this.skipAtomicBlocks(index + step, direction);
+        return true;
+    }
+
+    /**
+     * Move the caret from an atomic block to the nearest text block in a direction (the end of a block
+     * before, the start of a block after); without one, the last atomic block that way is selected
+     * @private
+     * @param {number} index - Index of an atomic block
+     * @param {string} direction - 'backward' or 'forward'
+     */
+    skipAtomicBlocks(index, direction) {
+        const blocks = this.blockManager.getAllBlocks();
+        const step = direction === 'backward' ? -1 : 1;
+
+        let atomicIndex = index;
+        while (DOMOperations.isAtomicBlock(blocks[atomicIndex + step])) {
+            atomicIndex += step;
+        }
+
+        const target = blocks[atomicIndex + step];
+        this.caretTracker.restoreCaretState(target
+            ? CaretState.collapsed(atomicIndex + step, step < 0 ? DOMOperations.getTextLength(target) : 0)
+            : CaretState.collapsed(atomicIndex, 0));
+    }
+
+    /**
+     * Move a caret that native Up/Down placed on an atomic block on in the same direction
+     * @private
+     */
+    skipPendingAtomicBlock() {
+        const direction = this.pendingArrowDirection;
+        if (!direction) return;
+
+        this.pendingArrowDirection = null;
+        const caretState = this.caretTracker.captureCaretState();
+        if (this.contentManager.isAtomicCaret(caretState)) {
+            this.skipAtomicBlocks(caretState.startBlockIndex, direction);
+        }
+    }
+
+    /**
+     * Mark the selected atomic block (browsers draw no selection on an <hr>)
+     * @private
+     */
+    updateAtomicSelection() {
+        const block = this.getSelectedAtomicBlock();
+        if (block === this.selectedAtomicBlock) return;
+
+        if (this.selectedAtomicBlock) {
+            this.selectedAtomicBlock.classList.remove('selected');
+        }
+        if (block) {
+            block.classList.add('selected');
+        }
+        this.selectedAtomicBlock = block;
+    }
+
     /**
      * Handle beforeinput events
      */
     onBeforeInput(e) {
         if (e.isComposing) return;
 
+        // Without native history, browser undo/redo (e.g. Edit menu) would edit the DOM directly
+        if (this.historyManager.isFallback && (e.inputType === 'historyUndo' || e.inputType === 'historyRedo')) {
+            e.preventDefault();
+            if (e.inputType === 'historyUndo') {
+                this.undo();
+            } else {
+                this.redo();
+            }
+            return;
+        }
+
+        // Route native formatting commands (e.g. Ctrl+B) through undoable inline mutations
+        const mark = NATIVE_FORMAT_INPUT_TYPES[e.inputType];
+        if (mark) {
+            e.preventDefault();
+            this.toggleInlineFormat(mark);
+            return;
+        }
+
+        // Typed text and deletions inside blocks become undoable mutations (coalesced by HistoryManager)
+        if (TEXT_INPUT_TYPES.has(e.inputType)) {
+            if (this.handleTextInput(e)) {
+                e.preventDefault();
+
+                // Typed syntax may complete an input rule (its own undo step)
+                if (this.inputRules && e.inputType === 'insertText') {
+                    this.inputRules.handleTextInput();
+                }
+                this.updateToolbarState();
+            }
+            return;
+        }
+
         const selection = window.getSelection();
         if (!selection.isCollapsed && this.isCrossBlockSelection()) {
             // Only use custom deletion for cross-block selections
@@ -477,12 +1348,38 @@ class Editor {
         }
     }
 
+    /**
+     * Apply a text input event (typing, Backspace/Delete) as a mutation
+     * Uses the event's target range when the browser provides one, otherwise the selection
+     * @returns {boolean} Whether the input was handled (the native edit must be prevented)
+     */
+    handleTextInput(e) {
+        const targetRanges = typeof e.getTargetRanges === 'function' ? e.getTargetRanges() : [];
+        const caretState = targetRanges.length > 0
+            ? this.caretTracker.captureRangeState(targetRanges[0])
+            : this.caretTracker.captureCaretState();
+        if (!caretState) return false;
+
+        if (e.inputType === 'insertText' || e.inputType === 'insertReplacementText') {
+            const text = e.data ?? (e.dataTransfer ? e.dataTransfer.getData('text/plain') : null);
+            return this.contentManager.insertText(text, caretState);
+        }
+
+        // Word and line deletions need the browser's target range; without it they stay native
+        const isCharacterDeletion = e.inputType === 'deleteContentBackward' || e.inputType === 'deleteContentForward';
+        if (caretState.isCollapsed && !isCharacterDeletion) return false;
+
+        const direction = e.inputType.includes('Backward') ? 'backward' : 'forward';
+        return this.contentManager.deleteText(direction, caretState);
+    }
+
     /**
      * Handle IME composition start
      */
     onCompositionStart(e) {
         // Start composition mode in history manager
         this.historyManager.startComposition();
+        this.events.emit('compositionstart', { data: e.data || '', ...this.getSelectionPayload() });
 
         // Handle cross-block selections during IME
         if (!window.getSelection().isCollapsed && this.isCrossBlockSelection()) {
@@ -504,6 +1401,116 @@ class Editor {
     onCompositionEnd(e) {
         // End composition mode and create composite mutation
         this.historyManager.endComposition();
+        this.events.emit('compositionend', { data: e.data || '', ...this.getSelectionPayload() });
+    }
+
+    /**
+     * Handle editor focus
+     */
+    onFocus() {
+        this.events.emit('focus', this.getSelectionPayload());
+    }
+
+    /**
+     * Handle editor blur (once the selection has left the editor, the last known caret is reported)
+     */
+    onBlur() {
+        const caretState = this.caretTracker.captureCaretState() || this.lastCaretState;
+        this.events.emit('blur', { caretState, blockTag: this.getBlockTag(caretState) });
+    }
+
+    /**
+     * Emit a change event for a committed mutation
+     * @private
+     */
+    onMutationCommit(mutation) {
+        if (!this.events.hasListeners('change')) return;
+
+        const caretState = mutation.caretStateAfter || this.caretTracker.captureCaretState();
+        this.events.emit('change', { mutation, source: 'commit', caretState, blockTag: this.getBlockTag(caretState) });
+    }
+
+    /**
+     * Emit undo/redo (and change) events for history changes
+     * @private
+     */
+    onHistoryChange(type, entry) {
+        if (type !== 'undo' && type !== 'redo') return;
+
+        const caretState = (type === 'undo' ? entry.caretStateBefore : entry.caretStateAfter) ||
+            this.caretTracker.captureCaretState();
+        const blockTag = this.getBlockTag(caretState);
+
+        this.events.emit(type, { mutation: entry, caretState, blockTag });
+        this.events.emit('change', { mutation: entry, source: type, caretState, blockTag });
+    }
+
+    /**
+     * Emit a selectionchange event if the caret moved
+     * @private
+     */
+    emitSelectionChange() {
+        const payload = this.getSelectionPayload();
+        const { caretState } = payload;
+        if (caretState && this.lastCaretState && caretState.equals(this.lastCaretState)) return;
+
+        this.lastCaretState = caretState;
+        this.events.emit('selectionchange', payload);
+    }
+
+    /**
+     * Get the current caret and block tag for event payloads
+     * @private
+     * @returns {EditorSelectionEvent} Payload
+     */
+    getSelectionPayload() {
+        const caretState = Carets.isSelectionInEditor(this.element) ? this.caretTracker.captureCaretState() : null;
+        return { caretState, blockTag: this.getBlockTag(caretState) };
+    }
+
+    /**
+     * Get the tag of the block a caret starts in
+     * @private
+     * @param {CaretState|null} caretState - Caret
+     * @returns {string|null} Block tag (null if there is no such block)
+     */
+    getBlockTag(caretState) {
+        if (!caretState) return null;
+
+        const block = this.blockManager.getAllBlocks()[caretState.startBlockIndex];
+        return block ? block.tagName : null;
+    }
+
+    /**
+     * Add an event listener
+     * @template {keyof EditorEventMap} K
+     * @param {K} type - Event type: change, selectionchange, focus, blur, undo, redo, compositionstart, compositionend
+     * @param {function(EditorEventMap[K]): void} listener - Called with the event payload
+     * @returns {Function} Function removing the listener
+     */
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    /**
+     * Add an event listener called once
+     * @template {keyof EditorEventMap} K
+     * @param {K} type - Event type
+     * @param {function(EditorEventMap[K]): void} listener - Called with the event payload
+     * @returns {Function} Function removing the listener
+     */
+    once(type, listener) {
+        return this.events.once(type, listener);
+    }
+
+    /**
+     * Remove an event listener
+     * @template {keyof EditorEventMap} K
+     * @param {K} type - Event type
+     * @param {function(EditorEventMap[K]): void} listener - Listener to remove
+     */
+    off(type, listener) {
+        this.events.off(type, listener);
     }
 
     /**
@@ -511,13 +1518,129 @@ class Editor {
      */
     onPaste(e) {
         e.preventDefault();
-        // TODO: Implement paste handling with sanitization
+
+        // Pasted image files (without text, which comes with e.g. copied documents) are uploaded and inserted
+        const caretState = this.caretTracker.captureCaretState();
+        const text = e.clipboardData ? e.clipboardData.getData('text/plain') : '';
+        const imageFiles = ImageManager.getImageFiles(e.clipboardData);
+        if (imageFiles.length > 0 && !text) {
+            this.insertImageFiles(imageFiles);
+            return;
+        }
+
+        // Code blocks take the plain text exactly; elsewhere sanitized content replaces the selection
+        // (both as one undoable mutation)
+        const success = this.codeManager.getCodeBlock(caretState) && text
+            ? this.codeManager.insertText(text, caretState)
+            : this.clipboardManager.paste(e.clipboardData);
+
+        if (success) {
+            this.updateToolbarState();
+        }
+    }
+
+    /**
+     * Handle copy events
+     */
+    onCopy(e) {
+        if (this.clipboardManager.copy(e.clipboardData)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Handle cut events
+     */
+    onCut(e) {
+        // Written data only reaches the clipboard when the default is prevented
+        e.preventDefault();
+
+        if (this.clipboardManager.cut(e.clipboardData)) {
+            this.updateToolbarState();
+        }
+    }
+
+    /**
+     * Handle dragover events (accept files, other drags stay native)
+     */
+    onDragOver(e) {
+        if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        }
+    }
+
+    /**
+     * Handle drop events (image files are inserted at the block under the pointer)
+     */
+    onDrop(e) {
+        if (!e.dataTransfer || !Array.from(e.dataTransfer.types || []).includes('Files')) return;
+
+        // Dropped files never open in the page
+        e.preventDefault();
+
+        const imageFiles = ImageManager.getImageFiles(e.dataTransfer);
+        if (imageFiles.length > 0) {
+            this.insertImageFiles(imageFiles, this.getBlockAtPoint(e.clientX, e.clientY) || this.blockManager.getBlockForNode(e.target));
+        }
+    }
+
+    /**
+     * Get the block at a viewport point
+     * @param {number} x - Client x
+     * @param {number} y - Client y
+     * @returns {Element|null} Block under the point
+     */
+    getBlockAtPoint(x, y) {
+        let node = null;
+        if (document.caretRangeFromPoint) {
+            const range = document.caretRangeFromPoint(x, y);
+            node = range && range.startContainer;
+        } else if (document.caretPositionFromPoint) {
+            const position = document.caretPositionFromPoint(x, y);
+            node = position && position.offsetNode;
+        }
+        return this.element.contains(node) ? this.blockManager.getBlockForNode(node) : null;
+    }
+
+    /**
+     * Upload image files and insert them at a block (see ImageManager.insertFiles)
+     * @param {File[]} files - Image files
+     * @param {Element|null} block - Block to insert at (null for the caret)
+     * @returns {Promise<boolean>} Whether anything was inserted
+     */
+    insertImageFiles(files, block = null) {
+        return this.imageManager.insertFiles(files, block).then(success => {
+            if (success) {
+                this.updateToolbarState();
+            }
+            return success;
+        });
     }
 
     /**
      * Handle mousedown events
      */
     onMouseDown(e) {
+        this.pendingArrowDirection = null;
+
+        // Clicking an atomic block selects it (it takes no caret)
+        const block = this.blockManager.getBlockForNode(e.target);
+        if (DOMOperations.isAtomicBlock(block)) {
+            e.preventDefault();
+            this.element.focus();
+            this.caretTracker.restoreCaretState(CaretState.collapsed(this.blockManager.getAllBlocks().indexOf(block), 0));
+            return;
+        }
+
+        // Clicking the checkbox of a task item toggles it without moving the caret
+        if (this.listManager.isCheckboxHit(block, e.clientX)) {
+            e.preventDefault();
+            this.listManager.toggleChecked([block]);
+            this.updateToolbarState();
+            return;
+        }
+
         let el = e.target;
         if (el !== this.element) {
             // Find the block element
@@ -534,6 +1657,19 @@ class Editor {
         }
     }
 
+    /**
+     * Handle click events (Ctrl/Cmd+click opens links)
+     */
+    onClick(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const link = this.linkManager.getLinkForNode(e.target);
+        if (link) {
+            e.preventDefault();
+            this.linkManager.openLink(link);
+        }
+    }
+
     /**
      * Handle button click (demo)
      */
@@ -578,6 +1714,192 @@ class Editor {
         }
     }
 
+    /**
+     * Get the document as JSON (see DocumentModel for the schema)
+     * @returns {Object} JSON document
+     */
+    getDocument() {
+        return DocumentModel.fromRoot(this.element);
+    }
+
+    /**
+     * Replace the document (one undoable mutation)
+     * @param {Object} doc - JSON document
+     * @returns {boolean} Whether the document was loaded
+     */
+    setDocument(doc) {
+        if (!DocumentModel.isValid(doc)) {
+            console.warn('Unsupported document:', doc);
+            return false;
+        }
+
+        const success = this.blockManager.replaceBlocks(DocumentModel.toRoot(doc));
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Get the document as Markdown (CommonMark; underline as <u>)
+     * @returns {string} Markdown text
+     */
+    toMarkdown() {
+        return Markdown.serialize(this.getDocument());
+    }
+
+    /**
+     * Replace the document with parsed Markdown (one undoable mutation)
+     * @param {string} text - Markdown text
+     * @returns {boolean} Whether the document was loaded
+     */
+    fromMarkdown(text) {
+        const success = this.blockManager.replaceBlocks(Markdown.parse(String(text)));
+
+        if (success) {
+            this.updateToolbarState();
+        }
+        return success;
+    }
+
+    /**
+     * Set up autosave and offer a recoverable draft
+     * @private
+     * @param {boolean|string|Object} autosave - true, a draft key, or {key, since}
+     */
+    setupAutosave(autosave) {
+        if (!AutosaveManager.isSupported()) {
+            console.warn('Autosave is unavailable: IndexedDB is not supported');
+            return;
+        }
+
+        const options = typeof autosave === 'object' ? autosave : { key: typeof autosave === 'string' ? autosave : undefined };
+        this.autosaveManager = new AutosaveManager(this.element, this.stateManager, this.historyManager, options);
+
+        this.draftBanner = new DraftBanner({
+            onRestore: (draft) => {
+                // Restoring is one undoable change, saved as the new draft
+                this.autosaveManager.resolveDraft();
+                this.setDocument(draft.document);
+            },
+            onDiscard: () => {
+                this.autosaveManager.clearDraft().then(() => this.autosaveManager.resolveDraft());
+            },
+        });
+
+        this.autosaveManager.findDraft().then(draft => {
+            if (draft) this.draftBanner.show(draft);
+        });
+    }
+
+    /**
+     * Remove the autosaved draft (call after saving the document elsewhere)
+     * @returns {Promise<boolean>} Whether the draft was removed
+     */
+    clearDraft() {
+        if (!this.autosaveManager) return Promise.resolve(false);
+
+        this.draftBanner.hide();
+        return this.autosaveManager.clearDraft().then(success => {
+            this.autosaveManager.resolveDraft();
+            return success;
+        });
+    }
+
+    /**
+     * Install a plugin
+     *
+     * {
+     *     name: 'callout',
+     *     blockTypes: [{ tag: 'ASIDE', sourceTags: ['ASIDE'], toMarkdown: (json, text) => `> ${text}` }], // See BlockTypes
+     *     mutations: { SET_CALLOUT: { apply(mutation) {}, revert(mutation) {} } }, // Registered with StateManager
+     *     commands: { callout: (variant, event) => { ... } }, // See CommandRegistry
+     *     keys: { 'Mod-Alt-C': 'callout:info' }, // Or (editor, event) => {...}; see Keymap
+     *     toolbar: [{ label: '!', title: 'Callout', onClick: (editor) => {}, isActive: (editor, block) => false }],
+     *     inputRules: [{ name: 'callout', pattern: /^!! $/, handler: (match, context) => [...mutations] }], // See InputRules
+     *     slashItems: [{ name: 'callout', label: 'Callout', keywords: ['aside'], command: 'callout:info' }], // See SlashMenu
+     *     readClipboard: (clipboardData) => null, // Detached root of blocks to paste, or null (see ClipboardManager)
+     *     install(editor) { return () => {}; }, // Anything else; may return a cleanup function
+     * }
+     *
+     * A function is installed as a plugin's install hook.
+     * @param {Object|Function} plugin - Plugin
+     * @returns {Editor} The editor (for chaining)
+     */
+    use(plugin) {
+        if (typeof plugin === 'function') {
+            plugin = { install: plugin };
+        }
+        if (!plugin || typeof plugin !== 'object') {
+            throw new TypeError('Plugin must be an object or a function');
+        }
+        if (plugin.name && this.plugins.some(installed => installed.plugin.name === plugin.name)) {
+            console.warn(`Plugin already installed: ${plugin.name}`);
+            return this;
+        }
+
+        // Block types are page-wide (see BlockTypes), so they are unregistered on destroy
+        const blockTypes = (plugin.blockTypes || []).map(spec => BlockTypes.register(spec));
+
+        Object.entries(plugin.mutations || {}).forEach(([type, handler]) => {
+            this.stateManager.registerHandler(type, handler);
+        });
+
+        Object.entries(plugin.commands || {}).forEach(([name, run]) => {
+            this.commands.register(name, run);
+        });
+
+        // The user's bindings (and unbinds) win over the plugin's
+        this.keymap.bindAll(plugin.keys || {});
+        this.keymap.bindAll(this.userKeymap);
+
+        (plugin.toolbar || []).forEach(item => this.addToolbarItem(item));
+
+        if (this.inputRules) {
+            (plugin.inputRules || []).forEach(rule => this.inputRules.addRule(rule));
+        }
+
+        if (this.slashMenu) {
+            (plugin.slashItems || []).forEach(item => this.slashMenu.register(item));
+        }
+
+        if (plugin.readClipboard) {
+            this.clipboardManager.addClipboardReader(plugin.readClipboard);
+        }
+
+        const cleanup = plugin.install ? plugin.install(this) : null;
+        this.plugins.push({ plugin, blockTypes, cleanup: typeof cleanup === 'function' ? cleanup : null });
+
+        this.updateToolbarState();
+        return this;
+    }
+
+    /**
+     * Add a toolbar button
+     * @param {Object} item - {label, title?, onClick(editor), isActive?(editor, block), isDisabled?(editor, block)}
+     * @returns {HTMLButtonElement} The button
+     */
+    addToolbarItem({ label, title, onClick, isActive, isDisabled }) {
+        const btn = DOMOperations.createElement('button');
+        btn.className = 'toolbar-btn plugin-btn';
+        btn.type = 'button';
+        btn.textContent = label;
+        if (title) btn.title = title;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', () => {
+            onClick(this);
+            this.updateToolbarState();
+        });
+
+        if (!this.pluginGroup.parentNode) {
+            this.toolbar.insertBefore(this.pluginGroup, this.actionGroup);
+        }
+        this.pluginGroup.appendChild(btn);
+        this.pluginItems.push({ button: btn, isActive, isDisabled });
+        return btn;
+    }
+
     /**
      * Get editor statistics
      */
@@ -595,13 +1917,48 @@ class Editor {
      */
     destroy() {
         // Remove event listeners
-        this.element.removeEventListener('keydown', this.onKeyDown.bind(this));
-        this.element.removeEventListener('beforeinput', this.onBeforeInput.bind(this));
-        this.element.removeEventListener('paste', this.onPaste.bind(this));
-        this.element.removeEventListener('mousedown', this.onMouseDown.bind(this));
+        this.eventListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.eventListeners = [];
+
+        // Remove editor event sources and listeners
+        this.stateManager.removeCommitListener(this.onMutationCommit);
+        this.historyManager.removeHistoryListener(this.onHistoryChange);
+        this.events.clear();
+
+        this.keymap.destroy();
+
+        // Let plugins clean up
+        this.plugins.forEach(({ blockTypes, cleanup }) => {
+            if (cleanup) cleanup();
+            blockTypes.forEach(registration => BlockTypes.unregister(registration));
+        });
+        this.plugins = [];
 
         // Destroy managers
         this.historyManager.destroy();
+        this.linkPopover.destroy();
+        this.imagePopover.destroy();
+        if (this.slashMenu) {
+            this.slashMenu.destroy();
+        }
+        if (this.bubbleToolbar) {
+            this.bubbleToolbar.destroy();
+        }
+        if (this.dragHandle) {
+            this.dragHandle.destroy();
+        }
+        if (this.historyStore) {
+            this.historyStore.destroy();
+        }
+        if (this.autosaveManager) {
+            this.autosaveManager.destroy();
+            this.draftBanner.destroy();
+        }
+
+        // Remove the bottom editing bar (its buttons' listeners go with it)
+        if (this.toolbar.parentNode) {
+            this.toolbar.parentNode.removeChild(this.toolbar);
+        }
     }
 }
 
@@ -0,0 +1,100 @@
+/**
+ * Event Emitter - Minimal typed event emitter
+ *
+ * Event types and their payloads are described by a JSDoc map type, e.g.
+ * `@type {EventEmitter<{change: EditorChangeEvent}>}`. A throwing listener is reported
+ * and doesn't stop the others (listeners are outside code, e.g. integrations).
+ *
+ * @template {Object} EventMap - Event type to payload
+ */
+class EventEmitter {
+    constructor() {
+        /** @type {Map<string, Function[]>} */
+        this.listeners = new Map();
+    }
+
+    /**
+     * Add a listener
+     * @template {keyof EventMap} K
+     * @param {K} type - Event type
+     * @param {function(EventMap[K]): void} listener - Called with the payload
+     * @returns {Function} Function removing the listener
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Add a listener called once
+     * @template {keyof EventMap} K
+     * @param {K} type - Event type
+     * @param {function(EventMap[K]): void} listener - Called with the payload
+     * @returns {Function} Function removing the listener
+     */
+    once(type, listener) {
+        const wrapper = (payload) => {
+            this.off(type, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener; // So off() finds it by the original listener
+        return this.on(type, wrapper);
+    }
+
+    /**
+     * Remove a listener (also one added with once, given the original listener)
+     * @template {keyof EventMap} K
+     * @param {K} type - Event type
+     * @param {function(EventMap[K]): void} listener - Listener to remove
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        const index = listeners.findIndex(added => added === listener || added.listener === listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check whether an event type has listeners (payloads can be skipped otherwise)
+     * @param {keyof EventMap} type - Event type
+     */
+    hasListeners(type) {
+        const listeners = this.listeners.get(type);
+        return !!listeners && listeners.length > 0;
+    }
+
+    /**
+     * Call the listeners of an event type
+     * @template {keyof EventMap} K
+     * @param {K} type - Event type
+     * @param {EventMap[K]} payload - Event payload
+     */
+    emit(type, payload) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        // Listeners removed or added while emitting don't affect this call
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        }
+    }
+
+    /**
+     * Remove all listeners
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+export default EventEmitter;
\ No newline at end of file
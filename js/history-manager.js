@@ -2,19 +2,52 @@ import { SPLIT_BLOCK, MERGE_BLOCKS, COMPOSITE_MUTATION } from './mutation-types.
 import { CaretState } from './caret-tracker.js';
 import Carets from './carets.js';
 
+/**
+ * Typing pause (ms) after which keystrokes start a new undo step
+ */
+const TYPING_GROUP_TIMEOUT = 1000;
+
+/**
+ * Check whether the browser can record tracker edits in its native undo stack
+ */
+function isNativeHistorySupported() {
+    if (typeof document.execCommand !== 'function') return false;
+
+    try {
+        return typeof document.queryCommandSupported !== 'function' || document.queryCommandSupported('insertText');
+    } catch (error) {
+        return false;
+    }
+}
+
 /**
  * History Manager - Manages undo/redo functionality for mutations
  * Uses a hidden contenteditable element to hook into browser's native undo/redo
+ *
+ * Without native support (no execCommand) it falls back to keeping its own index;
+ * the editor then handles the undo/redo shortcuts itself.
  */
 class HistoryManager {
-    constructor(stateManager, caretTracker) {
+    /**
+     * @param {StateManager} stateManager - State manager to record
+     * @param {CaretTracker} caretTracker - Caret tracker for caret states
+     * @param {Object} options - {mode: 'native' | 'fallback' (default: native when supported)}
+     */
+    constructor(stateManager, caretTracker, options = {}) {
         this.stateManager = stateManager;
         this.caretTracker = caretTracker;
         this.historyStack = [];
         this.cachedSelectionRect = null; // Cache bounding rect for iOS optimization
 
+        // Fallback mode keeps the index here instead of the tracker
+        this.isFallback = options.mode ? options.mode === 'fallback' : !isNativeHistorySupported();
+        this.index = 0;
+
         // Create hidden contenteditable for browser undo/redo integration
-        this.createHiddenTracker();
+        this.tracker = null;
+        if (!this.isFallback) {
+            this.createHiddenTracker();
+        }
 
         // Listen to commits for history recording and caret capture
         this.stateManager.addBeforeCommitListener(this.onBeforeCommit.bind(this));
@@ -23,6 +56,42 @@ class HistoryManager {
         // IME composition state
         this.isComposing = false;
         this.delayedMutations = [];
+
+        // Open typing group (history entry that consecutive keystrokes join)
+        this.typingGroup = null;
+        this.lastTypingTime = 0;
+
+        // Listeners for history changes (entry pushed/joined, undo, redo, clear)
+        this.historyListeners = [];
+        this.isLoading = false;
+    }
+
+    /**
+     * Add a listener for history changes
+     * @param {Function} listener - Called with (type, entry); type is 'push', 'join', 'undo', 'redo' or 'clear'
+     */
+    addHistoryListener(listener) {
+        this.historyListeners.push(listener);
+    }
+
+    /**
+     * Remove a history listener
+     * @param {Function} listener - Function to remove
+     */
+    removeHistoryListener(listener) {
+        const index = this.historyListeners.indexOf(listener);
+        if (index > -1) {
+            this.historyListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Notify history listeners
+     */
+    notifyHistoryChange(type, entry) {
+        for (const listener of this.historyListeners) {
+            listener(type, entry);
+        }
     }
 
     /**
@@ -55,9 +124,23 @@ class HistoryManager {
      * Read current index from DOM tracker (0 if empty)
      */
     currentIndex() {
+        if (this.isFallback) {
+            return this.index;
+        }
         return this.tracker.innerText | 0;
     }
 
+    /**
+     * Switch to fallback mode, keeping the current index (the browser refused a tracker command)
+     */
+    enableFallback() {
+        if (this.isFallback) return;
+
+        console.warn('Native undo is unavailable, using fallback history');
+        this.index = this.currentIndex();
+        this.isFallback = true;
+    }
+
     /**
      * Handle before commit to capture caret state
      */
@@ -145,10 +228,68 @@ class HistoryManager {
             return;
         }
 
+        // Typed text and deletions (see ContentManager.insertText/deleteText) join the open typing group
+        if (mutation.typing) {
+            return this.pushTyping(mutation);
+        }
+
         return this._pushHistory(mutation)
     }
 
+    /**
+     * Record a typing mutation, coalescing consecutive keystrokes into one history entry
+     * A new entry starts on word boundaries, pauses, caret jumps, a change between typing and
+     * deleting, or after any other mutation (e.g. formatting)
+     */
+    pushTyping(mutation) {
+        const now = Date.now();
+        const group = this.typingGroup;
+        const lastMutation = group && group.mutations[group.mutations.length - 1];
+
+        const canJoin = group &&
+            group === this.historyStack[this.historyStack.length - 1] &&
+            this.currentIndex() === this.historyStack.length &&
+            group.typing === mutation.typing &&
+            now - this.lastTypingTime <= TYPING_GROUP_TIMEOUT &&
+            !!mutation.caretStateBefore && mutation.caretStateBefore.equals(group.caretStateAfter) &&
+            !this.isWordBoundary(lastMutation, mutation);
+
+        this.lastTypingTime = now;
+
+        if (canJoin) {
+            group.mutations.push(mutation);
+            group.caretStateAfter = mutation.caretStateAfter;
+            this.notifyHistoryChange('join', group);
+            return;
+        }
+
+        // Built like a composition: one composite entry whose sub-mutations replay in order
+        this._pushHistory({
+            type: COMPOSITE_MUTATION,
+            mutations: [mutation],
+            typing: mutation.typing,
+            caretStateBefore: mutation.caretStateBefore,
+            caretStateAfter: mutation.caretStateAfter,
+        });
+        this.typingGroup = this.historyStack[this.historyStack.length - 1];
+    }
+
+    /**
+     * Check whether typed text starts a new word (text after whitespace)
+     */
+    isWordBoundary(previous, mutation) {
+        const getText = (m) => m.type === COMPOSITE_MUTATION ? getText(m.mutations[m.mutations.length - 1]) : m.content;
+        const previousText = previous ? getText(previous) : null;
+        const text = getText(mutation);
+
+        return typeof previousText === 'string' && typeof text === 'string' &&
+            /\s$/.test(previousText) && /^\S/.test(text);
+    }
+
     _pushHistory(mutation) {
+        // Any new entry closes the typing group
+        this.typingGroup = null;
+
         // Get current index from DOM (0 if empty)
         const currentIndex = this.currentIndex();
 
@@ -159,14 +300,32 @@ class HistoryManager {
 
         this.historyStack.push(mutation);
 
-        /**
-         * Update the hidden tracker element with current index
-         * MUST use execCommand for browser to track history properly
-         */
-        this._setTracker(this.historyStack.length);
+        if (this.isFallback) {
+            this.index = this.historyStack.length;
+        } else {
+            /**
+             * Update the hidden tracker element with current index
+             * MUST use execCommand for browser to track history properly
+             */
+            this._setTracker(this.historyStack.length);
+        }
+
+        this.notifyHistoryChange('push', mutation);
     }
 
     _setTracker(value) {
+        // Use execCommand to make it undoable
+        if (!this._execTrackerCommand('insertText', value + '')) {
+            this.enableFallback();
+            this.index = value;
+        }
+    }
+
+    /**
+     * Run an editing command on the tracker without disturbing the editor selection
+     * @returns {boolean} Whether the browser executed the command
+     */
+    _execTrackerCommand(command, value = null) {
         // Save current selection to avoid interference with editor
         const selection = window.getSelection();
         let savedRange = null;
@@ -177,24 +336,32 @@ class HistoryManager {
         // Position tracker from cached rect before potential focus (iOS optimization)
         this.positionTrackerFromCache();
 
-        // Select tracker content and update via execCommand
+        // Select tracker content and run the command
         const range = document.createRange();
         range.selectNodeContents(this.tracker);
         selection.removeAllRanges();
         selection.addRange(range);
 
-        // Use execCommand to make it undoable
-        document.execCommand('insertText', false, value + '');
+        let success = false;
+        try {
+            success = document.execCommand(command, false, value);
+        } catch (error) {
+            console.warn(`Tracker command failed: ${command}`, error);
+        }
 
-        // Restore original selection
-        selection.removeAllRanges();
-        if (savedRange) {
-            try {
-                selection.addRange(savedRange);
-            } catch (e) {
-                // Range may be invalid after DOM changes, ignore
+        // Restore original selection, unless the command placed the caret itself (undo/redo restore it)
+        if (selection.rangeCount === 0 || this.tracker.contains(selection.getRangeAt(0).startContainer)) {
+            selection.removeAllRanges();
+            if (savedRange) {
+                try {
+                    selection.addRange(savedRange);
+                } catch (e) {
+                    // Range may be invalid after DOM changes, ignore
+                }
             }
         }
+
+        return success;
     }
 
     /**
@@ -259,12 +426,16 @@ class HistoryManager {
      * Handle input event on tracker
      */
     onInput(e) {
+        // Fallback mode handles undo/redo itself (the tracker may still get native edits)
+        if (this.isFallback || this.isLoading) return;
+
+        // The browser has already moved the tracker index
         switch (e.inputType) {
             case 'historyUndo':
-                this.undo();
+                this.revertEntry(this.currentIndex());
                 break;
             case 'historyRedo':
-                this.redo();
+                this.replayEntry(this.currentIndex() - 1);
                 break;
         }
     }
@@ -279,12 +450,49 @@ class HistoryManager {
     }
 
     /**
-     * Perform undo operation
+     * Undo the last entry
+     * In native mode the tracker edit is undone too, so the browser's undo stack stays in step
+     * @returns {boolean} Whether an entry was undone
      */
     undo() {
-        // DOM index is already reset to the target state when undo event triggers
-        // So we use the current DOM value directly as the operation index
-        const operationIndex = this.currentIndex();
+        if (!this.canUndo()) return false;
+
+        const index = this.currentIndex() - 1;
+        if (!this.isFallback) {
+            // The tracker's historyUndo input reverts the entry
+            if (this._execTrackerCommand('undo') && this.currentIndex() === index) return true;
+            this.enableFallback();
+        }
+
+        this.index = index;
+        return this.revertEntry(index);
+    }
+
+    /**
+     * Redo the next entry
+     * @returns {boolean} Whether an entry was redone
+     */
+    redo() {
+        if (!this.canRedo()) return false;
+
+        const index = this.currentIndex() + 1;
+        if (!this.isFallback) {
+            // The tracker's historyRedo input replays the entry
+            if (this._execTrackerCommand('redo') && this.currentIndex() === index) return true;
+            this.enableFallback();
+        }
+
+        this.index = index;
+        return this.replayEntry(index - 1);
+    }
+
+    /**
+     * Revert a history entry and restore the caret from before it
+     * @param {number} operationIndex - Index of the entry
+     */
+    revertEntry(operationIndex) {
+        this.typingGroup = null;
+
         const mutation = this.historyStack[operationIndex];
         if (!mutation) return false;
 
@@ -296,18 +504,19 @@ class HistoryManager {
             this.caretTracker.restoreCaretState(mutation.caretStateBefore);
         }
 
+        if (success) {
+            this.notifyHistoryChange('undo', mutation);
+        }
         return success;
     }
 
     /**
-     * Perform redo operation
+     * Replay a history entry and restore the caret from after it
+     * @param {number} operationIndex - Index of the entry
      */
-    redo() {
-        // For redo, DOM index points to current state, so we need the previous mutation
-        const currentIndex = this.currentIndex();
-        if (currentIndex === 0) return false;
+    replayEntry(operationIndex) {
+        this.typingGroup = null;
 
-        const operationIndex = currentIndex - 1;
         const mutation = this.historyStack[operationIndex];
         if (!mutation) return false;
 
@@ -319,6 +528,9 @@ class HistoryManager {
             this.caretTracker.restoreCaretState(mutation.caretStateAfter);
         }
 
+        if (success) {
+            this.notifyHistoryChange('redo', mutation);
+        }
         return success;
     }
 
@@ -327,7 +539,7 @@ class HistoryManager {
      */
     canUndo() {
         const currentIndex = this.currentIndex();
-        return this.historyStack[currentIndex] !== undefined;
+        return currentIndex > 0 && this.historyStack[currentIndex - 1] !== undefined;
     }
 
     /**
@@ -335,7 +547,7 @@ class HistoryManager {
      */
     canRedo() {
         const currentIndex = this.currentIndex();
-        return currentIndex > 0 && this.historyStack[currentIndex - 1] !== undefined;
+        return this.historyStack[currentIndex] !== undefined;
     }
 
     /**
@@ -343,7 +555,42 @@ class HistoryManager {
      */
     clear() {
         this.historyStack = [];
-        this.tracker.textContent = '0';
+        this.typingGroup = null;
+        this.index = 0;
+        if (this.tracker) {
+            this.tracker.textContent = '0';
+        }
+
+        this.notifyHistoryChange('clear', null);
+    }
+
+    /**
+     * Replace the history (e.g. restored after a reload)
+     * @param {Array<Object>} entries - History entries (the document must be the state at `index`)
+     * @param {number} index - Number of entries that can be undone
+     */
+    load(entries, index) {
+        this.historyStack = [...entries];
+        this.typingGroup = null;
+
+        if (!this.isFallback) {
+            // Rebuild the browser's undo stack: one tracker edit per entry, then undo back to the index
+            // (the tracker's input events are ignored meanwhile, the document is already in place)
+            this.isLoading = true;
+            try {
+                this.tracker.textContent = '0';
+                for (let i = 1; i <= entries.length && !this.isFallback; i++) {
+                    this._setTracker(i);
+                }
+                for (let i = entries.length; i > index && !this.isFallback; i--) {
+                    if (!this._execTrackerCommand('undo')) this.enableFallback();
+                }
+            } finally {
+                this.isLoading = false;
+            }
+        }
+
+        this.index = index;
     }
 
     /**
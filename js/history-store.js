@@ -0,0 +1,377 @@
+import { SPLICE_BLOCKS, INSERT_CONTENT, DELETE_CONTENT } from './mutation-types.js';
+import { CaretState } from './caret-tracker.js';
+import DocumentModel from './document-model.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Version of the stored history format
+ */
+const HISTORY_VERSION = 1;
+
+/**
+ * Default storage key
+ */
+const DEFAULT_KEY = 'vanilla-editor-history';
+
+/**
+ * Delay (ms) between a change and saving
+ */
+const SAVE_DELAY = 500;
+
+/**
+ * Maximum number of undoable entries kept in storage
+ */
+const MAX_ENTRIES = 100;
+
+/**
+ * Get localStorage (null where it is unavailable, e.g. blocked by privacy settings)
+ */
+function getLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * History Store - Persists the document and its undo history across page reloads
+ *
+ * History entries hold live DOM references, so each one is also recorded in a position-based form:
+ * the range of blocks it changed, as JSON blocks before and after (see DocumentModel), plus its
+ * caret states. Restored entries are SPLICE_BLOCKS mutations built from those records.
+ * A history change only snapshots the document (a keystroke serializes just its block again);
+ * the snapshots are compared when the history is saved.
+ *
+ * {
+ *     version: 1,
+ *     document: { version: 1, blocks: [...] },
+ *     index: 2, // Entries that can be undone
+ *     entries: [{ index: 0, before: [...], after: [...], caretStateBefore: {...}, caretStateAfter: {...} }],
+ * }
+ */
+class HistoryStore {
+    /**
+     * @param {Element} editorElement - Editor root
+     * @param {StateManager} stateManager - State manager (applies the restored document)
+     * @param {HistoryManager} historyManager - History to persist
+     * @param {Object} options - {key: storage key, storage: Storage-like object (default localStorage)}
+     */
+    constructor(editorElement, stateManager, historyManager, options = {}) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.historyManager = historyManager;
+        this.key = options.key || DEFAULT_KEY;
+        this.storage = options.storage || getLocalStorage();
+
+        // Position-based records of history entries, and the snapshots {before, after} of entries
+        // changed since the last save (blocks unchanged between snapshots are the same objects)
+        this.records = new WeakMap();
+        this.snapshots = new Map();
+
+        // Blocks of the current document, and of the document before the open entry (typing group)
+        this.blocks = this.getBlocks();
+        this.openEntry = null;
+        this.openEntryBlocks = null;
+
+        this.saveTimer = null;
+
+        this.onHistoryChange = this.onHistoryChange.bind(this);
+        this.flush = this.flush.bind(this);
+        this.historyManager.addHistoryListener(this.onHistoryChange);
+        window.addEventListener('pagehide', this.flush);
+    }
+
+    /**
+     * Get the JSON blocks of the current document
+     * @private
+     */
+    getBlocks() {
+        return DocumentModel.fromRoot(this.editor).blocks;
+    }
+
+    /**
+     * Get the JSON blocks after a change that only edited text inside one block (e.g. a keystroke):
+     * that block is serialized again, the others are kept
+     * @private
+     * @param {Object} mutation - The new mutation
+     * @returns {Array<Object>|null} Blocks, or null if the mutation may have changed other blocks
+     */
+    getBlocksAfterTextEdit(mutation) {
+        let index = -1;
+        if (mutation.type === INSERT_CONTENT) {
+            index = mutation.caretState.startBlockIndex;
+        } else if (mutation.type === DELETE_CONTENT && mutation.extractData) {
+            // Deleted inside one block (see ContentManager)
+            index = mutation.startBlockIndex;
+        }
+
+        const elements = DOMOperations.getBlocks(this.editor);
+        const block = elements[index];
+        if (!block || elements.length !== this.blocks.length) return null;
+
+        const parent = block.parentNode;
+        const listType = parent.tagName === 'UL' || parent.tagName === 'OL' ? parent.tagName : null;
+
+        const blocks = this.blocks.slice();
+        blocks[index] = DocumentModel.serializeBlock(block, listType, Array.from(block.childNodes));
+        return blocks;
+    }
+
+    /**
+     * Snapshot history changes and schedule a save
+     * @private
+     */
+    onHistoryChange(type, entry) {
+        let blocks = null;
+        if (type === 'push' || type === 'join') {
+            // The new mutation: a joined keystroke, or the only one of a new entry (typing groups are composites)
+            const mutations = entry.mutations || [entry];
+            if (type === 'join' || mutations.length === 1) {
+                blocks = this.getBlocksAfterTextEdit(mutations[mutations.length - 1]);
+            }
+        }
+        blocks = blocks || this.getBlocks();
+
+        if (type === 'push' || type === 'join') {
+            // A joined entry (typing group) is recorded from the document before its first change
+            if (type === 'push' || entry !== this.openEntry) {
+                this.openEntry = entry;
+                this.openEntryBlocks = this.blocks;
+            }
+            this.snapshots.set(entry, { before: this.openEntryBlocks, after: blocks });
+        } else {
+            this.openEntry = null;
+            this.openEntryBlocks = null;
+        }
+
+        this.blocks = blocks;
+        this.scheduleSave();
+    }
+
+    /**
+     * Turn the snapshots of entries changed since the last save into records
+     * @private
+     */
+    recordSnapshots() {
+        this.snapshots.forEach(({ before, after }, entry) => this.records.set(entry, this.diffBlocks(before, after)));
+        this.snapshots.clear();
+    }
+
+    /**
+     * Find the range of blocks that differs between two documents
+     * The range holds whole tables, as cells are only rebuilt with the rest of their table
+     * @private
+     * @returns {Object} Record {index, before, after}
+     */
+    diffBlocks(before, after) {
+        // Blocks kept from an earlier snapshot are equal without serializing them
+        const keys = new Map();
+        const getKey = (block) => {
+            if (!keys.has(block)) keys.set(block, JSON.stringify(block));
+            return keys.get(block);
+        };
+        const isEqual = (a, b) => a === b || getKey(a) === getKey(b);
+
+        let start = 0;
+        while (start < before.length && start < after.length && isEqual(before[start], after[start])) {
+            start++;
+        }
+
+        let end = 0;
+        while (end < before.length - start && end < after.length - start &&
+            isEqual(before[before.length - 1 - end], after[after.length - 1 - end])) {
+            end++;
+        }
+
+        while (start > 0 && (DocumentModel.continuesTable(before[start]) || DocumentModel.continuesTable(after[start]))) {
+            start--;
+        }
+        while (end > 0 && DocumentModel.continuesTable(before[before.length - end])) {
+            end--;
+        }
+
+        return {
+            index: start,
+            before: before.slice(start, before.length - end),
+            after: after.slice(start, after.length - end),
+        };
+    }
+
+    /**
+     * Serialize the document with the recorded entries around the current history position
+     * Entries without a record (e.g. from before the store was attached) end the persisted range
+     * @returns {Object} Stored history
+     */
+    serialize() {
+        this.recordSnapshots();
+
+        const { stack, index } = this.historyManager.getState();
+
+        let start = index;
+        while (start > 0 && index - start < MAX_ENTRIES && this.records.has(stack[start - 1])) {
+            start--;
+        }
+        let end = index;
+        while (end < stack.length && this.records.has(stack[end])) {
+            end++;
+        }
+
+        return {
+            version: HISTORY_VERSION,
+            document: DocumentModel.fromRoot(this.editor),
+            index: index - start,
+            entries: stack.slice(start, end).map(entry => ({
+                ...this.records.get(entry),
+                caretStateBefore: this.serializeCaretState(entry.caretStateBefore),
+                caretStateAfter: this.serializeCaretState(entry.caretStateAfter),
+            })),
+        };
+    }
+
+    /**
+     * Convert a caret state to plain JSON
+     * @private
+     */
+    serializeCaretState(caretState) {
+        if (!caretState) return null;
+
+        const { startBlockIndex, startOffset, endBlockIndex, endOffset } = caretState;
+        return { startBlockIndex, startOffset, endBlockIndex, endOffset };
+    }
+
+    /**
+     * Convert plain JSON back to a caret state
+     * @private
+     */
+    deserializeCaretState(json) {
+        if (!json || typeof json !== 'object') return null;
+
+        const { startBlockIndex, startOffset, endBlockIndex, endOffset } = json;
+        if (![startBlockIndex, startOffset, endBlockIndex, endOffset].every(Number.isInteger)) return null;
+
+        return CaretState.range(startBlockIndex, startOffset, endBlockIndex, endOffset);
+    }
+
+    /**
+     * Check whether stored data looks like a supported history
+     * @private
+     */
+    isValid(data) {
+        return !!data && typeof data === 'object' && data.version === HISTORY_VERSION &&
+            DocumentModel.isValid(data.document) && Array.isArray(data.entries) &&
+            Number.isInteger(data.index) && data.index >= 0 && data.index <= data.entries.length &&
+            data.entries.every(entry => entry && Number.isInteger(entry.index) &&
+                Array.isArray(entry.before) && Array.isArray(entry.after));
+    }
+
+    /**
+     * Read the stored history
+     * @returns {Object|null} Stored history, or null if there is none (or it can't be read)
+     */
+    read() {
+        if (!this.storage) return null;
+
+        try {
+            const json = this.storage.getItem(this.key);
+            const data = json ? JSON.parse(json) : null;
+            return this.isValid(data) ? data : null;
+        } catch (error) {
+            console.warn('Failed to read stored history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Restore the stored document and history (nothing is recorded: the restored state is the starting point)
+     * @returns {boolean} Whether a stored history was restored
+     */
+    restore() {
+        const data = this.read();
+        if (!data || data.document.blocks.length === 0) return false;
+
+        // The stored document is the state the history ends at
+        this.stateManager.applySilently({
+            type: SPLICE_BLOCKS,
+            index: 0,
+            removed: this.getBlocks(),
+            inserted: data.document.blocks,
+        });
+
+        const entries = data.entries.map(record => {
+            const entry = {
+                type: SPLICE_BLOCKS,
+                index: record.index,
+                removed: record.before,
+                inserted: record.after,
+                caretStateBefore: this.deserializeCaretState(record.caretStateBefore),
+                caretStateAfter: this.deserializeCaretState(record.caretStateAfter),
+            };
+            this.records.set(entry, { index: record.index, before: record.before, after: record.after });
+            return entry;
+        });
+
+        this.historyManager.load(entries, data.index);
+
+        this.snapshots.clear();
+        this.blocks = this.getBlocks();
+        this.openEntry = null;
+        this.openEntryBlocks = null;
+        return true;
+    }
+
+    /**
+     * Save after a short delay (changes in between are saved together)
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(this.flush, SAVE_DELAY);
+    }
+
+    /**
+     * Save now
+     * @returns {boolean} Whether the history was saved
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.serialize()));
+            return true;
+        } catch (error) {
+            // E.g. storage quota exceeded
+            console.warn('Failed to save history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove the stored history
+     */
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.warn('Failed to clear stored history:', error);
+        }
+    }
+
+    /**
+     * Stop recording (pending changes are saved)
+     */
+    destroy() {
+        if (this.saveTimer) {
+            this.flush();
+        }
+        this.historyManager.removeHistoryListener(this.onHistoryChange);
+        window.removeEventListener('pagehide', this.flush);
+    }
+}
+
+export default HistoryStore;
\ No newline at end of file
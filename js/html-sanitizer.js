@@ -0,0 +1,471 @@
+import DOMOperations from './dom-operations.js';
+import LinkManager from './link-manager.js';
+import { MAX_INDENT } from './list-manager.js';
+import BlockTypes, { CALLOUT_VARIANTS } from './block-types.js';
+import CodeManager from './code-manager.js';
+import ImageManager from './image-manager.js';
+import TableManager from './table-manager.js';
+
+/**
+ * Source block elements mapped to editor blocks (anything else is inline or dropped)
+ */
+const BLOCK_TAGS = {
+    P: 'P', DIV: 'P', H1: 'H1', H2: 'H2', H3: 'H3', H4: 'H4', H5: 'H5', H6: 'H6',
+    LI: 'LI', DT: 'P', DD: 'P', BLOCKQUOTE: 'BLOCKQUOTE', PRE: 'PRE', ADDRESS: 'P',
+    ARTICLE: 'P', SECTION: 'P', HEADER: 'P', FOOTER: 'P', ASIDE: 'ASIDE', NAV: 'P', MAIN: 'P',
+    FIGURE: 'P', FIGCAPTION: 'P', TABLE: 'P', TR: 'P', TD: 'P', TH: 'P', DL: 'P',
+};
+
+/**
+ * Source inline elements mapped to editor marks
+ */
+const MARK_TAGS = {
+    STRONG: 'STRONG', B: 'STRONG', EM: 'EM', I: 'EM', U: 'U', INS: 'U',
+    S: 'S', STRIKE: 'S', DEL: 'S', CODE: 'CODE', KBD: 'CODE', SAMP: 'CODE', TT: 'CODE',
+};
+
+/**
+ * Elements dropped with their content
+ */
+const DROP_TAGS = new Set([
+    'HEAD', 'TITLE', 'META', 'LINK', 'STYLE', 'SCRIPT', 'NOSCRIPT', 'TEMPLATE',
+    'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'CANVAS', 'AUDIO', 'VIDEO',
+    'INPUT', 'TEXTAREA', 'SELECT', 'BUTTON',
+]);
+
+/**
+ * HTML Sanitizer - Reduces foreign HTML (clipboard) to the blocks and marks the editor supports
+ *
+ * The result is a detached root in editor structure: P/H1-H6/BLOCKQUOTE/ASIDE/PRE blocks, HR rules, FIGURE images, UL/OL containers of
+ * flat LI items (data-indent, data-checked) and TABLE > TBODY > TR rows of TD/TH cells (one line per source block), with STRONG/EM/U/S/CODE/A marks only (code blocks are plain text). Nothing from the source is
+ * adopted: text and allowed attributes are copied into new nodes, so scripts, handlers and styles
+ * never reach the editor.
+ */
+class HTMLSanitizer {
+    /**
+     * Sanitize an HTML string
+     * @param {string} html - Source HTML
+     * @returns {Element} Detached root holding the sanitized blocks
+     */
+    static sanitize(html) {
+        // DOMParser documents are inert (no script execution, no resource loading)
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        const state = {
+            root: DOMOperations.createElement('div'),
+            block: null, // Block being filled
+            context: { tagName: 'P', listType: null, indent: 0 }, // Kind of block text goes to
+            lists: [], // Enclosing list types
+            pre: false, // Inside PRE (newlines split blocks, except in code blocks)
+        };
+
+        this.walkChildren(doc.body, state, []);
+        this.endBlock(state);
+
+        return state.root;
+    }
+
+    /**
+     * Sanitize the children of a node
+     * @private
+     */
+    static walkChildren(node, state, marks) {
+        for (const child of node.childNodes) {
+            this.walk(child, state, marks);
+        }
+    }
+
+    /**
+     * Sanitize a node
+     * @private
+     * @param {Node} node - Source node
+     * @param {Object} state - Walk state
+     * @param {Array<Object>} marks - Enclosing marks {tagName, attributes}
+     */
+    static walk(node, state, marks) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            this.appendText(node.textContent, state, marks);
+            return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const tag = node.tagName.toUpperCase();
+        if (DROP_TAGS.has(tag)) return;
+
+        if (tag === 'BR') {
+            // Line breaks start a new block of the same kind (code blocks keep them as text)
+            if (state.context.tagName === 'PRE') {
+                this.appendText('\n', state, marks);
+            } else {
+                this.endBlock(state);
+            }
+            return;
+        }
+
+        if (tag === 'HR') {
+            // Horizontal rules are atomic blocks (inside list items they only end the block)
+            this.endBlock(state);
+            if (state.lists.length === 0 && state.context.tagName !== 'LI') {
+                state.root.appendChild(DOMOperations.createElement('hr'));
+            }
+            return;
+        }
+
+        if (tag === 'IMG' || (tag === 'FIGURE' && node.querySelector('img'))) {
+            this.appendImage(node, state);
+            return;
+        }
+
+        if (tag === 'TABLE' && state.lists.length === 0 && state.context.tagName !== 'LI') {
+            this.appendTable(node, state, marks);
+            return;
+        }
+
+        if (tag === 'UL' || tag === 'OL') {
+            this.endBlock(state);
+            state.lists.push(tag);
+            this.walkChildren(node, state, marks);
+            state.lists.pop();
+            this.endBlock(state);
+            return;
+        }
+
+        // Block types declared by plugins read their source elements first
+        const blockTag = BlockTypes.getTagForSource(tag) || BLOCK_TAGS[tag];
+        if (blockTag) {
+            const previousContext = state.context;
+            const previousPre = state.pre;
+
+            this.endBlock(state);
+            if (blockTag === 'LI' || state.context.tagName === 'LI') {
+                // Blocks inside an item stay in the item's list
+                // Nesting comes from enclosing lists, or data-indent of flat items (our own HTML)
+                const listType = state.lists[state.lists.length - 1] || null;
+                const indent = blockTag === 'LI'
+                    ? state.lists.length - 1 + (parseInt(node.getAttribute('data-indent'), 10) || 0)
+                    : state.context.indent;
+
+                // A task item's checkbox goes to the first block of the item
+                const attributes = blockTag === 'LI' ? { 'data-checked': this.getChecked(node) } : state.context.attributes;
+                if (blockTag !== 'LI') previousContext.attributes = null;
+
+                state.context = listType
+                    ? { tagName: 'LI', listType, indent: Math.min(indent, MAX_INDENT), attributes }
+                    : { tagName: 'P', listType: null, indent: 0 };
+            } else if (state.context.tagName === 'P') {
+                state.context = { tagName: blockTag, listType: null, indent: 0 };
+                if (blockTag === 'PRE') {
+                    state.context.attributes = { 'data-language': this.getLanguage(node) };
+                } else if (blockTag === 'ASIDE') {
+                    state.context.attributes = { 'data-variant': this.getVariant(node) };
+                }
+            }
+            state.pre = state.pre || tag === 'PRE';
+
+            this.walkChildren(node, state, marks);
+
+            this.endBlock(state);
+            state.context = previousContext;
+            state.pre = previousPre;
+            return;
+        }
+
+        // Marks already applied by an ancestor are not nested again
+        const nodeMarks = this.getMarks(node).filter(mark => !marks.some(m => m.tagName === mark.tagName));
+        this.walkChildren(node, state, nodeMarks.length > 0 ? [...marks, ...nodeMarks] : marks);
+    }
+
+    /**
+     * Add an image block for a source IMG, or a FIGURE with its caption
+     * Images are atomic blocks, so they end the current block (inside list items they are dropped)
+     * @private
+     */
+    static appendImage(node, state) {
+        const img = node.tagName.toUpperCase() === 'IMG' ? node : node.querySelector('img');
+        const src = ImageManager.normalizeSrc(img.getAttribute('src'));
+        if (!src || state.lists.length > 0 || state.context.tagName === 'LI') return;
+
+        const caption = img !== node ? node.querySelector('figcaption') : null;
+        this.endBlock(state);
+        state.root.appendChild(ImageManager.createFigure({
+            src,
+            alt: img.getAttribute('alt'),
+            width: node.getAttribute('data-width') || img.getAttribute('width'),
+            caption: caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '',
+        }));
+    }
+
+    /**
+     * Add a table for a source TABLE (inside list items its cells are read as paragraphs instead)
+     * Cells hold inline content, so the blocks of a source cell become lines of the cell
+     * @private
+     */
+    static appendTable(node, state, marks) {
+        const table = DOMOperations.createElement('TABLE');
+        const body = DOMOperations.createElement('TBODY');
+        table.appendChild(body);
+
+        for (const sourceRow of node.rows) {
+            // Rows only covered by spans are kept (empty)
+            const row = DOMOperations.createElement('TR');
+            for (const sourceCell of sourceRow.cells) {
+                const cell = DOMOperations.createElement(sourceCell.tagName.toUpperCase() === 'TH' ? 'TH' : 'TD');
+                this.fillCell(sourceCell, cell, marks);
+                TableManager.setSpan(cell, {
+                    colspan: parseInt(sourceCell.getAttribute('colspan'), 10) || 1,
+                    rowspan: parseInt(sourceCell.getAttribute('rowspan'), 10) || 1,
+                });
+                row.appendChild(cell);
+            }
+            body.appendChild(row);
+        }
+
+        if (DOMOperations.getBlocks(table).length === 0) return;
+
+        this.endBlock(state);
+        state.root.appendChild(table);
+    }
+
+    /**
+     * Fill a cell with the sanitized content of a source cell, one line per block
+     * @private
+     */
+    static fillCell(sourceCell, cell, marks) {
+        const cellState = {
+            root: DOMOperations.createElement('div'),
+            block: null,
+            context: { tagName: 'P', listType: null, indent: 0 },
+            lists: [],
+            pre: false,
+        };
+        this.walkChildren(sourceCell, cellState, marks);
+        this.endBlock(cellState);
+
+        DOMOperations.getBlocks(cellState.root)
+            .filter(block => !DOMOperations.isAtomicBlock(block))
+            .forEach((block, i) => {
+                if (i > 0) {
+                    cell.appendChild(DOMOperations.createElement('br'));
+                }
+                Array.from(block.childNodes).forEach(child => cell.appendChild(child));
+            });
+        DOMOperations.normalizeBlock(cell);
+    }
+
+    /**
+     * Get the language of a source PRE (data-language, or a language-* / lang-* class on it or its CODE)
+     * @private
+     * @returns {string|null} Language name
+     */
+    static getLanguage(pre) {
+        const code = pre.querySelector('code');
+        for (const element of code ? [pre, code] : [pre]) {
+            const match = /(?:^|\s)(?:language|lang)-(\S+)/.exec(element.getAttribute('class') || '');
+            const language = CodeManager.normalizeLanguage(element.getAttribute('data-language') || (match && match[1]));
+            if (language) return language;
+        }
+        return null;
+    }
+
+    /**
+     * Get the variant of a source callout (data-variant, or a class naming one, e.g. callout-warning)
+     * @private
+     * @returns {string} Callout variant
+     */
+    static getVariant(aside) {
+        const names = [aside.getAttribute('data-variant'), ...(aside.getAttribute('class') || '').split(/[\s-]+/)];
+        return CALLOUT_VARIANTS.find(variant => names.includes(variant)) || CALLOUT_VARIANTS[0];
+    }
+
+    /**
+     * Get the checked state of a source list item (data-checked, or a checkbox like GitHub's task lists)
+     * @private
+     * @returns {string|null} 'true' or 'false', null for items without a checkbox
+     */
+    static getChecked(item) {
+        if (item.hasAttribute('data-checked')) {
+            return item.getAttribute('data-checked') === 'true' ? 'true' : 'false';
+        }
+
+        const checkbox = item.querySelector(':scope > input[type="checkbox"], :scope > p:first-child > input[type="checkbox"]');
+        return checkbox ? String(checkbox.hasAttribute('checked')) : null;
+    }
+
+    /**
+     * Get the editor marks an inline source element stands for
+     * @private
+     * @param {Element} element - Source element
+     * @returns {Array<Object>} Marks {tagName, attributes}
+     */
+    static getMarks(element) {
+        const tag = element.tagName.toUpperCase();
+        const style = element.style || {};
+        const marks = [];
+
+        if (tag === 'A') {
+            const href = LinkManager.normalizeHref(element.getAttribute('href'));
+            if (href) marks.push({ tagName: 'A', attributes: { href } });
+            return marks;
+        }
+
+        const markTag = MARK_TAGS[tag];
+        const fontWeight = style.fontWeight;
+
+        // Google Docs wraps whole documents in <b style="font-weight:normal">
+        const isNormalWeight = fontWeight === 'normal' || (parseInt(fontWeight, 10) > 0 && parseInt(fontWeight, 10) < 600);
+        if (markTag && !(markTag === 'STRONG' && isNormalWeight)) {
+            marks.push({ tagName: markTag, attributes: null });
+        }
+
+        // Styled spans (word processors) stand for marks too
+        if (!markTag) {
+            const decoration = `${style.textDecoration || ''} ${style.textDecorationLine || ''}`;
+
+            if (fontWeight === 'bold' || fontWeight === 'bolder' || parseInt(fontWeight, 10) >= 600) {
+                marks.push({ tagName: 'STRONG', attributes: null });
+            }
+            if (style.fontStyle === 'italic' || style.fontStyle === 'oblique') {
+                marks.push({ tagName: 'EM', attributes: null });
+            }
+            if (decoration.includes('underline')) {
+                marks.push({ tagName: 'U', attributes: null });
+            }
+            if (decoration.includes('line-through')) {
+                marks.push({ tagName: 'S', attributes: null });
+            }
+        }
+
+        return marks;
+    }
+
+    /**
+     * Append text to the current block (creating it if needed)
+     * @private
+     */
+    static appendText(text, state, marks) {
+        if (state.context.tagName === 'PRE') {
+            // Code blocks keep their text exactly, without marks
+            this.appendInline(text.replace(/\r\n?/g, '\n'), state, []);
+            return;
+        }
+
+        if (state.pre) {
+            // Preformatted text keeps its spaces, each line is a block
+            const lines = text.replace(/\r\n?/g, '\n').split('\n');
+            lines.forEach((line, i) => {
+                if (i > 0) this.endBlock(state);
+                if (line) this.appendInline(line, state, marks);
+            });
+            return;
+        }
+
+        // Collapse HTML whitespace (non-breaking spaces are kept)
+        let value = text.replace(/[ \t\n\r\f]+/g, ' ');
+
+        // Drop leading whitespace at block start and after a space
+        if (!state.block || / $/.test(state.block.textContent) || DOMOperations.getTextLength(state.block) === 0) {
+            value = value.replace(/^ /, '');
+        }
+        if (!value) return;
+
+        this.appendInline(value, state, marks);
+    }
+
+    /**
+     * Append a text node wrapped in marks to the current block
+     * @private
+     */
+    static appendInline(text, state, marks) {
+        if (!state.block) {
+            state.block = this.startBlock(state);
+        }
+
+        let node = DOMOperations.createTextNode(text);
+        for (let i = marks.length - 1; i >= 0; i--) {
+            const wrapper = DOMOperations.createElement(marks[i].tagName);
+            Object.entries(marks[i].attributes || {}).forEach(([name, value]) => wrapper.setAttribute(name, value));
+            wrapper.appendChild(node);
+            node = wrapper;
+        }
+
+        state.block.appendChild(node);
+    }
+
+    /**
+     * Create a block for the current context and add it to the root
+     * @private
+     */
+    static startBlock(state) {
+        const { tagName, listType, indent, attributes } = state.context;
+        const block = DOMOperations.createElement(tagName);
+
+        Object.entries(attributes || {}).forEach(([name, value]) => {
+            if (value) block.setAttribute(name, value);
+        });
+
+        if (!listType) {
+            state.root.appendChild(block);
+            return block;
+        }
+
+        if (indent > 0) {
+            block.setAttribute('data-indent', String(indent));
+        }
+
+        // Consecutive items of the same type share a container
+        let container = state.root.lastChild;
+        if (!container || container.tagName !== listType) {
+            container = DOMOperations.createElement(listType);
+            state.root.appendChild(container);
+        }
+        container.appendChild(block);
+
+        return block;
+    }
+
+    /**
+     * Finish the current block (empty blocks are dropped, identical adjacent marks joined)
+     * @private
+     */
+    static endBlock(state) {
+        const block = state.block;
+        if (!block) return;
+        state.block = null;
+
+        // Trim trailing collapsed whitespace (code only loses the newline before </pre>)
+        const lastText = this.getLastTextNode(block);
+        if (lastText) {
+            lastText.textContent = lastText.textContent.replace(block.tagName === 'PRE' ? /\n$/ : / $/, '');
+        }
+
+        if (DOMOperations.getTextLength(block) === 0) {
+            const parent = block.parentNode;
+            block.remove();
+            if (DOMOperations.isBlockContainer(parent) && parent.children.length === 0) {
+                parent.remove();
+            }
+            return;
+        }
+
+        const children = DOMOperations.joinAdjacentInline(Array.from(block.childNodes));
+        DOMOperations.clearBlock(block);
+        children.forEach(child => block.appendChild(child));
+        DOMOperations.normalizeBlock(block);
+    }
+
+    /**
+     * Get the last text node of an element
+     * @private
+     */
+    static getLastTextNode(element) {
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, null, false);
+        let last = null;
+        let node;
+        while (node = walker.nextNode()) {
+            last = node;
+        }
+        return last;
+    }
+}
+
+export default HTMLSanitizer;
\ No newline at end of file
@@ -0,0 +1,312 @@
+import { UPDATE_IMAGE } from './mutation-types.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Block tag of images
+ */
+const IMAGE_BLOCK_TAG = 'FIGURE';
+
+/**
+ * Smallest width (px) an image can be resized to
+ */
+const MIN_WIDTH = 48;
+
+/**
+ * Accepted data URLs (base64 images, e.g. from the default upload hook)
+ */
+const DATA_URL_PATTERN = /^data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Image Manager - Handles FIGURE image blocks
+ *
+ * An image is an atomic block (see DOMOperations.atomicBlockTags): a non-editable <figure> holding
+ * an <img> and an optional <figcaption>. The figure's data-src, data-alt and data-width (px, natural
+ * size without it) attributes are the image, kept by DocumentModel like any block data attribute;
+ * the caption is the block's JSON content. Files become image URLs through the upload hook,
+ * (file) => url or a promise of one: data URLs by default, e.g. URL.createObjectURL for URLs that
+ * only live as long as the page.
+ */
+class ImageManager {
+    /**
+     * @param {Element} editorElement - Editor root
+     * @param {StateManager} stateManager - State manager
+     * @param {CaretTracker} caretTracker - Caret tracker
+     * @param {BlockManager} blockManager - Inserts the figures
+     * @param {Object} options - {upload: (file) => url or Promise<url>}
+     */
+    constructor(editorElement, stateManager, caretTracker, blockManager, options = {}) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+        this.blockManager = blockManager;
+        this.upload = options.upload || ImageManager.readAsDataURL;
+        this.registerHandlers();
+    }
+
+    /**
+     * Normalize an image URL (null if it can't be shown as an image)
+     * @param {string} src - URL, e.g. typed, pasted or from untrusted JSON
+     * @returns {string|null} Web, blob or base64 data URL, or a relative path
+     */
+    static normalizeSrc(src) {
+        const value = typeof src === 'string' ? src.trim() : '';
+        if (!value || /[\u0000-\u001f]/.test(value)) return null;
+
+        if (/^data:/i.test(value)) {
+            return DATA_URL_PATTERN.test(value) ? value.replace(/\s/g, '') : null;
+        }
+
+        const url = value.replace(/ /g, '%20');
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+            return /^(https?|blob):/i.test(url) ? url : null;
+        }
+        return /^[/.?#]/.test(url) ? url : `https://${url}`;
+    }
+
+    /**
+     * Normalize an image width (null for the natural size)
+     * @param {*} width - Width in px
+     * @returns {number|null} Whole width of at least MIN_WIDTH
+     */
+    static normalizeWidth(width) {
+        const value = Math.round(Number(width));
+        return Number.isFinite(value) && value >= MIN_WIDTH ? value : null;
+    }
+
+    /**
+     * Read the image of a figure
+     * @param {Element} figure - Figure block
+     * @returns {Object} Image {src, alt, width, caption}
+     */
+    static getImage(figure) {
+        const caption = Array.from(figure.children).find(child => child.tagName === 'FIGCAPTION');
+
+        return {
+            src: figure.getAttribute('data-src'),
+            alt: figure.getAttribute('data-alt'),
+            width: this.normalizeWidth(figure.getAttribute('data-width')),
+            caption: caption ? caption.textContent : '',
+        };
+    }
+
+    /**
+     * Render an image into a figure (attributes, <img> and <figcaption>)
+     * The <img> is kept, so changing the width or caption doesn't load the image again
+     * @param {Element} figure - Figure block
+     * @param {Object} image - Image {src, alt?, width?, caption?}
+     */
+    static renderImage(figure, { src, alt, width, caption }) {
+        const attributes = {
+            'data-src': this.normalizeSrc(src),
+            'data-alt': alt || null,
+            'data-width': this.normalizeWidth(width),
+        };
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (value === null) {
+                figure.removeAttribute(name);
+            } else {
+                figure.setAttribute(name, String(value));
+            }
+        });
+        figure.setAttribute('contenteditable', 'false');
+
+        const children = Array.from(figure.children);
+        const img = children.find(child => child.tagName === 'IMG') || DOMOperations.createElement('img');
+        img.setAttribute('draggable', 'false');
+        if (attributes['data-src']) {
+            img.setAttribute('src', attributes['data-src']);
+        } else {
+            img.removeAttribute('src');
+        }
+        img.setAttribute('alt', alt || caption || '');
+        img.style.width = attributes['data-width'] ? `${attributes['data-width']}px` : '';
+
+        if (!caption) {
+            DOMOperations.setChildren(figure, [img]);
+            return;
+        }
+
+        const figcaption = children.find(child => child.tagName === 'FIGCAPTION') || DOMOperations.createElement('figcaption');
+        figcaption.textContent = caption;
+        DOMOperations.setChildren(figure, [img, figcaption]);
+    }
+
+    /**
+     * Create a figure block for an image
+     * @param {Object} image - Image {src, alt?, width?, caption?}
+     * @returns {Element} Figure block
+     */
+    static createFigure(image) {
+        const figure = DOMOperations.createElement(IMAGE_BLOCK_TAG);
+        this.renderImage(figure, image);
+        return figure;
+    }
+
+    /**
+     * Get the image files of a drop or paste
+     * @param {DataTransfer} dataTransfer - Data of a drop or paste event
+     * @returns {File[]} Image files
+     */
+    static getImageFiles(dataTransfer) {
+        if (!dataTransfer) return [];
+
+        let files = Array.from(dataTransfer.files || []);
+        if (files.length === 0 && dataTransfer.items) {
+            // Some browsers only list pasted files as items
+            files = Array.from(dataTransfer.items)
+                .filter(item => item.kind === 'file')
+                .map(item => item.getAsFile())
+                .filter(Boolean);
+        }
+        return files.filter(file => /^image\//.test(file.type));
+    }
+
+    /**
+     * Default upload hook: read a file as a data URL (kept in the document itself)
+     * @param {File} file - Image file
+     * @returns {Promise<string>} Data URL
+     */
+    static readAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Register image-related mutation handlers
+     * (figures are inserted and removed like any block)
+     */
+    registerHandlers() {
+        // Update image handler: renders the changes over the current image, kept for revert
+        this.stateManager.registerHandler(UPDATE_IMAGE, {
+            apply: (mutation) => {
+                const { element, image } = mutation;
+
+                mutation.oldImage = ImageManager.getImage(element);
+                ImageManager.renderImage(element, { ...mutation.oldImage, ...image });
+            },
+
+            revert: (mutation) => {
+                ImageManager.renderImage(mutation.element, mutation.oldImage);
+            },
+        });
+    }
+
+    /**
+     * Check if a block is an image
+     * @param {Element} block - The block to check
+     * @returns {boolean} True for FIGURE blocks
+     */
+    isImage(block) {
+        return !!block && block.tagName === IMAGE_BLOCK_TAG;
+    }
+
+    /**
+     * Get the selected image (a collapsed caret on a figure selects it)
+     * @returns {Element|null} Figure block or null
+     */
+    getImageAtSelection() {
+        const caretState = this.caretTracker.captureCaretState();
+        if (!caretState || !caretState.isCollapsed) return null;
+
+        const block = DOMOperations.getBlocks(this.editor)[caretState.startBlockIndex];
+        return this.isImage(block) ? block : null;
+    }
+
+    /**
+     * Get the block at the caret (the last block without a selection in the editor)
+     * @private
+     */
+    getCaretBlock() {
+        const blocks = DOMOperations.getBlocks(this.editor);
+        const caretState = this.caretTracker.captureCaretState();
+        return blocks[caretState ? caretState.startBlockIndex : blocks.length - 1] || null;
+    }
+
+    /**
+     * Insert images at a block as one undo step (above an empty block, otherwise below it)
+     * Images landing at the end of the document are followed by an empty paragraph to go on typing
+     * @param {Array<Object>} images - Images {src, alt?, width?, caption?} (invalid URLs are skipped)
+     * @param {Element|null} block - Block at the caret or drop point (null for the caret)
+     * @returns {boolean} Whether anything was inserted
+     */
+    insertImages(images, block = null) {
+        const target = block || this.getCaretBlock();
+        const figures = images
+            .filter(image => ImageManager.normalizeSrc(image.src))
+            .map(image => ImageManager.createFigure(image));
+        if (figures.length === 0 || !this.blockManager.isBlock(target)) return false;
+
+        return this.stateManager.batch(() => {
+            const inserted = figures.every((figure, i) => i === 0
+                ? this.blockManager.insertAtomicBlock(figure, target)
+                : this.blockManager.insertTopLevelBlock(figure, figures[i - 1]));
+
+            const lastFigure = figures[figures.length - 1];
+            if (!inserted || lastFigure.nextElementSibling) return inserted;
+
+            const paragraph = DOMOperations.createElement('p');
+            DOMOperations.normalizeBlock(paragraph);
+            return this.blockManager.insertTopLevelBlock(paragraph, lastFigure);
+        });
+    }
+
+    /**
+     * Upload image files and insert them at a block (see insertImages)
+     * When the block is gone by the time the uploads are done, the images go to the caret
+     * @param {File[]} files - Files (non-images are skipped)
+     * @param {Element|null} block - Block at the caret or drop point (null for the caret)
+     * @returns {Promise<boolean>} Whether anything was inserted
+     */
+    insertFiles(files, block = null) {
+        const imageFiles = Array.from(files).filter(file => /^image\//.test(file.type));
+        if (imageFiles.length === 0) return Promise.resolve(false);
+
+        return Promise.all(imageFiles.map(file => this.upload(file)))
+            .then(urls => {
+                const target = block && this.editor.contains(block) ? block : null;
+                return this.insertImages(urls.map(src => ({ src })), target);
+            })
+            .catch(error => {
+                console.warn('Failed to upload images:', error);
+                return false;
+            });
+    }
+
+    /**
+     * Change an image (undoable UPDATE_IMAGE)
+     * @param {Element} figure - Figure block
+     * @param {Object} changes - Changed fields of {src, alt, width, caption}
+     * @returns {boolean} Whether anything changed
+     */
+    updateImage(figure, changes) {
+        if (!this.isImage(figure) || !this.editor.contains(figure)) return false;
+        if ('src' in changes && !ImageManager.normalizeSrc(changes.src)) return false;
+
+        const current = ImageManager.getImage(figure);
+        const isSame = Object.keys(changes).every(name => (changes[name] || null) === (current[name] || null));
+        if (isSame) return false;
+
+        return this.stateManager.commit({
+            type: UPDATE_IMAGE,
+            element: figure,
+            image: changes,
+        });
+    }
+
+    /**
+     * Resize an image (undoable, e.g. at the end of a resize handle drag)
+     * @param {Element} figure - Figure block
+     * @param {number|null} width - Width in px (at least MIN_WIDTH), null for the natural size
+     * @returns {boolean} Whether the width changed
+     */
+    resizeImage(figure, width) {
+        return this.updateImage(figure, { width: width === null ? null : Math.max(MIN_WIDTH, Math.round(width)) });
+    }
+}
+
+export { IMAGE_BLOCK_TAG, MIN_WIDTH };
+export default ImageManager;
\ No newline at end of file
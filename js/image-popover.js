@@ -0,0 +1,351 @@
+import DOMOperations from './dom-operations.js';
+import Carets from './carets.js';
+import ImageManager, { MIN_WIDTH } from './image-manager.js';
+
+/**
+ * Image Popover - Floating UI to insert an image by URL, edit it and resize it
+ *
+ * Shown below a selected image with a resize handle on its corner: dragging the handle previews
+ * the width on the <img>, and releasing commits it as one undoable mutation (see
+ * ImageManager.resizeImage). Edit mode takes the URL and caption, for a new image or the shown one.
+ */
+class ImagePopover {
+    /**
+     * @param {Editor} editor - Editor the images are in
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.imageManager = editor.imageManager;
+        this.caretTracker = editor.caretTracker;
+
+        this.figure = null; // Figure being shown/edited (null when inserting)
+        this.savedCaretState = null; // Editor selection saved while the inputs have focus
+        this.resize = null; // Drag in progress {figure, img, startX, startWidth, width}
+
+        this.createPopover();
+
+        this.update = this.update.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        this.reposition = this.reposition.bind(this);
+        this.onResizeMove = this.onResizeMove.bind(this);
+        this.onResizeEnd = this.onResizeEnd.bind(this);
+
+        this.editor.on('selectionchange', this.update);
+        this.editor.on('change', this.update);
+        this.editor.on('blur', this.onBlur);
+
+        // Capture scrolls of any scrolling ancestor, not only the window
+        window.addEventListener('scroll', this.reposition, true);
+        window.addEventListener('resize', this.reposition);
+    }
+
+    /**
+     * Create popover elements
+     */
+    createPopover() {
+        this.popover = DOMOperations.createElement('div');
+        this.popover.className = 'image-popover';
+        this.popover.hidden = true;
+
+        // View mode: actions on the selected image
+        this.viewGroup = DOMOperations.createElement('div');
+        this.viewGroup.className = 'image-popover-view';
+
+        const editBtn = this.createButton('Edit', () => this.showEditor(this.figure));
+        this.originalSizeButton = this.createButton('Original size', () => this.imageManager.resizeImage(this.figure, null));
+
+        this.viewGroup.appendChild(editBtn);
+        this.viewGroup.appendChild(this.originalSizeButton);
+
+        // Edit mode: URL and caption inputs
+        this.form = DOMOperations.createElement('form');
+        this.form.className = 'image-popover-edit';
+
+        this.srcInput = DOMOperations.createElement('input');
+        this.srcInput.type = 'text';
+        this.srcInput.placeholder = 'Paste or type an image URL';
+
+        this.captionInput = DOMOperations.createElement('input');
+        this.captionInput.type = 'text';
+        this.captionInput.placeholder = 'Caption (optional)';
+
+        const applyBtn = DOMOperations.createElement('button');
+        applyBtn.className = 'toolbar-btn';
+        applyBtn.type = 'submit';
+        applyBtn.textContent = 'Apply';
+
+        this.form.appendChild(this.srcInput);
+        this.form.appendChild(this.captionInput);
+        this.form.appendChild(applyBtn);
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.apply();
+        });
+        this.form.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancel();
+            }
+        });
+
+        // Clicking outside the popover while editing dismisses it
+        this.form.addEventListener('focusout', (e) => {
+            if (!this.popover.contains(e.relatedTarget)) {
+                this.hide();
+            }
+        });
+
+        this.popover.appendChild(this.viewGroup);
+        this.popover.appendChild(this.form);
+        document.body.appendChild(this.popover);
+
+        // Resize handle on the bottom right corner of the shown image
+        this.handle = DOMOperations.createElement('div');
+        this.handle.className = 'image-resize-handle';
+        this.handle.title = 'Drag to resize';
+        this.handle.hidden = true;
+        this.handle.addEventListener('mousedown', (e) => this.onResizeStart(e));
+        document.body.appendChild(this.handle);
+    }
+
+    /**
+     * Create a popover button that does not steal the editor selection
+     * @private
+     */
+    createButton(label, onClick) {
+        const btn = DOMOperations.createElement('button');
+        btn.className = 'toolbar-btn';
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    /**
+     * Whether the inputs are currently being edited
+     */
+    isEditing() {
+        return !this.popover.hidden && !this.form.hidden;
+    }
+
+    /**
+     * Sync the popover with the selected image (on selection and document changes)
+     */
+    update() {
+        // Keep the inputs open while the user types, and the drag going
+        if (this.isEditing() || this.resize) return;
+
+        const figure = this.imageManager.getImageAtSelection();
+        if (figure) {
+            this.showView(figure);
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Show view mode and the resize handle for a figure
+     * @param {Element} figure - Figure block
+     */
+    showView(figure) {
+        this.figure = figure;
+        this.originalSizeButton.disabled = !figure.hasAttribute('data-width');
+
+        this.viewGroup.hidden = false;
+        this.form.hidden = true;
+        this.popover.hidden = false;
+        this.handle.hidden = false;
+        this.reposition();
+    }
+
+    /**
+     * Show edit mode, for a figure or to insert an image at the caret
+     * @param {Element|null} figure - Figure to edit (null to insert)
+     */
+    showEditor(figure = null) {
+        this.figure = figure;
+        this.savedCaretState = this.caretTracker.captureCaretState();
+
+        const image = figure ? ImageManager.getImage(figure) : null;
+        this.srcInput.value = image ? image.src || '' : '';
+        this.captionInput.value = image ? image.caption : '';
+
+        this.viewGroup.hidden = true;
+        this.form.hidden = false;
+        this.popover.hidden = false;
+        this.handle.hidden = true;
+        this.reposition();
+
+        this.srcInput.focus();
+        this.srcInput.select();
+    }
+
+    /**
+     * Get the rect the popover sits below: the shown image, or the caret when inserting
+     * @private
+     */
+    getAnchorRect() {
+        if (this.figure) {
+            const img = this.figure.querySelector('img');
+            return (img || this.figure).getBoundingClientRect();
+        }
+
+        const range = Carets.getCurrentRange();
+        return range && range.getClientRects().length > 0
+            ? range.getBoundingClientRect()
+            : this.editor.element.getBoundingClientRect();
+    }
+
+    /**
+     * Position the popover below its anchor, and the handle on the image corner
+     */
+    reposition() {
+        if (this.popover.hidden) return;
+
+        if (this.figure && !this.editor.element.contains(this.figure)) {
+            this.hide();
+            return;
+        }
+
+        const rect = this.getAnchorRect();
+        this.popover.style.top = (rect.bottom + window.scrollY + 6) + 'px';
+        this.popover.style.left = (rect.left + window.scrollX) + 'px';
+
+        if (!this.handle.hidden) {
+            this.handle.style.top = (rect.bottom + window.scrollY - this.handle.offsetHeight / 2) + 'px';
+            this.handle.style.left = (rect.right + window.scrollX - this.handle.offsetWidth / 2) + 'px';
+        }
+    }
+
+    /**
+     * Hide the popover and the handle
+     */
+    hide() {
+        this.popover.hidden = true;
+        this.handle.hidden = true;
+        this.figure = null;
+        this.savedCaretState = null;
+    }
+
+    /**
+     * Hide when the editor loses focus (unless to the inputs)
+     * @private
+     */
+    onBlur() {
+        if (!this.isEditing()) {
+            this.hide();
+        }
+    }
+
+    /**
+     * Restore the editor selection saved before the inputs took focus
+     * @private
+     */
+    restoreSelection() {
+        // Focusing the editor blurs the inputs, which hides the popover and clears the saved state
+        const caretState = this.savedCaretState;
+        if (caretState) {
+            this.editor.element.focus();
+            this.caretTracker.restoreCaretState(caretState);
+        }
+    }
+
+    /**
+     * Apply the inputs (update the edited image or insert a new one)
+     */
+    apply() {
+        const src = this.srcInput.value;
+        const caption = this.captionInput.value.trim();
+        const figure = this.figure;
+
+        this.restoreSelection();
+        this.hide();
+
+        if (!src.trim()) return;
+
+        const success = figure
+            ? this.imageManager.updateImage(figure, { src, caption })
+            : this.imageManager.insertImages([{ src, caption }]);
+        if (success) {
+            this.editor.updateToolbarState();
+        }
+    }
+
+    /**
+     * Cancel editing and return to the editor
+     */
+    cancel() {
+        this.restoreSelection();
+        this.hide();
+    }
+
+    /**
+     * Start dragging the resize handle
+     * @private
+     */
+    onResizeStart(e) {
+        const img = this.figure && this.figure.querySelector('img');
+        if (!img || e.button !== 0) return;
+
+        // Keep the selection on the image
+        e.preventDefault();
+
+        const startWidth = img.getBoundingClientRect().width;
+        this.resize = { figure: this.figure, img, startX: e.clientX, startWidth, width: startWidth };
+        document.addEventListener('mousemove', this.onResizeMove);
+        document.addEventListener('mouseup', this.onResizeEnd);
+    }
+
+    /**
+     * Preview the width while dragging (not recorded)
+     * @private
+     */
+    onResizeMove(e) {
+        const { figure, img, startX, startWidth } = this.resize;
+        const maxWidth = figure.clientWidth || Infinity;
+
+        this.resize.width = Math.round(Math.min(maxWidth, Math.max(MIN_WIDTH, startWidth + e.clientX - startX)));
+        img.style.width = this.resize.width + 'px';
+        this.reposition();
+    }
+
+    /**
+     * Commit the width when the drag ends (one undoable mutation)
+     * @private
+     */
+    onResizeEnd() {
+        const { figure, img, startWidth, width } = this.resize;
+        this.resize = null;
+        document.removeEventListener('mousemove', this.onResizeMove);
+        document.removeEventListener('mouseup', this.onResizeEnd);
+
+        if (width === startWidth || !this.imageManager.resizeImage(figure, width)) {
+            // Drop the preview
+            const image = ImageManager.getImage(figure);
+            img.style.width = image.width ? image.width + 'px' : '';
+        }
+        this.update();
+    }
+
+    /**
+     * Destroy the popover
+     */
+    destroy() {
+        this.editor.off('selectionchange', this.update);
+        this.editor.off('change', this.update);
+        this.editor.off('blur', this.onBlur);
+        window.removeEventListener('scroll', this.reposition, true);
+        window.removeEventListener('resize', this.reposition);
+        document.removeEventListener('mousemove', this.onResizeMove);
+        document.removeEventListener('mouseup', this.onResizeEnd);
+
+        [this.popover, this.handle].forEach(element => {
+            if (element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+    }
+}
+
+export default ImagePopover;
\ No newline at end of file
@@ -0,0 +1,239 @@
+import { FORMAT_INLINE, UNFORMAT_INLINE } from './mutation-types.js';
+import Carets from './carets.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Inline marks supported by the editor, keyed by canonical tag name.
+ * Aliases are equivalent tags (e.g. produced by the browser or pasted content).
+ */
+const INLINE_MARKS = {
+    STRONG: ['STRONG', 'B'],
+    EM: ['EM', 'I'],
+    U: ['U'],
+    S: ['S', 'STRIKE', 'DEL'],
+    CODE: ['CODE'],
+};
+
+/**
+ * Inline Manager - Handles inline marks (bold, italic, ...) over ranges of text
+ */
+class InlineManager {
+    constructor(editorElement, stateManager, caretTracker) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+        this.registerHandlers();
+    }
+
+    /**
+     * DRY helper to restore caret state after DOM changes
+     * @param {Object} mutation - The mutation object containing caret state
+     * @param {string} stateKey - Key for caret state ('caretStateBefore' or 'caretStateAfter')
+     */
+    restoreCaretState(mutation, stateKey = 'caretStateBefore') {
+        const caretState = mutation[stateKey];
+        if (caretState && this.caretTracker) {
+            try {
+                this.caretTracker.restoreCaretState(caretState);
+            } catch (error) {
+                console.warn('Failed to restore caret state:', error);
+            }
+        }
+    }
+
+    /**
+     * Register all inline-related mutation handlers
+     */
+    registerHandlers() {
+        const handler = {
+            apply: (mutation) => {
+                const { rangeCaretState, tagName, attributes } = mutation;
+                const blocks = DOMOperations.getBlocks(this.editor);
+
+                // Initialize DOM cache only if it doesn't exist (preserve existing cache during replay)
+                if (!mutation.domCache) {
+                    mutation.domCache = {};
+                }
+
+                const format = {
+                    tagName,
+                    attributes,
+                    matchTags: InlineManager.getMatchTags(tagName),
+                    remove: mutation.type === UNFORMAT_INLINE,
+                };
+
+                // Store formatted blocks for revert
+                mutation.formattedBlocks = [];
+
+                for (let i = rangeCaretState.startBlockIndex; i <= rangeCaretState.endBlockIndex; i++) {
+                    const block = blocks[i];
+                    if (!block) continue;
+
+                    const startOffset = i === rangeCaretState.startBlockIndex ? rangeCaretState.startOffset : 0;
+                    const endOffset = i === rangeCaretState.endBlockIndex
+                        ? rangeCaretState.endOffset
+                        : DOMOperations.getTextLength(block);
+
+                    // Nothing selected in this block (e.g. selection ends at offset 0)
+                    if (startOffset >= endOffset) continue;
+
+                    const cacheKey = `block_${i}`;
+                    DOMOperations.prepareInlineFormat(block, startOffset, endOffset, format, mutation.domCache, cacheKey);
+                    DOMOperations.applyInlineFormat(block, mutation.domCache, cacheKey);
+                    mutation.formattedBlocks.push({ element: block, cacheKey });
+                }
+
+                // Text offsets are unchanged by inline formatting, so the selection (or the caret the
+                // mutation was made at, e.g. inside a link being changed) is kept as is
+                mutation.caretStateAfter = mutation.caretState || rangeCaretState;
+                this.restoreCaretState(mutation, 'caretStateAfter');
+            },
+
+            revert: (mutation) => {
+                mutation.formattedBlocks.forEach(({ element, cacheKey }) => {
+                    DOMOperations.revertInlineFormat(element, mutation.domCache, cacheKey);
+                });
+            },
+        };
+
+        // Same handler wraps or unwraps depending on mutation type
+        this.stateManager.registerHandler(FORMAT_INLINE, handler);
+        this.stateManager.registerHandler(UNFORMAT_INLINE, handler);
+    }
+
+    /**
+     * Get the tag names treated as the same mark as tagName
+     * @param {string} tagName - Canonical or alias tag name
+     * @returns {string[]} Matching tag names
+     */
+    static getMatchTags(tagName) {
+        const tag = tagName.toUpperCase();
+        for (const tags of Object.values(INLINE_MARKS)) {
+            if (tags.includes(tag)) return tags;
+        }
+        return [tag];
+    }
+
+    /**
+     * Apply an inline mark to the current selection
+     * @param {string} tagName - Mark tag name (e.g. 'STRONG')
+     * @param {Object} attributes - Optional attributes for the wrapper element
+     * @returns {boolean} Whether the operation was successful
+     */
+    formatSelection(tagName, attributes = null) {
+        return this.commitInlineFormat(FORMAT_INLINE, tagName, attributes);
+    }
+
+    /**
+     * Remove an inline mark from the current selection
+     * @param {string} tagName - Mark tag name (e.g. 'STRONG')
+     * @returns {boolean} Whether the operation was successful
+     */
+    unformatSelection(tagName) {
+        return this.commitInlineFormat(UNFORMAT_INLINE, tagName);
+    }
+
+    /**
+     * Toggle an inline mark on the current selection
+     * @param {string} tagName - Mark tag name (e.g. 'STRONG')
+     * @returns {boolean} Whether the operation was successful
+     */
+    toggleFormat(tagName) {
+        if (this.isFormatActive(tagName)) {
+            return this.unformatSelection(tagName);
+        }
+        return this.formatSelection(tagName);
+    }
+
+    /**
+     * Commit an inline format mutation for the current (non-collapsed) selection
+     * @private
+     */
+    commitInlineFormat(type, tagName, attributes = null) {
+        const range = Carets.getCurrentRange();
+        if (!range || range.collapsed || !this.caretTracker.isRangeInEditor(range)) return false;
+
+        const rangeCaretState = this.caretTracker.captureCaretState();
+        if (!rangeCaretState || rangeCaretState.isCollapsed) return false;
+
+        return this.stateManager.commit(this.createFormatMutation(type, rangeCaretState, tagName, attributes));
+    }
+
+    /**
+     * Create a mutation adding or removing a mark over a range (e.g. part of a composite)
+     * @param {string} type - FORMAT_INLINE or UNFORMAT_INLINE
+     * @param {CaretState} rangeCaretState - Range to format
+     * @param {string} tagName - Mark tag name (e.g. 'STRONG')
+     * @param {Object} attributes - Optional attributes for the wrapper element
+     * @returns {Object} Inline format mutation
+     */
+    createFormatMutation(type, rangeCaretState, tagName, attributes = null) {
+        return {
+            type,
+            rangeCaretState,
+            tagName: tagName.toUpperCase(),
+            attributes,
+        };
+    }
+
+    /**
+     * Find the closest ancestor of a node (inside its block) matching a mark
+     * @param {Node} node - Node to start from
+     * @param {string[]} matchTags - Tag names of the mark
+     * @returns {Element|null} The mark element or null
+     */
+    findMarkElement(node, matchTags) {
+        const block = DOMOperations.getBlockForNode(node, this.editor);
+        let el = node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+
+        while (el && el !== block && el !== this.editor) {
+            if (matchTags.includes(el.tagName)) return el;
+            el = el.parentNode;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a mark covers the whole current selection (or the caret)
+     * @param {string} tagName - Mark tag name
+     * @returns {boolean} Whether the mark is active
+     */
+    isFormatActive(tagName) {
+        const range = Carets.getCurrentRange();
+        if (!range || !this.caretTracker.isRangeInEditor(range)) return false;
+
+        const matchTags = InlineManager.getMatchTags(tagName);
+
+        if (range.collapsed) {
+            return this.findMarkElement(range.startContainer, matchTags) !== null;
+        }
+
+        const root = range.commonAncestorContainer;
+        const walker = document.createTreeWalker(
+            root.nodeType === Node.TEXT_NODE ? root.parentNode : root,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false,
+        );
+
+        let hasText = false;
+        let node;
+        while (node = walker.nextNode()) {
+            if (!range.intersectsNode(node)) continue;
+
+            // Ignore text nodes only touched at their boundary
+            const start = node === range.startContainer ? range.startOffset : 0;
+            const end = node === range.endContainer ? range.endOffset : node.textContent.length;
+            if (start >= end) continue;
+
+            hasText = true;
+            if (!this.findMarkElement(node, matchTags)) return false;
+        }
+
+        return hasText;
+    }
+}
+
+export { INLINE_MARKS };
+export default InlineManager;
\ No newline at end of file
@@ -0,0 +1,243 @@
+import { COMPOSITE_MUTATION, FORMAT_INLINE } from './mutation-types.js';
+import { CaretState } from './caret-tracker.js';
+import DOMOperations from './dom-operations.js';
+import CodeManager from './code-manager.js';
+import { TASK_LIST } from './list-manager.js';
+
+/**
+ * Markdown-style inline delimiters (the closing delimiter is the typed text that completes a rule)
+ * Content can't start or end with whitespace, and a delimiter preceded by itself or a backslash doesn't open
+ */
+const INLINE_RULES = [
+    { name: 'strong', tagName: 'STRONG', pattern: /(?<![*\\])\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/ },
+    { name: 'strongUnderscore', tagName: 'STRONG', pattern: /(?<![_\w\\])__([^_\s](?:[^_]*[^_\s])?)__$/ },
+    { name: 'strike', tagName: 'S', pattern: /(?<![~\\])~~([^~\s](?:[^~]*[^~\s])?)~~$/ },
+    { name: 'em', tagName: 'EM', pattern: /(?<![*\\])\*([^*\s](?:[^*]*[^*\s])?)\*$/ },
+    { name: 'emUnderscore', tagName: 'EM', pattern: /(?<![_\w\\])_([^_\s](?:[^_]*[^_\s])?)_$/ },
+    { name: 'code', tagName: 'CODE', pattern: /(?<![`\\])`([^`]+)`$/ },
+];
+
+/**
+ * Block tags that block rules convert (text blocks outside lists)
+ */
+const TEXT_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+/**
+ * Input Rules - Autoformat Markdown-style syntax while typing
+ *
+ * After typed text is inserted, the text of the line before the caret is matched against each rule
+ * (rules limited to blockTags only on the block's first line).
+ * A match commits the rule's mutations (e.g. FORMAT_BLOCK plus deleting the typed marker) as one
+ * COMPOSITE_MUTATION. The typed text is its own history entry, so undoing right after an
+ * autoformat brings back the literal characters.
+ *
+ * {
+ *     name: 'heading',
+ *     pattern: /^(#{1,6}) $/, // Matched against the line text before the caret
+ *     blockTags: ['P'], // Optional: blocks the rule applies in
+ *     handler: (match, context) => [...mutations], // context {block, blockIndex, offset, start}; null to skip
+ * }
+ */
+class InputRules {
+    /**
+     * @param {Element} editorElement - Editor root
+     * @param {StateManager} stateManager - Commits rule mutations
+     * @param {CaretTracker} caretTracker - Reads the caret after typing
+     * @param {Object} managers - {blockManager, contentManager, inlineManager, listManager, codeManager} building the mutations
+     */
+    constructor(editorElement, stateManager, caretTracker, managers) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+        this.blockManager = managers.blockManager;
+        this.contentManager = managers.contentManager;
+        this.inlineManager = managers.inlineManager;
+        this.listManager = managers.listManager;
+        this.codeManager = managers.codeManager;
+
+        this.rules = [];
+        this.registerRules();
+    }
+
+    /**
+     * Add a rule (rules are tried in the order they were added)
+     * @param {Object} rule - Rule {name, pattern, blockTags?, handler}
+     */
+    addRule(rule) {
+        if (!(rule.pattern instanceof RegExp) || typeof rule.handler !== 'function') {
+            throw new Error('Input rule must have a pattern and a handler');
+        }
+        this.rules.push(rule);
+    }
+
+    /**
+     * Remove a rule by name
+     * @param {string} name - Rule name
+     */
+    removeRule(name) {
+        this.rules = this.rules.filter(rule => rule.name !== name);
+    }
+
+    /**
+     * Register the built-in rules
+     * @private
+     */
+    registerRules() {
+        // # Heading (levels 1-6)
+        this.addRule({
+            name: 'heading',
+            pattern: /^(#{1,6}) $/,
+            blockTags: TEXT_BLOCK_TAGS,
+            handler: (match, { block, blockIndex, offset }) => [
+                this.blockManager.createFormatMutation(block, `H${match[1].length}`),
+                this.createDeleteMutation(blockIndex, 0, offset),
+            ],
+        });
+
+        // - Bulleted list (also * and +)
+        this.addRule({
+            name: 'bulletList',
+            pattern: /^[-*+] $/,
+            blockTags: ['P'],
+            handler: (match, context) => this.createListMutations('UL', context),
+        });
+
+        // 1. Numbered list (also 1))
+        this.addRule({
+            name: 'orderedList',
+            pattern: /^\d{1,9}[.)] $/,
+            blockTags: ['P'],
+            handler: (match, context) => this.createListMutations('OL', context),
+        });
+
+        // [ ] Task list (also [] and inside a list item, e.g. after "- ")
+        this.addRule({
+            name: 'taskList',
+            pattern: /^\[ ?\] $/,
+            blockTags: ['P', 'LI'],
+            handler: (match, context) => this.createListMutations(TASK_LIST, context),
+        });
+
+        // ``` Code block (optionally ```js)
+        this.addRule({
+            name: 'codeBlock',
+            pattern: /^```([\w#+.-]*) $/,
+            blockTags: ['P'],
+            handler: (match, { block, blockIndex, offset }) => [
+                this.blockManager.createFormatMutation(block, 'PRE', { 'data-language': CodeManager.normalizeLanguage(match[1]) }),
+                this.createDeleteMutation(blockIndex, 0, offset),
+            ],
+        });
+
+        // > Quote
+        this.addRule({
+            name: 'blockquote',
+            pattern: /^> $/,
+            blockTags: ['P'],
+            handler: (match, { block, blockIndex, offset }) => [
+                this.blockManager.createFormatMutation(block, 'BLOCKQUOTE'),
+                this.createDeleteMutation(blockIndex, 0, offset),
+            ],
+        });
+
+        // --- Horizontal rule above the paragraph (also *** and ___)
+        this.addRule({
+            name: 'horizontalRule',
+            pattern: /^(?:---|\*\*\*|___)$/,
+            blockTags: ['P'],
+            handler: (match, { block, blockIndex, offset }) => [
+                this.createDeleteMutation(blockIndex, 0, offset),
+                this.blockManager.createInsertMutation(DOMOperations.createElement('hr'), block, true),
+            ],
+        });
+
+        INLINE_RULES.forEach(({ name, tagName, pattern }) => {
+            this.addRule({
+                name,
+                pattern,
+                handler: (match, context) => this.createInlineMutations(tagName, match, context),
+            });
+        });
+    }
+
+    /**
+     * Create the mutations turning a block into a list item and removing its marker
+     * @private
+     */
+    createListMutations(listType, { block, blockIndex, offset }) {
+        const convertMutation = this.listManager.createConvertMutation([block], listType, 'P');
+        if (!convertMutation) return null;
+
+        return [convertMutation, this.createDeleteMutation(blockIndex, 0, offset)];
+    }
+
+    /**
+     * Create the mutations marking up delimited text and removing its delimiters
+     * The caret ends after the mark, outside it, so text typed next is not marked
+     * @private
+     */
+    createInlineMutations(tagName, match, { blockIndex, offset, start }) {
+        const delimiterLength = (match[0].length - match[1].length) / 2;
+
+        return [
+            this.inlineManager.createFormatMutation(
+                FORMAT_INLINE,
+                CaretState.range(blockIndex, start + delimiterLength, blockIndex, offset - delimiterLength),
+                tagName,
+            ),
+            this.createDeleteMutation(blockIndex, start, start + delimiterLength),
+            this.createDeleteMutation(blockIndex, offset - 2 * delimiterLength, offset - delimiterLength, true),
+        ];
+    }
+
+    /**
+     * Create a mutation deleting text inside a block
+     * @private
+     */
+    createDeleteMutation(blockIndex, startOffset, endOffset, keepBoundary = false) {
+        return this.contentManager.createDeleteMutation(
+            CaretState.range(blockIndex, startOffset, blockIndex, endOffset), keepBoundary);
+    }
+
+    /**
+     * Run the rules at the caret (call after typed text was inserted)
+     * @returns {boolean} Whether a rule was applied
+     */
+    handleTextInput() {
+        const caretState = this.caretTracker.captureCaretState();
+        if (!caretState || !caretState.isCollapsed) return false;
+
+        const blockIndex = caretState.startBlockIndex;
+        const offset = caretState.startOffset;
+        const block = DOMOperations.getBlocks(this.editor)[blockIndex];
+
+        // Code is typed literally
+        if (!block || this.codeManager.isCodeBlock(block)) return false;
+
+        // Offsets of the line agree with the caret's (a <br> ends the line but has no length)
+        const { text, start: lineStart } = DOMOperations.getLineBefore(block, offset);
+
+        for (const rule of this.rules) {
+            if (rule.blockTags && !rule.blockTags.includes(block.tagName)) continue;
+
+            // Block rules convert the whole block, so they only read its first line
+            if (rule.blockTags && lineStart > 0) continue;
+
+            const match = rule.pattern.exec(text);
+            if (!match) continue;
+
+            const mutations = rule.handler(match, { block, blockIndex, offset, start: lineStart + match.index });
+            if (!mutations || mutations.length === 0) continue;
+
+            return this.stateManager.commit({
+                type: COMPOSITE_MUTATION,
+                mutations,
+                inputRule: rule.name,
+            });
+        }
+
+        return false;
+    }
+}
+
+export default InputRules;
\ No newline at end of file
@@ -0,0 +1,290 @@
+/**
+ * Time (ms) to press the next key of a chord
+ */
+const CHORD_TIMEOUT = 1500;
+
+/**
+ * Modifier names in bindings, in canonical order
+ */
+const MODIFIER_ALIASES = {
+    ctrl: 'Ctrl', control: 'Ctrl',
+    alt: 'Alt', option: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta', cmd: 'Meta', command: 'Meta',
+};
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+/**
+ * Keys that only modify other keys (never complete a stroke)
+ */
+const MODIFIER_KEYS = new Set(['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock', 'Fn', 'OS']);
+
+/**
+ * Default bindings (see Editor.registerCommands for the commands)
+ * Structural keys are bound with the modifiers they were always handled with,
+ * so no modifier combination falls through to the browser's own block editing.
+ */
+const DEFAULT_BINDINGS = {
+    'Enter': 'insertParagraph',
+    'Shift-Enter': 'insertParagraph',
+    'Mod-Enter': 'insertParagraph',
+    'Alt-Enter': 'insertParagraph',
+    'Tab': 'indent',
+    'Shift-Tab': 'outdent',
+    'Backspace': 'deleteBackward',
+    'Shift-Backspace': 'deleteBackward',
+    'Alt-Backspace': 'deleteBackward',
+    'Mod-Backspace': 'deleteBackward',
+    'Delete': 'deleteForward',
+    'Shift-Delete': 'deleteForward',
+    'Alt-Delete': 'deleteForward',
+    'Mod-Delete': 'deleteForward',
+
+    // Arrow keys only act around atomic blocks (e.g. <hr>), otherwise the browser moves the caret
+    'ArrowLeft': 'moveBackward',
+    'ArrowUp': 'moveBackward',
+    'ArrowRight': 'moveForward',
+    'ArrowDown': 'moveForward',
+
+    'Alt-Shift-ArrowUp': 'moveBlocksUp',
+    'Alt-Shift-ArrowDown': 'moveBlocksDown',
+    'Mod-D': 'duplicateBlocks',
+
+    'Mod-Z': 'undo',
+    'Shift-Mod-Z': 'redo',
+    'Ctrl-Y': 'redo',
+
+    'Mod-B': 'toggleMark:STRONG',
+    'Mod-I': 'toggleMark:EM',
+    'Mod-U': 'toggleMark:U',
+    'Mod-Shift-X': 'toggleMark:S',
+    'Mod-E': 'toggleMark:CODE',
+    'Mod-K': 'link',
+
+    'Mod-Alt-0': 'formatBlock:P',
+    'Mod-Alt-1': 'formatBlock:H1',
+    'Mod-Alt-2': 'formatBlock:H2',
+    'Mod-Alt-3': 'formatBlock:H3',
+    'Mod-Alt-C': 'formatBlock:PRE',
+    'Mod-Shift-7': 'toggleList:OL',
+    'Mod-Shift-8': 'toggleList:UL',
+};
+
+/**
+ * Check whether the platform uses Cmd for shortcuts
+ */
+function isMacPlatform() {
+    const platform = (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '';
+    return /Mac|iPhone|iPad|iPod/i.test(platform);
+}
+
+/**
+ * Keymap - Maps key strokes and chords to commands
+ *
+ * Bindings are strokes like 'Mod-Shift-Z' (Mod is Cmd on macOS, Ctrl elsewhere), or chords of
+ * strokes separated by spaces: 'Mod-K Mod-C'. Letters and digits also match by physical key,
+ * so 'Mod-Shift-7' works although Shift turns the key into '&'. While a stroke starts a chord,
+ * bindings of the stroke alone wait for the chord to end or time out.
+ *
+ * Commands are names run through a CommandRegistry ('formatBlock:H2'), or functions
+ * (editor, event) => boolean. Returning false lets the key through to the browser.
+ */
+class Keymap {
+    /**
+     * @param {CommandRegistry} commands - Registry running named commands
+     * @param {Object} options - {context: first argument of function commands, mac: override platform detection}
+     */
+    constructor(commands, options = {}) {
+        this.commands = commands;
+        this.context = options.context || null;
+        this.isMac = options.mac ?? isMacPlatform();
+
+        // Canonical chord ('Ctrl-k Ctrl-c') to command
+        this.bindings = new Map();
+
+        // Strokes of a chord being typed
+        this.pending = [];
+        this.pendingTimer = null;
+    }
+
+    /**
+     * Bind keys to a command (replacing an existing binding of the same keys)
+     * @param {string} keys - Stroke or chord, e.g. 'Mod-Alt-2' or 'Mod-K Mod-C'
+     * @param {string|Function|null} command - Command name, function, or null to unbind
+     */
+    bind(keys, command) {
+        const chord = this.normalizeChord(keys);
+        if (command === null) {
+            this.bindings.delete(chord);
+        } else {
+            this.bindings.set(chord, command);
+        }
+    }
+
+    /**
+     * Remove the binding of keys
+     * @param {string} keys - Stroke or chord
+     */
+    unbind(keys) {
+        this.bindings.delete(this.normalizeChord(keys));
+    }
+
+    /**
+     * Bind several keys at once ({keys: command}; null commands unbind, e.g. user overrides)
+     * @param {Object} bindings - Keys to command
+     */
+    bindAll(bindings) {
+        Object.entries(bindings).forEach(([keys, command]) => this.bind(keys, command));
+    }
+
+    /**
+     * Get the command bound to keys
+     * @param {string} keys - Stroke or chord
+     * @returns {string|Function|null} Command
+     */
+    getBinding(keys) {
+        return this.bindings.get(this.normalizeChord(keys)) || null;
+    }
+
+    /**
+     * Normalize a chord of space-separated strokes
+     * @private
+     */
+    normalizeChord(keys) {
+        return keys.trim().split(/\s+/).map(stroke => this.normalizeStroke(stroke)).join(' ');
+    }
+
+    /**
+     * Normalize a stroke to 'Ctrl-Alt-Shift-Meta-key' (present modifiers only, key lowercase)
+     * @private
+     */
+    normalizeStroke(stroke) {
+        // A trailing '-' is the minus key
+        const parts = stroke.split(/-(?!$)/);
+        const key = parts.pop();
+        const modifiers = new Set();
+
+        for (const part of parts) {
+            const lower = part.toLowerCase();
+            if (lower === 'mod') {
+                modifiers.add(this.isMac ? 'Meta' : 'Ctrl');
+            } else if (MODIFIER_ALIASES[lower]) {
+                modifiers.add(MODIFIER_ALIASES[lower]);
+            } else {
+                throw new Error(`Unknown modifier in key binding: ${stroke}`);
+            }
+        }
+
+        return this.formatStroke(modifiers, key === ' ' ? 'space' : key.toLowerCase());
+    }
+
+    /**
+     * Format modifiers and a key as a canonical stroke
+     * @private
+     */
+    formatStroke(modifiers, key) {
+        return [...MODIFIER_ORDER.filter(modifier => modifiers.has(modifier)), key].join('-');
+    }
+
+    /**
+     * Get the canonical strokes a keydown event stands for (by key, and by physical key)
+     * @private
+     */
+    getEventStrokes(e) {
+        const modifiers = new Set();
+        if (e.ctrlKey) modifiers.add('Ctrl');
+        if (e.altKey) modifiers.add('Alt');
+        if (e.shiftKey) modifiers.add('Shift');
+        if (e.metaKey) modifiers.add('Meta');
+
+        const keys = [e.key === ' ' ? 'space' : e.key.toLowerCase()];
+        const match = /^(?:Key([A-Z])|Digit([0-9]))$/.exec(e.code || '');
+        if (match) {
+            const codeKey = (match[1] || match[2]).toLowerCase();
+            if (codeKey !== keys[0]) keys.push(codeKey);
+        }
+
+        return keys.map(key => this.formatStroke(modifiers, key));
+    }
+
+    /**
+     * Check whether a chord starts a longer binding
+     * @private
+     */
+    isChordPrefix(chord) {
+        const prefix = chord + ' ';
+        for (const bound of this.bindings.keys()) {
+            if (bound.startsWith(prefix)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Forget a partly typed chord
+     * @private
+     */
+    resetPending() {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.pending = [];
+    }
+
+    /**
+     * Handle a keydown event
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {boolean} Whether a binding handled the key (its default is prevented)
+     */
+    handleKeyDown(e) {
+        if (e.isComposing || MODIFIER_KEYS.has(e.key)) return false;
+
+        const wasPending = this.pending.length > 0;
+        const chords = this.getEventStrokes(e).map(stroke => [...this.pending, stroke]);
+
+        // Wait for the next stroke of a chord
+        const prefix = chords.find(strokes => this.isChordPrefix(strokes.join(' ')));
+        if (prefix) {
+            clearTimeout(this.pendingTimer);
+            this.pending = prefix;
+            this.pendingTimer = setTimeout(() => this.resetPending(), CHORD_TIMEOUT);
+            e.preventDefault();
+            return true;
+        }
+
+        this.resetPending();
+
+        const chord = chords.map(strokes => strokes.join(' ')).find(keys => this.bindings.has(keys));
+        if (chord && this.run(this.bindings.get(chord), e)) {
+            e.preventDefault();
+            return true;
+        }
+
+        // A key that doesn't complete a started chord is swallowed
+        if (wasPending) {
+            e.preventDefault();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Run a bound command
+     * @private
+     * @returns {boolean} Whether the command handled the key
+     */
+    run(command, e) {
+        if (typeof command === 'function') {
+            return command(this.context, e) !== false;
+        }
+        return this.commands.execute(command, e);
+    }
+
+    /**
+     * Forget pending chords
+     */
+    destroy() {
+        this.resetPending();
+    }
+}
+
+export { DEFAULT_BINDINGS, CHORD_TIMEOUT };
+export default Keymap;
\ No newline at end of file
@@ -0,0 +1,178 @@
+import { FORMAT_INLINE, UNFORMAT_INLINE } from './mutation-types.js';
+import Carets from './carets.js';
+
+/**
+ * Link Manager - Handles hyperlinks (<a> elements) inside blocks
+ *
+ * Links are inline marks: creating, changing and removing one are FORMAT_INLINE/UNFORMAT_INLINE
+ * mutations with an 'A' wrapper over a text range, so they replay by position like any other mark.
+ */
+class LinkManager {
+    constructor(editorElement, stateManager, caretTracker) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+    }
+
+    /**
+     * Normalize user-entered href (adds scheme, rejects script URLs)
+     * @param {string} href - Raw href
+     * @returns {string|null} Normalized href or null if not allowed
+     */
+    static normalizeHref(href) {
+        const value = (href || '').trim();
+        if (!value) return null;
+
+        // Reject script-like schemes
+        if (/^(javascript|vbscript|data):/i.test(value.replace(/[\s\u0000-\u001f]/g, ''))) {
+            return null;
+        }
+
+        // Keep explicit schemes, anchors and relative paths
+        if (/^[a-z][a-z0-9+.-]*:/i.test(value) || /^[#/?.]/.test(value)) {
+            return value;
+        }
+
+        // Looks like an e-mail address
+        if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+            return `mailto:${value}`;
+        }
+
+        return `https://${value}`;
+    }
+
+    /**
+     * Find the anchor containing a node (inside the editor)
+     * @param {Node} node - Node to start from
+     * @returns {HTMLAnchorElement|null} The anchor or null
+     */
+    getLinkForNode(node) {
+        let el = node && node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+
+        while (el && el !== this.editor) {
+            if (el.tagName === 'A') return el;
+            el = el.parentNode;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the anchor at the current caret (start of selection)
+     * @returns {HTMLAnchorElement|null} The anchor or null
+     */
+    getLinkAtSelection() {
+        const range = Carets.getCurrentRange();
+        if (!range || !this.caretTracker.isRangeInEditor(range)) return null;
+
+        const link = this.getLinkForNode(range.startContainer);
+        if (!link) return null;
+
+        // A selection must stay inside the same anchor
+        if (!range.collapsed && this.getLinkForNode(range.endContainer) !== link) return null;
+
+        return link;
+    }
+
+    /**
+     * Wrap the current selection in a link
+     * @param {string} href - Link target
+     * @returns {boolean} Whether the operation was successful
+     */
+    createLink(href) {
+        const normalizedHref = LinkManager.normalizeHref(href);
+        if (!normalizedHref) return false;
+
+        const range = Carets.getCurrentRange();
+        if (!range || range.collapsed || !this.caretTracker.isRangeInEditor(range)) return false;
+
+        const rangeCaretState = this.caretTracker.captureCaretState();
+        if (!rangeCaretState || rangeCaretState.isCollapsed) return false;
+
+        return this.stateManager.commit({
+            type: FORMAT_INLINE,
+            rangeCaretState,
+            tagName: 'A',
+            attributes: { href: normalizedHref },
+        });
+    }
+
+    /**
+     * Get the text range of an anchor
+     * @private
+     * @param {HTMLAnchorElement} link - The anchor
+     * @returns {CaretState|null} Range over the anchor's text, or null if it has none
+     */
+    getLinkRange(link) {
+        // Boundaries in text nodes (element boundaries have no text offset of their own)
+        const walker = document.createTreeWalker(link, NodeFilter.SHOW_TEXT);
+        const first = walker.nextNode();
+        if (!first) return null;
+
+        let last = first;
+        while (walker.nextNode()) last = walker.currentNode;
+
+        const range = document.createRange();
+        range.setStart(first, 0);
+        range.setEnd(last, last.textContent.length);
+
+        const rangeCaretState = this.caretTracker.captureRangeState(range);
+        return rangeCaretState && !rangeCaretState.isCollapsed ? rangeCaretState : null;
+    }
+
+    /**
+     * Change the href of an anchor (re-wraps its text, the caret stays where it is)
+     * @param {HTMLAnchorElement} link - The anchor to update
+     * @param {string} href - New link target
+     * @returns {boolean} Whether the operation was successful
+     */
+    updateLink(link, href) {
+        if (!link || !this.editor.contains(link)) return false;
+
+        const normalizedHref = LinkManager.normalizeHref(href);
+        if (!normalizedHref || normalizedHref === link.getAttribute('href')) return false;
+
+        const rangeCaretState = this.getLinkRange(link);
+        if (!rangeCaretState) return false;
+
+        return this.stateManager.commit({
+            type: FORMAT_INLINE,
+            rangeCaretState,
+            tagName: 'A',
+            attributes: { href: normalizedHref },
+            caretState: this.caretTracker.captureCaretState(),
+        });
+    }
+
+    /**
+     * Remove an anchor while keeping its text (the caret stays where it is)
+     * @param {HTMLAnchorElement} link - The anchor to remove
+     * @returns {boolean} Whether the operation was successful
+     */
+    removeLink(link) {
+        if (!link || !this.editor.contains(link)) return false;
+
+        const rangeCaretState = this.getLinkRange(link);
+        if (!rangeCaretState) return false;
+
+        return this.stateManager.commit({
+            type: UNFORMAT_INLINE,
+            rangeCaretState,
+            tagName: 'A',
+            caretState: this.caretTracker.captureCaretState(),
+        });
+    }
+
+    /**
+     * Open a link in a new tab
+     * @param {HTMLAnchorElement} link - The anchor to open
+     */
+    openLink(link) {
+        const href = link && LinkManager.normalizeHref(link.getAttribute('href'));
+        if (href) {
+            window.open(href, '_blank', 'noopener,noreferrer');
+        }
+    }
+}
+
+export default LinkManager;
\ No newline at end of file
@@ -0,0 +1,235 @@
+import DOMOperations from './dom-operations.js';
+import Carets from './carets.js';
+
+/**
+ * Link Popover - Small floating UI to open, edit, create and unlink links
+ * Shown when the caret is inside an anchor, or on demand to create a link
+ */
+class LinkPopover {
+    constructor(editorElement, linkManager, caretTracker) {
+        this.editor = editorElement;
+        this.linkManager = linkManager;
+        this.caretTracker = caretTracker;
+
+        this.link = null; // Anchor being shown/edited (null when creating)
+        this.savedCaretState = null; // Editor selection saved while the input has focus
+
+        this.createPopover();
+    }
+
+    /**
+     * Create popover elements
+     */
+    createPopover() {
+        this.popover = DOMOperations.createElement('div');
+        this.popover.className = 'link-popover';
+        this.popover.hidden = true;
+
+        // View mode: href + actions
+        this.viewGroup = DOMOperations.createElement('div');
+        this.viewGroup.className = 'link-popover-view';
+
+        this.hrefLink = DOMOperations.createElement('a');
+        this.hrefLink.className = 'link-popover-href';
+        this.hrefLink.target = '_blank';
+        this.hrefLink.rel = 'noopener noreferrer';
+
+        const editBtn = this.createButton('Edit', () => this.showEditor(this.link));
+        const unlinkBtn = this.createButton('Unlink', () => this.unlink());
+
+        this.viewGroup.appendChild(this.hrefLink);
+        this.viewGroup.appendChild(editBtn);
+        this.viewGroup.appendChild(unlinkBtn);
+
+        // Edit mode: href input
+        this.form = DOMOperations.createElement('form');
+        this.form.className = 'link-popover-edit';
+
+        this.input = DOMOperations.createElement('input');
+        this.input.type = 'text';
+        this.input.placeholder = 'Paste or type a link';
+
+        const applyBtn = DOMOperations.createElement('button');
+        applyBtn.className = 'toolbar-btn';
+        applyBtn.type = 'submit';
+        applyBtn.textContent = 'Apply';
+
+        this.form.appendChild(this.input);
+        this.form.appendChild(applyBtn);
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.apply();
+        });
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancel();
+            }
+        });
+
+        // Clicking outside the popover while editing dismisses it
+        this.form.addEventListener('focusout', (e) => {
+            if (!this.popover.contains(e.relatedTarget)) {
+                this.hide();
+            }
+        });
+
+        this.popover.appendChild(this.viewGroup);
+        this.popover.appendChild(this.form);
+        document.body.appendChild(this.popover);
+    }
+
+    /**
+     * Create a popover button that does not steal the editor selection
+     * @private
+     */
+    createButton(label, onClick) {
+        const btn = DOMOperations.createElement('button');
+        btn.className = 'toolbar-btn';
+        btn.type = 'button';
+        btn.textContent = label;
+        btn.addEventListener('mousedown', (e) => e.preventDefault());
+        btn.addEventListener('click', onClick);
+        return btn;
+    }
+
+    /**
+     * Whether the href input is currently being edited
+     */
+    isEditing() {
+        return !this.popover.hidden && !this.form.hidden;
+    }
+
+    /**
+     * Sync popover with the current selection (call on selection change)
+     */
+    update() {
+        // Keep the editor open while the user types in it
+        if (this.isEditing()) return;
+
+        const link = this.linkManager.getLinkAtSelection();
+        if (link) {
+            this.showView(link);
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * Show view mode for an anchor
+     * @param {HTMLAnchorElement} link - The anchor
+     */
+    showView(link) {
+        this.link = link;
+        const href = link.getAttribute('href') || '';
+        this.hrefLink.href = href;
+        this.hrefLink.textContent = href;
+
+        this.viewGroup.hidden = false;
+        this.form.hidden = true;
+        this.show(link.getBoundingClientRect());
+    }
+
+    /**
+     * Show edit mode, for an existing anchor or to create a link from the selection
+     * @param {HTMLAnchorElement|null} link - Anchor to edit (null to create)
+     */
+    showEditor(link = null) {
+        const range = Carets.getCurrentRange();
+        if (!link && (!range || range.collapsed)) return;
+
+        this.link = link;
+        this.savedCaretState = this.caretTracker.captureCaretState();
+
+        this.input.value = link ? link.getAttribute('href') || '' : '';
+        this.viewGroup.hidden = true;
+        this.form.hidden = false;
+        this.show(link ? link.getBoundingClientRect() : range.getBoundingClientRect());
+
+        this.input.focus();
+        this.input.select();
+    }
+
+    /**
+     * Position and show the popover below a rect
+     * @private
+     */
+    show(rect) {
+        this.popover.hidden = false;
+        this.popover.style.top = (rect.bottom + window.scrollY + 6) + 'px';
+        this.popover.style.left = (rect.left + window.scrollX) + 'px';
+    }
+
+    /**
+     * Hide the popover
+     */
+    hide() {
+        this.popover.hidden = true;
+        this.link = null;
+        this.savedCaretState = null;
+    }
+
+    /**
+     * Restore the editor selection saved before the input took focus
+     * @private
+     */
+    restoreSelection() {
+        // Focusing the editor blurs the input, which hides the popover and clears the saved state
+        const caretState = this.savedCaretState;
+        if (caretState) {
+            this.editor.focus();
+            this.caretTracker.restoreCaretState(caretState);
+        }
+    }
+
+    /**
+     * Apply the href from the input (update or create)
+     */
+    apply() {
+        const href = this.input.value;
+        const link = this.link;
+
+        this.restoreSelection();
+        this.hide();
+
+        if (!href.trim()) {
+            // Empty href on an existing link means unlink
+            if (link) this.linkManager.removeLink(link);
+            return;
+        }
+
+        if (link) {
+            this.linkManager.updateLink(link, href);
+        } else {
+            this.linkManager.createLink(href);
+        }
+    }
+
+    /**
+     * Cancel editing and return to the editor
+     */
+    cancel() {
+        this.restoreSelection();
+        this.hide();
+    }
+
+    /**
+     * Unlink the shown anchor
+     */
+    unlink() {
+        const link = this.link;
+        this.hide();
+        this.linkManager.removeLink(link);
+    }
+
+    /**
+     * Destroy the popover
+     */
+    destroy() {
+        if (this.popover.parentNode) {
+            this.popover.parentNode.removeChild(this.popover);
+        }
+    }
+}
+
+export default LinkPopover;
\ No newline at end of file
@@ -0,0 +1,301 @@
+import { RESTRUCTURE_BLOCKS, SET_ATTRIBUTES, COMPOSITE_MUTATION } from './mutation-types.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Maximum nesting level of list items
+ */
+const MAX_INDENT = 4;
+
+/**
+ * Item type of task list items: UL items with a checkbox (data-checked 'true' or 'false')
+ */
+const TASK_LIST = 'TASK';
+
+/**
+ * List Manager - Handles UL/OL lists and list item nesting
+ *
+ * Lists are flat: every LI is a block, nesting is stored as data-indent on the item
+ * (<ul><li>a</li><li data-indent="1">b</li></ul>). This keeps every block a single
+ * run of inline content, so split/merge/caret math work on list items unchanged.
+ * Task items are list items with a checked state (<li data-checked="false">), drawn as a checkbox.
+ */
+class ListManager {
+    constructor(editorElement, stateManager, caretTracker) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+    }
+
+    /**
+     * Check if a block is a list item
+     * @param {Element} block - The block to check
+     * @returns {boolean} True if the block is an LI inside a list
+     */
+    isListItem(block) {
+        return !!block && block.tagName === 'LI' && DOMOperations.isBlockContainer(block.parentNode);
+    }
+
+    /**
+     * Get the list type of a block
+     * @param {Element} block - The block to check
+     * @returns {string|null} 'UL', 'OL' or null if not a list item
+     */
+    getListType(block) {
+        return this.isListItem(block) ? block.parentNode.tagName : null;
+    }
+
+    /**
+     * Get the item type of a block: its list type, or TASK_LIST for task items
+     * @param {Element} block - The block to check
+     * @returns {string|null} 'UL', 'OL', TASK_LIST or null if not a list item
+     */
+    getItemType(block) {
+        return this.isTaskItem(block) ? TASK_LIST : this.getListType(block);
+    }
+
+    /**
+     * Check if a block is a task item (a list item with a checkbox)
+     * @param {Element} block - The block to check
+     * @returns {boolean} True if the block is a list item with data-checked
+     */
+    isTaskItem(block) {
+        return this.isListItem(block) && block.hasAttribute('data-checked');
+    }
+
+    /**
+     * Check if a task item is checked
+     * @param {Element} block - The task item
+     * @returns {boolean} True if checked
+     */
+    isChecked(block) {
+        return block.getAttribute('data-checked') === 'true';
+    }
+
+    /**
+     * Toggle the checked state of task items (all checked -> uncheck them, otherwise check them)
+     * Only attributes change, so the caret stays where it is
+     * @param {Element[]} blocks - Blocks (non-task items are ignored)
+     * @returns {boolean} Whether the operation was successful
+     */
+    toggleChecked(blocks) {
+        const items = blocks.filter(block => this.isTaskItem(block));
+        const checked = !items.every(block => this.isChecked(block));
+
+        return this.commitAll(items
+            .filter(block => this.isChecked(block) !== checked)
+            .map(block => this.createCheckedMutation(block, checked)));
+    }
+
+    /**
+     * Check whether a point is on the checkbox of a task item (drawn in the item's left padding)
+     * @param {Element} block - The block under the point
+     * @param {number} x - Client x
+     * @returns {boolean} True if the point is left of the item's text
+     */
+    isCheckboxHit(block, x) {
+        if (!this.isTaskItem(block)) return false;
+
+        const rect = block.getBoundingClientRect();
+        const paddingLeft = parseFloat(getComputedStyle(block).paddingLeft) || 0;
+        return x >= rect.left && x < rect.left + paddingLeft;
+    }
+
+    /**
+     * Get the nesting level of a list item
+     * @param {Element} block - The list item
+     * @returns {number} Indent level (0 for top level)
+     */
+    getIndent(block) {
+        return parseInt(block.getAttribute('data-indent'), 10) || 0;
+    }
+
+    /**
+     * Toggle a list type on blocks (all already of that type -> leave the list)
+     * @param {Element[]} blocks - Blocks to toggle
+     * @param {string} listType - 'UL', 'OL' or TASK_LIST
+     * @returns {boolean} Whether the operation was successful
+     */
+    toggleList(blocks, listType) {
+        if (blocks.length === 0) return false;
+
+        if (blocks.every(block => this.getItemType(block) === listType)) {
+            return this.convertBlocks(blocks, null);
+        }
+        return this.convertBlocks(blocks, listType);
+    }
+
+    /**
+     * Move blocks into a list, or out of their list
+     * @param {Element[]} blocks - Blocks to convert
+     * @param {string|null} listType - 'UL', 'OL', TASK_LIST, or null to leave the list
+     * @param {string} tagName - Tag for blocks leaving a list
+     * @returns {boolean} Whether the operation was successful
+     */
+    convertBlocks(blocks, listType, tagName = 'P') {
+        const mutation = this.createConvertMutation(blocks, listType, tagName);
+        if (!mutation) return false;
+
+        return this.stateManager.commit(mutation);
+    }
+
+    /**
+     * Indent list items one level
+     * @param {Element[]} blocks - Blocks (non-items are ignored)
+     * @returns {boolean} Whether the operation was successful
+     */
+    indent(blocks) {
+        const mutations = blocks
+            .filter(block => this.isListItem(block) && this.getIndent(block) < MAX_INDENT)
+            .map(block => this.createIndentMutation(block, this.getIndent(block) + 1));
+
+        return this.commitAll(mutations);
+    }
+
+    /**
+     * Outdent list items one level (top-level items leave the list)
+     * @param {Element[]} blocks - Blocks (non-items are ignored)
+     * @returns {boolean} Whether the operation was successful
+     */
+    outdent(blocks) {
+        const items = blocks.filter(block => this.isListItem(block));
+        const nested = items.filter(block => this.getIndent(block) > 0);
+        const topLevel = items.filter(block => this.getIndent(block) === 0);
+
+        // Attribute changes first: they don't affect the structure the restructure is built from
+        const mutations = nested.map(block => this.createIndentMutation(block, this.getIndent(block) - 1));
+
+        const convertMutation = this.createConvertMutation(topLevel, null, 'P');
+        if (convertMutation) {
+            mutations.push(convertMutation);
+        }
+
+        return this.commitAll(mutations);
+    }
+
+    /**
+     * Commit mutations as one history entry
+     * @private
+     */
+    commitAll(mutations) {
+        if (mutations.length === 0) return false;
+        if (mutations.length === 1) return this.stateManager.commit(mutations[0]);
+
+        return this.stateManager.commit({
+            type: COMPOSITE_MUTATION,
+            mutations,
+        });
+    }
+
+    /**
+     * Create a mutation setting the indent of a list item
+     * @private
+     */
+    createIndentMutation(block, indent) {
+        return {
+            type: SET_ATTRIBUTES,
+            element: block,
+            attributes: { 'data-indent': indent > 0 ? String(indent) : null },
+        };
+    }
+
+    /**
+     * Create a mutation setting the checked state of a task item
+     * @private
+     */
+    createCheckedMutation(block, checked) {
+        return {
+            type: SET_ATTRIBUTES,
+            element: block,
+            attributes: { 'data-checked': checked ? 'true' : 'false' },
+        };
+    }
+
+    /**
+     * Create a mutation moving blocks into (or out of) lists (e.g. part of a composite)
+     * Task lists are UL containers; items staying in a list gain or lose their checkbox by SET_ATTRIBUTES
+     * @param {Element[]} blocks - Blocks to convert
+     * @param {string|null} listType - 'UL', 'OL', TASK_LIST, or null to leave the list
+     * @param {string} tagName - Tag for blocks leaving a list
+     * @returns {Object|null} RESTRUCTURE_BLOCKS mutation (a COMPOSITE_MUTATION with checkbox changes), or null if nothing changes
+     */
+    createConvertMutation(blocks, listType, tagName) {
+        const isTask = listType === TASK_LIST;
+        const containerType = isTask ? 'UL' : listType;
+
+        // Attribute changes first: they don't affect the structure the restructure is built from
+        const mutations = [];
+        const targets = new Map();
+        for (const block of blocks) {
+            // Cells stay in their table
+            if (DOMOperations.isTableCell(block)) continue;
+
+            if (containerType && this.isListItem(block) && this.isTaskItem(block) !== isTask) {
+                mutations.push({
+                    type: SET_ATTRIBUTES,
+                    element: block,
+                    attributes: { 'data-checked': isTask ? 'false' : null },
+                });
+            }
+            if (this.getListType(block) !== containerType) {
+                targets.set(block, { listType: containerType, tagName, attributes: isTask ? { 'data-checked': 'false' } : null });
+            }
+        }
+
+        if (targets.size > 0) {
+            mutations.push({
+                type: RESTRUCTURE_BLOCKS,
+                layout: this.buildLayout(targets),
+            });
+        }
+
+        if (mutations.length <= 1) return mutations[0] || null;
+        return { type: COMPOSITE_MUTATION, mutations };
+    }
+
+    /**
+     * Build the target layout (element -> children) of the editor after converting blocks
+     * @private
+     * @param {Map<Element, Object>} targets - Block -> {listType, tagName, attributes}
+     * @returns {Array<Array>} Layout entries [parent, nodes]
+     */
+    buildLayout(targets) {
+        const replacements = [];
+        const entries = DOMOperations.getBlockEntries(this.editor)
+            .map(entry => this.resolveEntry(entry, targets, replacements));
+
+        return [...DOMOperations.buildBlockLayout(this.editor, entries), ...replacements];
+    }
+
+    /**
+     * Resolve the block (possibly a replacement element) for one entry of the layout
+     * @private
+     */
+    resolveEntry(entry, targets, replacements) {
+        const { node: block, container } = entry;
+        const target = targets.get(block);
+        if (!target) {
+            return entry;
+        }
+
+        const isItem = block.tagName === 'LI';
+        const wantsItem = target.listType !== null;
+
+        if (isItem === wantsItem) {
+            // LI changing list type keeps its element (and indent)
+            return { node: block, listType: target.listType, container };
+        }
+
+        // Replace the block, moving its inline content (same nodes) into the new element
+        const newBlock = DOMOperations.createElement(wantsItem ? 'LI' : target.tagName);
+        if (wantsItem) {
+            Object.entries(target.attributes || {}).forEach(([name, value]) => newBlock.setAttribute(name, value));
+        }
+        replacements.push([newBlock, Array.from(block.childNodes)]);
+        replacements.push([block, []]);
+
+        return { node: newBlock, listType: target.listType, container };
+    }
+}
+
+export { MAX_INDENT, TASK_LIST };
+export default ListManager;
\ No newline at end of file
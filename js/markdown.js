@@ -0,0 +1,775 @@
+import DOMOperations from './dom-operations.js';
+import LinkManager from './link-manager.js';
+import { MAX_INDENT } from './list-manager.js';
+import BlockTypes, { CALLOUT_VARIANTS } from './block-types.js';
+import CodeManager from './code-manager.js';
+import ImageManager from './image-manager.js';
+import DocumentModel from './document-model.js';
+import { MAX_SPAN } from './table-manager.js';
+
+/**
+ * Inline delimiters mapped to marks (longest first)
+ */
+const INLINE_DELIMITERS = [
+    ['**', 'STRONG'],
+    ['__', 'STRONG'],
+    ['~~', 'S'],
+    ['*', 'EM'],
+    ['_', 'EM'],
+];
+
+/**
+ * Mark syntax used when serializing ([open, close]; links are handled separately)
+ * EM uses underscores so it never touches the asterisks of STRONG
+ */
+const MARK_SYNTAX = {
+    STRONG: ['**', '**'],
+    EM: ['_', '_'],
+    S: ['~~', '~~'],
+    CODE: ['`', '`'],
+    U: ['<u>', '</u>'],
+};
+
+/**
+ * Image alone on a line: ![alt](src "title"), the title being the caption
+ */
+const IMAGE_LINE_PATTERN = /^ {0,3}!\[((?:[^\]\\]|\\.)*)\]\(\s*<?([^\s<>]+)>?(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)\s*$/;
+
+/**
+ * Delimiter row under a table header: | --- | :-: |
+ */
+const TABLE_DELIMITER_PATTERN = /^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * GitHub alert types mapped to callout variants (the first of each variant is written)
+ */
+const ALERT_VARIANTS = {
+    NOTE: 'info',
+    TIP: 'info',
+    IMPORTANT: 'info',
+    WARNING: 'warning',
+    CAUTION: 'danger',
+};
+
+/**
+ * Markdown - Converts between CommonMark and editor blocks
+ *
+ * Parsing produces a detached root of blocks (like HTMLSanitizer), serializing reads a
+ * DocumentModel JSON document. Lists are flat in the editor, so nesting maps to data-indent, and
+ * task list items ("- [ ]", "- [x]") map to items with data-checked.
+ * Fenced code maps to PRE code blocks, the info string to data-language. Each paragraph of a
+ * block quote is a BLOCKQUOTE block; quotes opened by a GitHub alert ("> [!WARNING]") are callouts.
+ * Thematic breaks map to HR blocks, an image alone in a paragraph to a FIGURE block (its title is
+ * the caption; the width has no Markdown form). GitHub pipe tables map to tables, the header row to
+ * TH cells; spans have no Markdown form, so spanned cells are written as their first cell and empty ones.
+ */
+class Markdown {
+    /**
+     * Parse Markdown text
+     * @param {string} text - Markdown source
+     * @param {Object} options - {lineBlocks: every line is a block (plain text paste) instead of joining paragraph lines}
+     * @returns {Element} Detached root holding the blocks (lists as UL/OL containers)
+     */
+    static parse(text, options = {}) {
+        const { lineBlocks = false } = options;
+        const rawBlocks = [];
+        const listColumns = []; // Marker columns of the open list levels
+        let pending = null; // Block collecting lines {tagName, listType, indent, lines, contentColumn}
+        let fence = null; // Open code fence {marker, indent}
+        let quoteBlock = null; // Block kind of the open block quote {tagName, variant}
+        let blankBefore = false;
+
+        const flush = () => {
+            if (pending) rawBlocks.push(pending);
+            pending = null;
+        };
+
+        for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+            let match;
+
+            // Fenced code: lines are kept verbatim (less the fence's indentation) in a code block
+            if (fence) {
+                if (new RegExp(`^ {0,3}${fence.marker}+\\s*$`).test(line)) {
+                    fence = null;
+                    flush();
+                } else {
+                    pending.lines.push(line.replace(new RegExp(`^ {0,${fence.indent}}`), ''));
+                }
+                continue;
+            }
+
+            // A line without a quote marker ends the open block quote
+            if (!/^ {0,3}>/.test(line)) {
+                quoteBlock = null;
+            }
+
+            if (!lineBlocks && (match = /^( {0,3})(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/.exec(line))) {
+                flush();
+                listColumns.length = 0;
+                fence = { marker: match[2], indent: match[1].length };
+                pending = { tagName: 'PRE', lines: [], code: true, language: CodeManager.normalizeLanguage(match[3]) };
+                continue;
+            }
+
+            if (!line.trim()) {
+                flush();
+                blankBefore = true;
+                continue;
+            }
+
+            // Table rows continue up to a blank line or a line without a pipe
+            if (pending && pending.table) {
+                if (line.includes('|') && !/^ {0,3}>/.test(line)) {
+                    pending.rows.push(this.splitTableRow(line));
+                    continue;
+                }
+                flush();
+            }
+
+            // Table: a header line with pipes followed by a delimiter row of as many cells
+            if (!lineBlocks && pending && pending.tagName === 'P' && !pending.quote && pending.lines.length === 1 &&
+                pending.lines[0].includes('|') && TABLE_DELIMITER_PATTERN.test(line)) {
+                const header = this.splitTableRow(pending.lines[0]);
+                if (header.length === this.splitTableRow(line).length) {
+                    listColumns.length = 0;
+                    pending = { tagName: 'TABLE', rows: [header], table: true };
+                    continue;
+                }
+            }
+
+            // Setext heading underline
+            if (!lineBlocks && pending && pending.tagName === 'P' && (match = /^ {0,3}(=+|-+)\s*$/.exec(line))) {
+                pending.tagName = match[1][0] === '=' ? 'H1' : 'H2';
+                flush();
+                continue;
+            }
+
+            // Thematic break
+            if (!lineBlocks && /^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flush();
+                listColumns.length = 0;
+                rawBlocks.push({ tagName: 'HR', lines: [] });
+                continue;
+            }
+
+            // Image block (a paragraph of its own)
+            if (!pending && (match = IMAGE_LINE_PATTERN.exec(line)) && ImageManager.normalizeSrc(match[2])) {
+                listColumns.length = 0;
+                const unescape = (value) => (value || '').replace(/\\(.)/g, '$1');
+                rawBlocks.push({
+                    tagName: 'FIGURE',
+                    lines: [],
+                    image: { src: match[2], alt: unescape(match[1]), caption: unescape(match[3]) },
+                });
+                continue;
+            }
+
+            if ((match = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/.exec(line))) {
+                flush();
+                listColumns.length = 0;
+                rawBlocks.push({ tagName: `H${match[1].length}`, lines: [match[2] || ''] });
+                continue;
+            }
+
+            if ((match = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/.exec(line))) {
+                flush();
+
+                // Items further right than the open level nest one deeper
+                const column = match[1].replace(/\t/g, '    ').length;
+                while (listColumns.length > 0 && listColumns[listColumns.length - 1] > column) {
+                    listColumns.pop();
+                }
+                if (listColumns.length === 0 || listColumns[listColumns.length - 1] < column) {
+                    listColumns.push(column);
+                }
+
+                // Task list items start with a checkbox: [ ] or [x]
+                const task = /^\[([ xX])\](?:\s+|$)(.*)$/.exec(match[4]);
+
+                pending = {
+                    tagName: 'LI',
+                    listType: /\d/.test(match[2]) ? 'OL' : 'UL',
+                    indent: Math.min(listColumns.length - 1, MAX_INDENT),
+                    checked: task ? String(task[1] !== ' ') : null,
+                    lines: [task ? task[2] : match[4]],
+                    contentColumn: column + match[2].length + Math.max(match[3].length, 1),
+                };
+                blankBefore = false;
+                continue;
+            }
+
+            // Block quote: each quoted paragraph is a quote (or callout) block
+            const quote = /^ {0,3}>/.test(line);
+            const content = quote ? line.replace(/^ {0,3}> ?/, '') : line;
+            const lineIndent = line.length - line.trimStart().length;
+
+            if (!lineBlocks && quote) {
+                const alert = /^\s*\[!(\w+)\]\s*$/.exec(content);
+                const variant = alert && ALERT_VARIANTS[alert[1].toUpperCase()];
+                if (!quoteBlock || variant) {
+                    flush();
+                    listColumns.length = 0;
+                    quoteBlock = variant ? { tagName: 'ASIDE', variant } : { tagName: 'BLOCKQUOTE' };
+                    if (variant) continue;
+                }
+
+                // An empty quote line separates paragraphs of the quote
+                if (!content.trim()) {
+                    flush();
+                } else if (pending) {
+                    pending.lines.push(content.trimStart());
+                } else {
+                    pending = { ...quoteBlock, lines: [content.trimStart()], quote: true };
+                }
+                continue;
+            }
+
+            if (lineBlocks) {
+                flush();
+                rawBlocks.push({ tagName: 'P', lines: [content] });
+            } else if (pending && !!pending.quote === quote &&
+                (pending.tagName === 'P' || !blankBefore || lineIndent >= pending.contentColumn)) {
+                // Paragraph continuation (lazy continuation for list items)
+                pending.lines.push(content.trimStart());
+            } else {
+                flush();
+                if (lineIndent === 0) listColumns.length = 0;
+                pending = { tagName: 'P', lines: [content.trimStart()], quote };
+            }
+            blankBefore = false;
+        }
+        flush();
+
+        return this.buildRoot(rawBlocks);
+    }
+
+    /**
+     * Build blocks from parsed lines
+     * @private
+     */
+    static buildRoot(rawBlocks) {
+        const root = DOMOperations.createElement('div');
+
+        for (const raw of rawBlocks) {
+            if (raw.table) {
+                root.appendChild(this.buildTable(raw.rows));
+                continue;
+            }
+
+            const block = DOMOperations.createElement(raw.tagName);
+
+            if (raw.image) {
+                ImageManager.renderImage(block, raw.image);
+            } else if (raw.code) {
+                const code = raw.lines.join('\n');
+                if (code) block.appendChild(DOMOperations.createTextNode(code));
+                if (raw.language) block.setAttribute('data-language', raw.language);
+            } else {
+                this.parseInline(this.joinLines(raw.lines)).forEach(node => block.appendChild(node));
+            }
+            if (raw.variant) block.setAttribute('data-variant', raw.variant);
+            DOMOperations.normalizeBlock(block);
+
+            if (!raw.listType) {
+                root.appendChild(block);
+                continue;
+            }
+
+            if (raw.indent > 0) {
+                block.setAttribute('data-indent', String(raw.indent));
+            }
+            if (raw.checked) {
+                block.setAttribute('data-checked', raw.checked);
+            }
+
+            // Consecutive items of the same type share a container
+            let container = root.lastChild;
+            if (!container || container.tagName !== raw.listType) {
+                container = DOMOperations.createElement(raw.listType);
+                root.appendChild(container);
+            }
+            container.appendChild(block);
+        }
+
+        return root;
+    }
+
+    /**
+     * Split a table row into cell sources (escaped pipes are part of the cell)
+     * @private
+     */
+    static splitTableRow(line) {
+        return line.trim()
+            .replace(/^\|/, '')
+            .replace(/(^|[^\\])\|$/, '$1')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    /**
+     * Build a table from parsed rows (rows are padded or cut to the header's cells)
+     * @private
+     */
+    static buildTable(rows) {
+        const table = DOMOperations.createElement('TABLE');
+        const body = DOMOperations.createElement('TBODY');
+        table.appendChild(body);
+
+        rows.forEach((cells, i) => {
+            const row = DOMOperations.createElement('TR');
+            rows[0].forEach((_, column) => {
+                const cell = DOMOperations.createElement(i === 0 ? 'TH' : 'TD');
+                this.parseInline(cells[column] || '').forEach(node => cell.appendChild(node));
+                DOMOperations.normalizeBlock(cell);
+                row.appendChild(cell);
+            });
+            body.appendChild(row);
+        });
+
+        return table;
+    }
+
+    /**
+     * Join the lines of a paragraph (hard breaks become '\n', soft breaks spaces)
+     * @private
+     */
+    static joinLines(lines) {
+        return lines.reduce((text, line, i) => {
+            if (i === 0) return line;
+
+            const hardBreak = / {2,}$/.test(text) || /(^|[^\\])\\$/.test(text);
+            const head = hardBreak ? text.replace(/ +$/, '').replace(/\\$/, '') : text;
+            return head + (hardBreak ? '\n' : ' ') + line;
+        }, '').replace(/ +$/, '');
+    }
+
+    /**
+     * Serialize a JSON document (see DocumentModel) to Markdown
+     * @param {Object} doc - JSON document
+     * @returns {string} Markdown text
+     */
+    static serialize(doc) {
+        const chunks = [];
+        const counters = []; // Ordered list numbers per level
+        let previous = null;
+        let previousQuoted = false;
+
+        for (let i = 0; i < doc.blocks.length; i++) {
+            const block = doc.blocks[i];
+            let text = this.serializeInline(block.content);
+            const blockType = BlockTypes.get(block.type);
+            let line;
+            let continuation = '';
+            let quoted = false;
+
+            if (DOMOperations.tableCellTags.has(block.type)) {
+                // The cells of a table are written together
+                const cells = [block];
+                while (i + 1 < doc.blocks.length && DocumentModel.continuesTable(doc.blocks[i + 1])) {
+                    cells.push(doc.blocks[++i]);
+                }
+                line = this.serializeTable(cells);
+            } else if (block.list) {
+                const marker = this.getListMarker(block, previous, counters);
+                continuation = ' '.repeat(marker.length);
+
+                // Task items start with their checkbox (brackets in the text are escaped already)
+                line = `${marker}${this.getTaskCheckbox(block)}${text}`.trimEnd();
+            } else if (block.type === 'PRE') {
+                line = this.serializeCodeBlock(block);
+            } else if (block.type === 'HR') {
+                line = '---';
+            } else if (block.type === 'FIGURE') {
+                line = this.serializeImage(block);
+            } else if (blockType && blockType.toMarkdown) {
+                line = blockType.toMarkdown(block, text);
+            } else if (block.type === 'BLOCKQUOTE' || block.type === 'ASIDE') {
+                quoted = true;
+                continuation = '> ';
+                line = `> ${this.escapeLineStart(text)}`.trimEnd();
+            } else if (/^H[1-6]$/.test(block.type)) {
+                line = `${'#'.repeat(Number(block.type[1]))} ${this.escapeLineStart(text)}`;
+            } else {
+                // Empty paragraphs have no Markdown form
+                if (!text) continue;
+                line = this.escapeLineStart(text);
+            }
+
+            // Hard breaks continue at the block's content column (code keeps its newlines, cells use <br>)
+            if (block.type !== 'PRE' && !DOMOperations.tableCellTags.has(block.type)) {
+                line = line.replace(/\n/g, `\\\n${continuation}`);
+            }
+
+            // Consecutive quote blocks are paragraphs of one quote; a callout opens with its alert line
+            const variant = quoted && block.type === 'ASIDE' ? this.getCalloutVariant(block) : null;
+            const sameQuote = quoted && previousQuoted && previous.type === block.type &&
+                (!variant || variant === this.getCalloutVariant(previous));
+            if (variant && !sameQuote) {
+                const alert = Object.keys(ALERT_VARIANTS).find(type => ALERT_VARIANTS[type] === variant);
+                line = `> [!${alert}]\n${line}`;
+            }
+
+            // Items of one list are tight, paragraphs of one quote are split by an empty quote line,
+            // everything else is separated by a blank line
+            let separator = previous && previous.list && previous.list === block.list ? '\n' : '\n\n';
+            if (sameQuote) separator = '\n>\n';
+            chunks.push(chunks.length > 0 ? separator + line : line);
+            previousQuoted = quoted;
+            previous = block;
+        }
+
+        return chunks.join('') + (chunks.length > 0 ? '\n' : '');
+    }
+
+    /**
+     * Get the marker a JSON list item starts with (indentation, bullet or number)
+     * @param {Object} block - JSON list item
+     * @param {Object|null} previous - JSON block before the item
+     * @param {number[]} counters - Ordered list numbers per level, updated for the item
+     * @returns {string} Marker with its trailing space, e.g. '    1. '
+     */
+    static getListMarker(block, previous, counters) {
+        const indent = parseInt(block.attrs && block.attrs['data-indent'], 10) || 0;
+
+        // Numbering restarts in a new list and below each item of a lower level
+        if (!previous || previous.list !== block.list) counters.length = 0;
+        counters.length = indent + 1;
+        counters[indent] = (counters[indent] || 0) + 1;
+
+        const marker = block.list === 'OL' ? `${counters[indent]}.` : '-';
+        return `${' '.repeat(4 * indent)}${marker} `;
+    }
+
+    /**
+     * Get the checkbox a JSON task item starts with
+     * @param {Object} block - JSON list item
+     * @returns {string} '[x] ' or '[ ] ' for a task item, else ''
+     */
+    static getTaskCheckbox(block) {
+        const checked = block.attrs && block.attrs['data-checked'];
+        return checked ? `[${checked === 'true' ? 'x' : ' '}] ` : '';
+    }
+
+    /**
+     * Get the variant of a JSON callout block
+     * @private
+     */
+    static getCalloutVariant(block) {
+        const variant = block.attrs && block.attrs['data-variant'];
+        return CALLOUT_VARIANTS.includes(variant) ? variant : CALLOUT_VARIANTS[0];
+    }
+
+    /**
+     * Serialize a code block as a fenced block (the fence is longer than any backtick run in the code)
+     * @private
+     * @param {Object} block - JSON code block
+     * @returns {string} Fenced code
+     */
+    static serializeCodeBlock(block) {
+        const code = block.content.map(run => run.text).join('');
+        const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        const language = (block.attrs && CodeManager.normalizeLanguage(block.attrs['data-language'])) || '';
+
+        return `${fence}${language}\n${code ? code + '\n' : ''}${fence}`;
+    }
+
+    /**
+     * Serialize an image block (the caption is the title)
+     * @private
+     * @param {Object} block - JSON image block
+     * @returns {string} Image line
+     */
+    static serializeImage(block) {
+        const attrs = block.attrs || {};
+        const alt = (attrs['data-alt'] || '').replace(/[\\[\]]/g, '\\$&');
+        const src = String(attrs['data-src'] || '').replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+        const caption = block.content.map(run => run.text).join('').replace(/\n/g, ' ');
+        const title = caption ? ` "${caption.replace(/["\\]/g, '\\$&')}"` : '';
+
+        return `![${alt}](${src}${title})`;
+    }
+
+    /**
+     * Serialize the cells of a table as a pipe table (the first row is the header)
+     * Rows only covered by spans are left out, other positions covered by spans are empty cells
+     * @private
+     * @param {Array<Object>} cells - JSON cell blocks of one table
+     * @returns {string} Table lines
+     */
+    static serializeTable(cells) {
+        const rows = new Map(); // Row number => cell texts by column
+        let columnCount = 1;
+
+        cells.forEach(block => {
+            const row = parseInt(block.cell && block.cell.row, 10) || 0;
+            const column = Math.min(parseInt(block.cell && block.cell.column, 10) || 0, MAX_SPAN - 1);
+            const colspan = parseInt(block.cell && block.cell.colspan, 10) || 1;
+            columnCount = Math.min(MAX_SPAN, Math.max(columnCount, column + colspan));
+
+            if (!rows.has(row)) rows.set(row, []);
+            rows.get(row)[column] = this.serializeInline(block.content)
+                .replace(/\|/g, '\\|')
+                .replace(/\n/g, '<br>');
+        });
+
+        const toLine = (texts) => `| ${texts.join(' | ')} |`;
+        const lines = Array.from(rows.values())
+            .map(texts => toLine(Array.from({ length: columnCount }, (_, column) => texts[column] || '')));
+        lines.splice(1, 0, toLine(Array(columnCount).fill('---')));
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialize text runs to inline Markdown
+     * @private
+     * @param {Array<Object>} runs - Runs {text, marks?}
+     * @returns {string} Inline Markdown
+     */
+    static serializeInline(runs) {
+        let out = '';
+        let open = [];
+
+        const isSame = (a, b) => a.type === b.type && a.href === b.href;
+        const close = (count) => {
+            // Delimiters must hug the text: whitespace moves outside
+            const trailing = out.match(/[ \t]*$/)[0];
+            out = out.slice(0, out.length - trailing.length);
+            while (open.length > count) {
+                out += this.closeMark(open.pop());
+            }
+            out += trailing;
+        };
+
+        for (const run of runs) {
+            const marks = (run.marks || []).filter(mark => mark.type === 'A' || MARK_SYNTAX[mark.type]);
+
+            let common = 0;
+            while (common < open.length && common < marks.length && isSame(open[common], marks[common])) {
+                common++;
+            }
+            if (open.length > common) close(common);
+
+            let text = run.text;
+            if (marks.length > common) {
+                const leading = text.match(/^[ \t]*/)[0];
+                out += leading;
+                text = text.slice(leading.length);
+
+                marks.slice(common).forEach(mark => {
+                    out += this.openMark(mark);
+                    open.push(mark);
+                });
+            }
+
+            // Code spans are literal
+            out += open.some(mark => mark.type === 'CODE') ? text : this.escapeText(text);
+        }
+        close(0);
+
+        return out;
+    }
+
+    /**
+     * Opening syntax of a mark
+     * @private
+     */
+    static openMark(mark) {
+        return mark.type === 'A' ? '[' : MARK_SYNTAX[mark.type][0];
+    }
+
+    /**
+     * Closing syntax of a mark
+     * @private
+     */
+    static closeMark(mark) {
+        if (mark.type === 'A') {
+            return `](${String(mark.href).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+        }
+        return MARK_SYNTAX[mark.type][1];
+    }
+
+    /**
+     * Escape inline syntax characters in text
+     * @private
+     */
+    static escapeText(text) {
+        return text
+            .replace(/[\\`*_[\]~<]/g, '\\$&')
+            .replace(/&(?=#|[A-Za-z][A-Za-z0-9]*;)/g, '\\&');
+    }
+
+    /**
+     * Escape text that would start a block construct at the beginning of a line
+     * @private
+     */
+    static escapeLineStart(text) {
+        return text
+            .replace(/^(\s*)([#>+-])(?=\s|$)/, '$1\\$2')
+            .replace(/^(\s*)-(?=(?:\s*-){2,}\s*$)/, '$1\\-')
+            .replace(/^(\s*\d+)([.)])(?=\s|$)/, '$1\\$2')
+            // Leading whitespace would be stripped (or start indented code), a character reference is kept
+            .replace(/^[ \t]/, space => (space === '\t' ? '&#9;' : '&#32;'));
+    }
+
+    /**
+     * Parse inline Markdown (emphasis, strikethrough, code spans, links, autolinks, <u>, escapes)
+     * @param {string} text - Inline source ('\n' for hard line breaks)
+     * @returns {Node[]} Inline nodes
+     */
+    static parseInline(text) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const flush = () => {
+            // Hard line breaks become <br> elements
+            buffer.split('\n').forEach((line, index) => {
+                if (index > 0) nodes.push(DOMOperations.createElement('br'));
+                if (line) nodes.push(DOMOperations.createTextNode(line));
+            });
+            buffer = '';
+        };
+
+        while (i < text.length) {
+            const ch = text[i];
+
+            // Backslash escapes
+            if (ch === '\\' && i + 1 < text.length && /[\\`*_~[\]()<>#+\-.!&]/.test(text[i + 1])) {
+                buffer += text[i + 1];
+                i += 2;
+                continue;
+            }
+
+            // Numeric character references (e.g. &#32; keeping a leading space, see escapeLineStart)
+            if (ch === '&') {
+                const reference = /^&#(?:(\d{1,7})|[xX]([0-9a-fA-F]{1,6}));/.exec(text.slice(i));
+                if (reference) {
+                    const code = reference[1] ? parseInt(reference[1], 10) : parseInt(reference[2], 16);
+                    const isValid = code > 0 && code <= 0x10FFFF && (code < 0xD800 || code > 0xDFFF);
+                    buffer += isValid ? String.fromCodePoint(code) : '\uFFFD';
+                    i += reference[0].length;
+                    continue;
+                }
+            }
+
+            // Code span (content is literal)
+            if (ch === '`') {
+                const end = text.indexOf('`', i + 1);
+                if (end > i + 1) {
+                    flush();
+                    const code = DOMOperations.createElement('CODE');
+                    code.appendChild(DOMOperations.createTextNode(text.slice(i + 1, end)));
+                    nodes.push(code);
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            if (ch === '<') {
+                // Autolink <https://...>
+                const autolink = /^<([a-z][a-z0-9+.-]*:[^<>\s]+)>/i.exec(text.slice(i));
+                const href = autolink && LinkManager.normalizeHref(autolink[1]);
+                if (href) {
+                    flush();
+                    const link = DOMOperations.createElement('A');
+                    link.setAttribute('href', href);
+                    link.appendChild(DOMOperations.createTextNode(autolink[1]));
+                    nodes.push(link);
+                    i += autolink[0].length;
+                    continue;
+                }
+
+                // Line breaks of table cells are written <br>
+                const lineBreak = /^<br\s*\/?>/i.exec(text.slice(i));
+                if (lineBreak) {
+                    buffer += '\n';
+                    i += lineBreak[0].length;
+                    continue;
+                }
+
+                // Underline has no Markdown syntax, the HTML tag is accepted
+                const end = text.startsWith('<u>', i) ? text.indexOf('</u>', i + 3) : -1;
+                if (end > i + 3) {
+                    flush();
+                    const underline = DOMOperations.createElement('U');
+                    this.parseInline(text.slice(i + 3, end)).forEach(node => underline.appendChild(node));
+                    nodes.push(underline);
+                    i = end + 4;
+                    continue;
+                }
+            }
+
+            // Link [label](href)
+            if (ch === '[') {
+                const match = /^\[([^\]]+)\]\(([^)\s]+)\)/.exec(text.slice(i));
+                const href = match && LinkManager.normalizeHref(match[2]);
+                if (href) {
+                    flush();
+                    const link = DOMOperations.createElement('A');
+                    link.setAttribute('href', href);
+                    this.parseInline(match[1]).forEach(node => link.appendChild(node));
+                    nodes.push(link);
+                    i += match[0].length;
+                    continue;
+                }
+            }
+
+            // Emphasis delimiters
+            const delimiter = INLINE_DELIMITERS.find(([d]) => text.startsWith(d, i));
+            if (delimiter) {
+                const [d, tagName] = delimiter;
+                const end = this.findClosingDelimiter(text, d, i);
+                if (end > -1) {
+                    flush();
+                    const mark = DOMOperations.createElement(tagName);
+                    this.parseInline(text.slice(i + d.length, end)).forEach(node => mark.appendChild(node));
+                    nodes.push(mark);
+                    i = end + d.length;
+                    continue;
+                }
+
+                // Unmatched delimiter is literal text
+                buffer += d;
+                i += d.length;
+                continue;
+            }
+
+            buffer += ch;
+            i++;
+        }
+
+        flush();
+        return nodes;
+    }
+
+    /**
+     * Find the closing delimiter of an emphasis run
+     * @private
+     * @returns {number} Index of the closing delimiter or -1
+     */
+    static findClosingDelimiter(text, delimiter, start) {
+        const contentStart = start + delimiter.length;
+
+        // Opening delimiter must be followed by non-space; underscores must not be intraword
+        if (!text[contentStart] || /\s/.test(text[contentStart])) return -1;
+        if (delimiter[0] === '_' && start > 0 && /\w/.test(text[start - 1])) return -1;
+
+        let index = text.indexOf(delimiter, contentStart + 1);
+        while (index > -1) {
+            const isSingle = delimiter.length === 1;
+            const doubled = isSingle && text[index + 1] === delimiter;
+            const closesAfterSpace = /\s/.test(text[index - 1]);
+            const intraword = delimiter[0] === '_' && /\w/.test(text[index + delimiter.length] || '');
+
+            if (!doubled && !closesAfterSpace && !intraword) return index;
+
+            index = text.indexOf(delimiter, index + (doubled ? 2 : 1));
+        }
+
+        return -1;
+    }
+}
+
+export default Markdown;
\ No newline at end of file
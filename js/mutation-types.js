@@ -6,4 +6,20 @@ export const MERGE_BLOCKS = 'MERGE_BLOCKS';
 export const INSERT_ELEMENT = 'INSERT_ELEMENT';
 export const DELETE_CONTENT = 'DELETE_CONTENT';
 export const INSERT_CONTENT = 'INSERT_CONTENT';
-export const COMPOSITE_MUTATION = 'COMPOSITE_MUTATION';
\ No newline at end of file
+export const COMPOSITE_MUTATION = 'COMPOSITE_MUTATION';
+export const FORMAT_INLINE = 'FORMAT_INLINE';
+export const UNFORMAT_INLINE = 'UNFORMAT_INLINE';
+export const SET_ATTRIBUTES = 'SET_ATTRIBUTES';
+export const RESTRUCTURE_BLOCKS = 'RESTRUCTURE_BLOCKS';
+export const INSERT_BLOCKS = 'INSERT_BLOCKS';
+export const REPLACE_BLOCKS = 'REPLACE_BLOCKS';
+export const SPLICE_BLOCKS = 'SPLICE_BLOCKS';
+export const INDENT_LINES = 'INDENT_LINES';
+export const UPDATE_IMAGE = 'UPDATE_IMAGE';
+export const INSERT_TABLE_ROW = 'INSERT_TABLE_ROW';
+export const DELETE_TABLE_ROW = 'DELETE_TABLE_ROW';
+export const INSERT_TABLE_COLUMN = 'INSERT_TABLE_COLUMN';
+export const DELETE_TABLE_COLUMN = 'DELETE_TABLE_COLUMN';
+export const MERGE_TABLE_CELLS = 'MERGE_TABLE_CELLS';
+export const MOVE_BLOCKS = 'MOVE_BLOCKS';
+export const DUPLICATE_BLOCKS = 'DUPLICATE_BLOCKS';
\ No newline at end of file
@@ -0,0 +1,272 @@
+import { INSERT_CONTENT } from './mutation-types.js';
+import { CaretState } from './caret-tracker.js';
+import DOMOperations from './dom-operations.js';
+import Carets from './carets.js';
+
+/**
+ * Built-in menu items (commands run through the editor's CommandRegistry)
+ */
+const DEFAULT_ITEMS = [
+    { name: 'paragraph', label: 'Text', keywords: ['paragraph', 'p'], command: 'formatBlock:P' },
+    { name: 'heading1', label: 'Heading 1', keywords: ['h1', 'title'], command: 'formatBlock:H1' },
+    { name: 'heading2', label: 'Heading 2', keywords: ['h2', 'subtitle'], command: 'formatBlock:H2' },
+    { name: 'heading3', label: 'Heading 3', keywords: ['h3'], command: 'formatBlock:H3' },
+    { name: 'bulletList', label: 'Bulleted list', keywords: ['ul', 'bullet', 'unordered'], command: 'toggleList:UL' },
+    { name: 'orderedList', label: 'Numbered list', keywords: ['ol', 'number', 'ordered'], command: 'toggleList:OL' },
+    { name: 'taskList', label: 'To-do list', keywords: ['task', 'todo', 'checkbox', 'checklist'], command: 'toggleList:TASK' },
+    { name: 'quote', label: 'Quote', keywords: ['blockquote', 'citation'], command: 'formatBlock:BLOCKQUOTE' },
+    { name: 'callout', label: 'Callout', keywords: ['aside', 'info', 'note'], command: 'callout:info' },
+    { name: 'warningCallout', label: 'Warning callout', keywords: ['warning', 'aside'], command: 'callout:warning' },
+    { name: 'dangerCallout', label: 'Danger callout', keywords: ['danger', 'caution', 'aside'], command: 'callout:danger' },
+    { name: 'codeBlock', label: 'Code block', keywords: ['code', 'pre', 'snippet'], command: 'formatBlock:PRE' },
+    { name: 'divider', label: 'Divider', keywords: ['hr', 'rule', 'separator', 'line'], command: 'insertHorizontalRule' },
+    { name: 'image', label: 'Image', keywords: ['img', 'picture', 'photo', 'figure'], command: 'image' },
+    { name: 'table', label: 'Table', keywords: ['grid', 'columns', 'rows'], command: 'insertTable' },
+];
+
+/**
+ * Slash Menu - Command palette opened by typing "/" in an empty block
+ *
+ * The text typed after the slash filters the items; arrow keys move, Enter or Tab picks and
+ * Escape closes. Picking deletes the typed query and runs the item's command as one undo step
+ * (StateManager.batch). Items come from a registry:
+ *
+ * { name: 'heading1', label: 'Heading 1', keywords: ['h1'], command: 'formatBlock:H1' }
+ *
+ * where command is a CommandRegistry command or a function (editor) => void.
+ */
+class SlashMenu {
+    /**
+     * @param {Editor} editor - Editor the menu runs commands in
+     */
+    constructor(editor) {
+        this.editor = editor;
+        this.items = [];
+        DEFAULT_ITEMS.forEach(item => this.register(item));
+
+        this.blockIndex = null; // Block holding the query while open
+        this.matches = []; // Items matching the query
+        this.activeIndex = 0;
+
+        this.createMenu();
+
+        this.onChange = this.onChange.bind(this);
+        this.update = this.update.bind(this);
+        this.close = this.close.bind(this);
+        this.editor.on('change', this.onChange);
+        this.editor.on('selectionchange', this.update);
+        this.editor.on('blur', this.close);
+    }
+
+    /**
+     * Create menu elements
+     */
+    createMenu() {
+        this.menu = DOMOperations.createElement('div');
+        this.menu.className = 'slash-menu';
+        this.menu.setAttribute('role', 'listbox');
+        this.menu.hidden = true;
+
+        // Clicking the menu must not move the editor selection
+        this.menu.addEventListener('mousedown', (e) => e.preventDefault());
+
+        document.body.appendChild(this.menu);
+    }
+
+    /**
+     * Register an item (replacing an item of the same name)
+     * @param {Object} item - {name, label, keywords?, command}
+     */
+    register(item) {
+        if (!item || !item.name || !item.label || !item.command) {
+            throw new Error('Slash menu item must have a name, a label and a command');
+        }
+        this.unregister(item.name);
+        this.items.push(item);
+    }
+
+    /**
+     * Remove an item
+     * @param {string} name - Item name
+     */
+    unregister(name) {
+        this.items = this.items.filter(item => item.name !== name);
+    }
+
+    /**
+     * Whether the menu is open
+     */
+    isOpen() {
+        return this.blockIndex !== null;
+    }
+
+    /**
+     * Open the menu when a slash was typed into an empty block (not in code blocks, where it is code)
+     * @private
+     */
+    onChange({ mutation, source }) {
+        if (this.isOpen()) {
+            this.update();
+            return;
+        }
+
+        if (source !== 'commit' || mutation.type !== INSERT_CONTENT || mutation.content !== '/') return;
+
+        const { startBlockIndex } = mutation.caretState;
+        const block = DOMOperations.getBlocks(this.editor.element)[startBlockIndex];
+        if (block && block.textContent === '/' && !this.editor.codeManager.isCodeBlock(block)) {
+            this.blockIndex = startBlockIndex;
+            this.update();
+        }
+    }
+
+    /**
+     * Get the typed query (null if the caret left it or the slash is gone)
+     * @private
+     */
+    getQuery() {
+        const caretState = this.editor.caretTracker.captureCaretState();
+        if (!caretState || !caretState.isCollapsed || caretState.startBlockIndex !== this.blockIndex) return null;
+
+        const block = DOMOperations.getBlocks(this.editor.element)[this.blockIndex];
+        const text = block ? block.textContent : '';
+        if (!text.startsWith('/') || caretState.startOffset < 1 || caretState.startOffset !== text.length) return null;
+
+        return text.slice(1);
+    }
+
+    /**
+     * Filter and show the items for the typed query (closes when nothing matches)
+     */
+    update() {
+        if (!this.isOpen()) return;
+
+        const query = this.getQuery();
+        if (query === null) {
+            this.close();
+            return;
+        }
+
+        const search = query.trim().toLowerCase();
+        const previous = this.matches[this.activeIndex];
+        this.matches = this.items.filter(item => !search ||
+            item.label.toLowerCase().includes(search) ||
+            (item.keywords || []).some(keyword => keyword.toLowerCase().startsWith(search)));
+
+        if (this.matches.length === 0) {
+            this.close();
+            return;
+        }
+
+        // Keep the highlighted item while it still matches
+        this.activeIndex = Math.max(0, this.matches.indexOf(previous));
+        this.render();
+    }
+
+    /**
+     * Render the matching items below the caret
+     * @private
+     */
+    render() {
+        DOMOperations.clearBlock(this.menu);
+
+        this.matches.forEach((item, i) => {
+            const option = DOMOperations.createElement('div');
+            option.className = 'slash-menu-item';
+            option.setAttribute('role', 'option');
+            option.classList.toggle('active', i === this.activeIndex);
+            option.setAttribute('aria-selected', String(i === this.activeIndex));
+            option.textContent = item.label;
+            option.addEventListener('click', () => this.pick(item));
+            this.menu.appendChild(option);
+        });
+
+        const range = Carets.getCurrentRange();
+        const block = DOMOperations.getBlocks(this.editor.element)[this.blockIndex];
+        const rect = range && range.getClientRects().length > 0 ? range.getBoundingClientRect() : block.getBoundingClientRect();
+
+        this.menu.hidden = false;
+        this.menu.style.top = (rect.bottom + window.scrollY + 6) + 'px';
+        this.menu.style.left = (rect.left + window.scrollX) + 'px';
+    }
+
+    /**
+     * Handle keydown while open (before the keymap)
+     * @param {KeyboardEvent} e - Keydown event
+     * @returns {boolean} Whether the menu handled the key
+     */
+    handleKeyDown(e) {
+        if (!this.isOpen() || e.isComposing) return false;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.activeIndex = (this.activeIndex + step + this.matches.length) % this.matches.length;
+                this.render();
+                break;
+            }
+            case 'Enter':
+            case 'Tab':
+                this.pick(this.matches[this.activeIndex]);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return false;
+        }
+
+        e.preventDefault();
+        return true;
+    }
+
+    /**
+     * Delete the typed query and run an item's command (one undo step)
+     * @param {Object} item - Menu item
+     */
+    pick(item) {
+        const blockIndex = this.blockIndex;
+        const block = DOMOperations.getBlocks(this.editor.element)[blockIndex];
+        this.close();
+        if (!item || !block) return;
+
+        const { stateManager, contentManager, commands } = this.editor;
+        stateManager.batch(() => {
+            const length = DOMOperations.getTextLength(block);
+            stateManager.commit(contentManager.createDeleteMutation(CaretState.range(blockIndex, 0, blockIndex, length)));
+
+            if (typeof item.command === 'function') {
+                item.command(this.editor);
+            } else {
+                commands.execute(item.command);
+            }
+        });
+        this.editor.updateToolbarState();
+    }
+
+    /**
+     * Close the menu (the typed text stays)
+     */
+    close() {
+        this.blockIndex = null;
+        this.matches = [];
+        this.activeIndex = 0;
+        this.menu.hidden = true;
+    }
+
+    /**
+     * Destroy the menu
+     */
+    destroy() {
+        this.editor.off('change', this.onChange);
+        this.editor.off('selectionchange', this.update);
+        this.editor.off('blur', this.close);
+        if (this.menu.parentNode) {
+            this.menu.parentNode.removeChild(this.menu);
+        }
+    }
+}
+
+export { DEFAULT_ITEMS };
+export default SlashMenu;
\ No newline at end of file
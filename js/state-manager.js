@@ -11,6 +11,9 @@ class StateManager {
         this.handlers = new Map();
         this.commitListeners = [];
         this.beforeCommitListeners = [];
+
+        // Composite collecting the commits of a batch (see batch)
+        this.pendingBatch = null;
         
         // Register built-in composite mutation handler
         this.registerCompositeHandler();
@@ -38,6 +41,28 @@ class StateManager {
         return this._executeMutation(mutation, false, true);
     }
 
+    /**
+     * Commit everything fn commits as one mutation (one undo step)
+     * Mutations are applied as they are committed; listeners see a single COMPOSITE_MUTATION at the end.
+     * Nested batches join the outer one.
+     * @param {Function} fn - Function committing mutations (e.g. through managers)
+     * @returns {*} What fn returns
+     */
+    batch(fn) {
+        if (this.pendingBatch) return fn();
+
+        const batch = { type: COMPOSITE_MUTATION, mutations: [] };
+        this.pendingBatch = batch;
+        try {
+            return fn();
+        } finally {
+            this.pendingBatch = null;
+            if (batch.mutations.length > 0) {
+                this._notifyCommit(batch);
+            }
+        }
+    }
+
     /**
      * Replay a history mutation (not recordable)
      * @param {Object} mutation - The mutation to replay
@@ -84,10 +109,11 @@ class StateManager {
             return false;
         }
 
-        // Notify before commit listeners (only for apply operations)
-        if (notifyHistory && !isRevert) {
+        // Notify before commit listeners (only for apply operations; a batch is announced by its first commit)
+        const batch = notifyHistory ? this.pendingBatch : null;
+        if (notifyHistory && !isRevert && !(batch && batch.mutations.length > 0)) {
             for (const listener of this.beforeCommitListeners) {
-                listener(mutation);
+                listener(batch || mutation);
             }
         }
 
@@ -98,12 +124,11 @@ class StateManager {
                 handler.apply(mutation);
             }
 
-            // Notify listeners after successful operation
-            if (notifyHistory) {
-                const eventType = isRevert ? 'revert' : 'commit';
-                for (const listener of this.commitListeners) {
-                    listener(mutation, eventType);
-                }
+            // Notify listeners after successful operation (a batch notifies once it ends)
+            if (batch) {
+                batch.mutations.push(mutation);
+            } else if (notifyHistory) {
+                this._notifyCommit(mutation, isRevert ? 'revert' : 'commit');
             }
 
             return true;
@@ -114,6 +139,16 @@ class StateManager {
         }
     }
 
+    /**
+     * Notify commit listeners
+     * @private
+     */
+    _notifyCommit(mutation, eventType = 'commit') {
+        for (const listener of this.commitListeners) {
+            listener(mutation, eventType);
+        }
+    }
+
     /**
      * Add a listener for mutation commits
      * @param {Function} listener - Function to call when mutations are committed
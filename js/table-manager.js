@@ -0,0 +1,732 @@
+import {
+    INSERT_TABLE_ROW,
+    DELETE_TABLE_ROW,
+    INSERT_TABLE_COLUMN,
+    DELETE_TABLE_COLUMN,
+    MERGE_TABLE_CELLS,
+    INSERT_ELEMENT,
+    REMOVE_ELEMENT,
+} from './mutation-types.js';
+import { CaretState } from './caret-tracker.js';
+import DOMOperations from './dom-operations.js';
+
+/**
+ * Largest colspan/rowspan read from a cell (pasted HTML and JSON are untrusted)
+ */
+const MAX_SPAN = 1000;
+
+/**
+ * Table Manager - Handles TABLE blocks
+ *
+ * A table is a block container like a list: TABLE > TBODY > TR holds TD/TH cells, and every cell is
+ * a block (see DOMOperations.getBlocks). A CaretState addresses a cell by its block index and a text
+ * offset inside it, so typing, inline marks and the clipboard work in cells unchanged; cells never
+ * split, merge with other blocks or change type. Spans are the cells' colspan/rowspan attributes and
+ * grid positions are computed from them (getGrid), so the DOM stays the only state.
+ *
+ * Row, column and merge operations compute a plan before committing: the new row/cell layout
+ * (see DOMOperations.applyLayout), the changed spans, merged content and the cell the caret goes to.
+ */
+class TableManager {
+    /**
+     * @param {Element} editorElement - Editor root
+     * @param {StateManager} stateManager - State manager
+     * @param {CaretTracker} caretTracker - Caret tracker
+     * @param {BlockManager} blockManager - Inserts tables and paragraphs next to them
+     */
+    constructor(editorElement, stateManager, caretTracker, blockManager) {
+        this.editor = editorElement;
+        this.stateManager = stateManager;
+        this.caretTracker = caretTracker;
+        this.blockManager = blockManager;
+        this.registerHandlers();
+    }
+
+    /**
+     * Get the spans of a cell
+     * @param {Element} cell - TD/TH element
+     * @returns {Object} {colspan, rowspan}, each between 1 and MAX_SPAN
+     */
+    static getSpan(cell) {
+        const read = (name) => Math.min(MAX_SPAN, Math.max(1, parseInt(cell.getAttribute(name), 10) || 1));
+        return { colspan: read('colspan'), rowspan: read('rowspan') };
+    }
+
+    /**
+     * Set the spans of a cell (a span of 1 removes the attribute)
+     * @param {Element} cell - TD/TH element
+     * @param {Object} span - {colspan, rowspan}
+     */
+    static setSpan(cell, { colspan, rowspan }) {
+        [['colspan', colspan], ['rowspan', rowspan]].forEach(([name, value]) => {
+            if (value > 1) {
+                cell.setAttribute(name, String(Math.min(MAX_SPAN, value)));
+            } else {
+                cell.removeAttribute(name);
+            }
+        });
+    }
+
+    /**
+     * Get the table of a cell
+     * @param {Element} cell - TD/TH element
+     * @returns {Element|null} TABLE element
+     */
+    static getTable(cell) {
+        let el = cell ? cell.parentNode : null;
+        while (el && el.tagName !== 'TABLE') {
+            el = el.parentNode;
+        }
+        return el;
+    }
+
+    /**
+     * Get the rows of a table in document order (directly in the table or in its sections)
+     * @param {Element} table - TABLE element
+     * @returns {Element[]} TR elements
+     */
+    static getRows(table) {
+        return Array.from(table.children).flatMap(child => child.tagName === 'TR'
+            ? [child]
+            : Array.from(child.children).filter(row => row.tagName === 'TR'));
+    }
+
+    /**
+     * Get the cells of a row
+     * @param {Element} row - TR element
+     * @returns {Element[]} TD/TH elements
+     */
+    static getCells(row) {
+        return Array.from(row.children).filter(cell => DOMOperations.isTableCell(cell));
+    }
+
+    /**
+     * Lay out the cells of a table on a grid (rowspans end at the last row)
+     * @param {Element} table - TABLE element
+     * @returns {Object} {rows, grid (grid[row][column] -> cell), rects (cell -> {top, left, bottom, right}, ends excluded), columnCount}
+     */
+    static getGrid(table) {
+        const rows = this.getRows(table);
+        const grid = rows.map(() => []);
+        const rects = new Map();
+
+        rows.forEach((row, r) => {
+            let column = 0;
+            for (const cell of this.getCells(row)) {
+                // Skip slots taken by cells spanning down from rows above
+                while (grid[r][column]) column++;
+
+                const { colspan, rowspan } = this.getSpan(cell);
+                const rect = { top: r, left: column, bottom: Math.min(rows.length, r + rowspan), right: column + colspan };
+                rects.set(cell, rect);
+
+                for (let i = rect.top; i < rect.bottom; i++) {
+                    for (let j = rect.left; j < rect.right; j++) {
+                        grid[i][j] = cell;
+                    }
+                }
+                column = rect.right;
+            }
+        });
+
+        const columnCount = Math.max(0, ...grid.map(cells => cells.length));
+        return { rows, grid, rects, columnCount };
+    }
+
+    /**
+     * Get the grid position of a cell (the JSON cell of DocumentModel)
+     * @param {Element} cell - TD/TH element
+     * @returns {Object} {row, column, colspan?, rowspan?} (spans only when larger than 1)
+     */
+    static getCellPosition(cell) {
+        const table = this.getTable(cell);
+        const rect = table ? this.getGrid(table).rects.get(cell) : null;
+        const { colspan, rowspan } = this.getSpan(cell);
+
+        const position = { row: rect ? rect.top : 0, column: rect ? rect.left : 0 };
+        if (colspan > 1) position.colspan = colspan;
+        if (rowspan > 1) position.rowspan = rowspan;
+        return position;
+    }
+
+    /**
+     * Get the rectangle covering cells, optionally grown until no cell sticks out of it
+     * @param {Object} grid - Result of getGrid
+     * @param {Element[]} cells - Cells of the grid
+     * @param {boolean} expand - Grow over cells spanning out of the rectangle (merging)
+     * @returns {Object} {top, left, bottom, right} (ends excluded)
+     */
+    static getRect({ grid, rects }, cells, expand = false) {
+        const rect = { ...rects.get(cells[0]) };
+        const include = ({ top, left, bottom, right }) => {
+            const changed = top < rect.top || left < rect.left || bottom > rect.bottom || right > rect.right;
+            rect.top = Math.min(rect.top, top);
+            rect.left = Math.min(rect.left, left);
+            rect.bottom = Math.max(rect.bottom, bottom);
+            rect.right = Math.max(rect.right, right);
+            return changed;
+        };
+        cells.slice(1).forEach(cell => include(rects.get(cell)));
+
+        let changed = expand;
+        while (changed) {
+            changed = false;
+            for (let r = rect.top; r < rect.bottom; r++) {
+                for (let c = rect.left; c < rect.right; c++) {
+                    const cell = grid[r][c];
+                    if (cell && include(rects.get(cell))) changed = true;
+                }
+            }
+        }
+        return rect;
+    }
+
+    /**
+     * Create an empty cell
+     * @param {string} tagName - 'TD' or 'TH'
+     * @returns {Element} Cell holding a <br>
+     */
+    static createCell(tagName = 'TD') {
+        const cell = DOMOperations.createElement(tagName);
+        DOMOperations.normalizeBlock(cell);
+        return cell;
+    }
+
+    /**
+     * Create an empty table (the first row is a header row)
+     * @param {number} rowCount - Number of rows
+     * @param {number} columnCount - Number of columns
+     * @returns {Element} TABLE element with a TBODY
+     */
+    static createTable(rowCount, columnCount) {
+        const table = DOMOperations.createElement('TABLE');
+        const body = DOMOperations.createElement('TBODY');
+
+        for (let r = 0; r < rowCount; r++) {
+            const row = DOMOperations.createElement('TR');
+            for (let c = 0; c < columnCount; c++) {
+                row.appendChild(this.createCell(r === 0 ? 'TH' : 'TD'));
+            }
+            body.appendChild(row);
+        }
+
+        table.appendChild(body);
+        return table;
+    }
+
+    /**
+     * Copy the content of cells into one, joining non-empty cells with line breaks
+     * @private
+     * @param {Element[]} cells - Cells in document order
+     * @returns {Node[]} New nodes (the cells keep theirs for revert)
+     */
+    static joinCellContent(cells) {
+        const nodes = [];
+        cells.filter(cell => DOMOperations.getTextLength(cell) > 0).forEach(cell => {
+            if (nodes.length > 0) {
+                nodes.push(DOMOperations.createElement('br'));
+            }
+            nodes.push(...Array.from(cell.childNodes).map(node => node.cloneNode(true)));
+        });
+        return nodes;
+    }
+
+    /**
+     * Register table mutation handlers
+     * (tables are inserted and removed like any top-level block)
+     */
+    registerHandlers() {
+        // One handler for every table change: mutation.plan {layout, spans, merge?, focus} (see TableManager)
+        const handler = {
+            apply: (mutation) => {
+                const { layout, spans, merge, focus } = mutation.plan;
+
+                // Initialize DOM cache only if it doesn't exist (preserve existing cache during replay)
+                if (!mutation.domCache) {
+                    mutation.domCache = {};
+                }
+
+                // Merged cells join in the target (their own content is kept for revert)
+                if (merge) {
+                    const { target, sources } = merge;
+                    DOMOperations.captureBlockContent(target, 'original', mutation.domCache);
+                    DOMOperations.getCachedNodes('merged', () => TableManager.joinCellContent([target, ...sources]), mutation.domCache);
+                    DOMOperations.populateBlock(target, 'merged', () => [], mutation.domCache);
+                }
+
+                mutation.originalLayout = DOMOperations.applyLayout(layout);
+                mutation.originalSpans = spans.map(([cell]) => [cell, TableManager.getSpan(cell)]);
+                spans.forEach(([cell, span]) => TableManager.setSpan(cell, span));
+
+                // Caret goes to the focused cell
+                const blockIndex = DOMOperations.getBlocks(this.editor).indexOf(focus.cell);
+                if (blockIndex !== -1) {
+                    mutation.caretStateAfter = CaretState.collapsed(blockIndex, Math.min(focus.offset, DOMOperations.getTextLength(focus.cell)));
+                    this.caretTracker.restoreCaretState(mutation.caretStateAfter);
+                }
+            },
+
+            revert: (mutation) => {
+                const { merge } = mutation.plan;
+
+                mutation.originalSpans.forEach(([cell, span]) => TableManager.setSpan(cell, span));
+                DOMOperations.applyLayout(mutation.originalLayout);
+
+                if (merge) {
+                    DOMOperations.restoreBlockContent(merge.target, 'original', mutation.domCache);
+                }
+            },
+        };
+
+        [INSERT_TABLE_ROW, DELETE_TABLE_ROW, INSERT_TABLE_COLUMN, DELETE_TABLE_COLUMN, MERGE_TABLE_CELLS]
+            .forEach(type => this.stateManager.registerHandler(type, handler));
+    }
+
+    /**
+     * Get the cells a caret state is in
+     * @param {CaretState|null} caretState - Caret or range (defaults to the selection)
+     * @returns {Object|null} {table, start, end}: the cells of the range ends (end is start when the
+     *     range leaves the table), or null when the caret is not in a cell
+     */
+    getSelectedCells(caretState = this.caretTracker.captureCaretState()) {
+        if (!caretState) return null;
+
+        const blocks = DOMOperations.getBlocks(this.editor);
+        const start = blocks[caretState.startBlockIndex];
+        if (!DOMOperations.isTableCell(start)) return null;
+
+        const table = TableManager.getTable(start);
+        const endBlock = blocks[caretState.endBlockIndex];
+        const end = DOMOperations.isTableCell(endBlock) && TableManager.getTable(endBlock) === table ? endBlock : start;
+
+        return { table, start, end };
+    }
+
+    /**
+     * Get the selected cells with the grid of their table
+     * @private
+     * @param {boolean} expand - Grow the selected rectangle over spanning cells
+     * @returns {Object|null} {table, start, end, rows, grid, rects, columnCount, rect}
+     */
+    getContext(expand = false) {
+        const selection = this.getSelectedCells();
+        if (!selection) return null;
+
+        const grid = TableManager.getGrid(selection.table);
+        const rect = TableManager.getRect(grid, [selection.start, selection.end], expand);
+        return { ...selection, ...grid, rect };
+    }
+
+    /**
+     * Find the cell of a grid row nearest to a column
+     * @private
+     * @param {Array<Array>} grid - Grid (see getGrid)
+     * @param {number} row - Row index
+     * @param {number} column - Column index
+     * @param {Function} isGone - Skips cells the change removes
+     * @returns {Element|null} Cell or null
+     */
+    findCell(grid, row, column, isGone = () => false) {
+        const cells = grid[row] || [];
+        for (let distance = 0; distance <= Math.max(column, cells.length); distance++) {
+            for (const cell of [cells[column - distance], cells[column + distance]]) {
+                if (cell && !isGone(cell)) return cell;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Commit a table mutation with its plan
+     * @private
+     */
+    commitPlan(type, plan) {
+        return !!plan && this.stateManager.commit({ type, plan });
+    }
+
+    /**
+     * Insert a table at the caret block: above an empty block, otherwise below it (next to the whole
+     * list or table holding it); the caret goes to the first cell
+     * @param {number} rowCount - Number of rows (the first is a header row)
+     * @param {number} columnCount - Number of columns
+     * @returns {boolean} Whether the table was inserted
+     */
+    insertTable(rowCount = 3, columnCount = 3) {
+        const caretState = this.caretTracker.captureCaretState();
+        const blocks = DOMOperations.getBlocks(this.editor);
+        const block = blocks[caretState ? caretState.startBlockIndex : blocks.length - 1];
+        if (!this.blockManager.isBlock(block) || rowCount < 1 || columnCount < 1) return false;
+
+        const table = TableManager.createTable(rowCount, columnCount);
+        const isEmpty = !DOMOperations.isAtomicBlock(block) && !DOMOperations.isTableCell(block) &&
+            DOMOperations.getTextLength(block) === 0;
+
+        return this.stateManager.batch(() => {
+            if (!this.stateManager.commit(this.blockManager.createInsertMutation(table, block, isEmpty))) return false;
+
+            const firstCell = DOMOperations.getBlocks(table)[0];
+            this.caretTracker.restoreCaretState(CaretState.collapsed(DOMOperations.getBlocks(this.editor).indexOf(firstCell), 0));
+            return true;
+        });
+    }
+
+    /**
+     * Delete a table (the caret goes to the block before it, or after it)
+     * The editor keeps at least one block: the only table of a document leaves an empty paragraph
+     * @param {Element|null} table - TABLE element (null for the table at the caret)
+     * @returns {boolean} Whether the table was deleted
+     */
+    deleteTable(table = null) {
+        const selection = table ? null : this.getSelectedCells();
+        const target = table || (selection && selection.table);
+        if (!target || !this.editor.contains(target)) return false;
+
+        const blocks = DOMOperations.getBlocks(this.editor);
+        const cells = DOMOperations.getBlocks(target);
+        const index = blocks.indexOf(cells[0]);
+        const previousBlock = blocks[index - 1];
+        const hasNextBlock = index + cells.length < blocks.length;
+
+        return this.stateManager.batch(() => {
+            let caretState = previousBlock
+                ? CaretState.collapsed(index - 1, DOMOperations.getTextLength(previousBlock))
+                : CaretState.collapsed(index, 0);
+
+            if (!previousBlock && !hasNextBlock) {
+                const paragraph = DOMOperations.createElement(this.blockManager.getDefaultBlockTag());
+                DOMOperations.normalizeBlock(paragraph);
+                this.stateManager.commit({ type: INSERT_ELEMENT, element: paragraph, parent: target.parentNode, before: target });
+                caretState = CaretState.collapsed(0, 0);
+            }
+
+            if (!this.stateManager.commit({ type: REMOVE_ELEMENT, element: target })) return false;
+
+            this.caretTracker.restoreCaretState(caretState);
+            return true;
+        });
+    }
+
+    /**
+     * Insert a row above or below the selected cells (cells spanning across it grow instead)
+     * @param {boolean} below - Insert below instead of above
+     * @returns {boolean} Whether the row was inserted
+     */
+    insertRow(below = true) {
+        const context = this.getContext();
+        if (!context) return false;
+
+        const { rect } = context;
+        return this.commitPlan(INSERT_TABLE_ROW, this.planInsertRow(context, below ? rect.bottom : rect.top, rect.left));
+    }
+
+    /**
+     * Plan inserting a row at a grid row index
+     * @private
+     * @param {Object} context - Selection context (see getContext)
+     * @param {number} at - Row index of the new row
+     * @param {number} column - Column of the new cell the caret goes to
+     */
+    planInsertRow({ rows, grid, rects, columnCount, start }, at, column) {
+        const row = DOMOperations.createElement('TR');
+        const spans = [];
+        let focus = null;
+
+        for (let c = 0; c < columnCount;) {
+            const cell = at > 0 && at < rows.length ? grid[at][c] : null;
+            const rect = cell ? rects.get(cell) : null;
+
+            if (rect && rect.top < at) {
+                // Spans across the new row: one row taller
+                const span = TableManager.getSpan(cell);
+                spans.push([cell, { ...span, rowspan: rect.bottom - rect.top + 1 }]);
+                c = rect.right;
+                continue;
+            }
+
+            const newCell = TableManager.createCell('TD');
+            row.appendChild(newCell);
+            if (!focus || c <= column) focus = newCell;
+            c++;
+        }
+
+        // The new row goes into the section of the row it is inserted before (or of the last row)
+        const reference = rows[at] || null;
+        const section = reference ? reference.parentNode : rows[rows.length - 1].parentNode;
+        const children = Array.from(section.childNodes);
+        children.splice(reference ? children.indexOf(reference) : children.length, 0, row);
+
+        return {
+            layout: [[section, children]],
+            spans,
+            focus: { cell: focus || start, offset: 0 },
+        };
+    }
+
+    /**
+     * Delete the rows of the selected cells (the whole table when they are all selected)
+     * @returns {boolean} Whether anything was deleted
+     */
+    deleteRow() {
+        const context = this.getContext();
+        if (!context) return false;
+
+        const { top, bottom } = context.rect;
+        if (top === 0 && bottom >= context.rows.length) {
+            return this.deleteTable(context.table);
+        }
+        return this.commitPlan(DELETE_TABLE_ROW, this.planDeleteRows(context, top, bottom));
+    }
+
+    /**
+     * Plan deleting grid rows: cells spanning into them get shorter, and cells starting in them
+     * but reaching below move down to the first row kept
+     * @private
+     */
+    planDeleteRows({ rows, grid, rects, rect }, top, bottom) {
+        const spans = [];
+        const moved = [];
+
+        rects.forEach((cellRect, cell) => {
+            const overlap = Math.min(bottom, cellRect.bottom) - Math.max(top, cellRect.top);
+            if (overlap <= 0 || (cellRect.top >= top && cellRect.bottom <= bottom)) return;
+
+            spans.push([cell, { ...TableManager.getSpan(cell), rowspan: cellRect.bottom - cellRect.top - overlap }]);
+            if (cellRect.top >= top) moved.push(cell);
+        });
+
+        const deleted = rows.slice(top, bottom);
+        const layout = [];
+        new Set(deleted.map(row => row.parentNode)).forEach(section => {
+            layout.push([section, Array.from(section.childNodes).filter(node => !deleted.includes(node))]);
+        });
+
+        // Deleted rows give up their cells, so revert puts moved cells back
+        deleted.forEach(row => layout.push([row, []]));
+        if (moved.length > 0) {
+            const cells = [...TableManager.getCells(rows[bottom]), ...moved]
+                .sort((a, b) => rects.get(a).left - rects.get(b).left);
+            layout.push([rows[bottom], cells]);
+        }
+
+        const focusRow = bottom < rows.length ? bottom : top - 1;
+        return {
+            layout,
+            spans,
+            focus: { cell: this.findCell(grid, focusRow, rect.left), offset: 0 },
+        };
+    }
+
+    /**
+     * Insert a column before or after the selected cells (cells spanning across it grow instead)
+     * New cells take the tag of their neighbor, so a header row stays a header row
+     * @param {boolean} after - Insert after instead of before
+     * @returns {boolean} Whether the column was inserted
+     */
+    insertColumn(after = true) {
+        const context = this.getContext();
+        if (!context) return false;
+
+        const { rect } = context;
+        return this.commitPlan(INSERT_TABLE_COLUMN, this.planInsertColumn(context, after ? rect.right : rect.left, rect.top));
+    }
+
+    /**
+     * Plan inserting a column at a grid column index
+     * @private
+     * @param {Object} context - Selection context (see getContext)
+     * @param {number} at - Column index of the new column
+     * @param {number} focusRow - Row of the new cell the caret goes to
+     */
+    planInsertColumn({ rows, grid, rects, start }, at, focusRow) {
+        const spans = [];
+        const layout = [];
+        const widened = new Set();
+        let focus = null;
+
+        rows.forEach((row, r) => {
+            const before = grid[r][at - 1];
+            const after = grid[r][at];
+
+            if (before && before === after) {
+                // Spans across the new column: one column wider
+                if (!widened.has(before)) {
+                    widened.add(before);
+                    const span = TableManager.getSpan(before);
+                    spans.push([before, { ...span, colspan: span.colspan + 1 }]);
+                }
+                return;
+            }
+
+            const neighbor = after || before;
+            const cell = TableManager.createCell(neighbor ? neighbor.tagName : 'TD');
+            const cells = TableManager.getCells(row);
+            const index = cells.findIndex(other => rects.get(other).left >= at);
+            cells.splice(index === -1 ? cells.length : index, 0, cell);
+            layout.push([row, cells]);
+
+            if (r === focusRow) focus = cell;
+        });
+
+        return {
+            layout,
+            spans,
+            focus: { cell: focus || start, offset: 0 },
+        };
+    }
+
+    /**
+     * Delete the columns of the selected cells (the whole table when they are all selected)
+     * @returns {boolean} Whether anything was deleted
+     */
+    deleteColumn() {
+        const context = this.getContext();
+        if (!context) return false;
+
+        const { left, right } = context.rect;
+        if (left === 0 && right >= context.columnCount) {
+            return this.deleteTable(context.table);
+        }
+        return this.commitPlan(DELETE_TABLE_COLUMN, this.planDeleteColumns(context, left, right));
+    }
+
+    /**
+     * Plan deleting grid columns: cells spanning into them get narrower
+     * @private
+     */
+    planDeleteColumns({ rows, grid, rects, columnCount, rect }, left, right) {
+        const spans = [];
+        const removed = new Set();
+
+        rects.forEach((cellRect, cell) => {
+            const overlap = Math.min(right, cellRect.right) - Math.max(left, cellRect.left);
+            if (overlap <= 0) return;
+
+            if (cellRect.left >= left && cellRect.right <= right) {
+                removed.add(cell);
+            } else {
+                spans.push([cell, { ...TableManager.getSpan(cell), colspan: cellRect.right - cellRect.left - overlap }]);
+            }
+        });
+
+        const layout = rows
+            .filter(row => TableManager.getCells(row).some(cell => removed.has(cell)))
+            .map(row => [row, TableManager.getCells(row).filter(cell => !removed.has(cell))]);
+
+        const focusColumn = right < columnCount ? right : left - 1;
+        return {
+            layout,
+            spans,
+            focus: { cell: this.findCell(grid, rect.top, focusColumn, cell => removed.has(cell)), offset: 0 },
+        };
+    }
+
+    /**
+     * Merge the selected cells into one spanning the rectangle they cover (grown over spanning cells)
+     * The content of non-empty cells is joined with line breaks in the top left cell
+     * @returns {boolean} Whether cells were merged
+     */
+    mergeCells() {
+        const context = this.getContext(true);
+        if (!context) return false;
+
+        return this.commitPlan(MERGE_TABLE_CELLS, this.planMergeCells(context));
+    }
+
+    /**
+     * Plan merging the cells of the selected rectangle
+     * @private
+     */
+    planMergeCells({ rows, grid, rect }) {
+        const cells = [];
+        for (let r = rect.top; r < rect.bottom; r++) {
+            for (let c = rect.left; c < rect.right; c++) {
+                const cell = grid[r][c];
+                if (cell && !cells.includes(cell)) cells.push(cell);
+            }
+        }
+        if (cells.length < 2) return null;
+
+        const [target, ...sources] = cells;
+        const layout = rows
+            .filter(row => TableManager.getCells(row).some(cell => sources.includes(cell)))
+            .map(row => [row, TableManager.getCells(row).filter(cell => !sources.includes(cell))]);
+
+        return {
+            layout,
+            spans: [[target, { colspan: rect.right - rect.left, rowspan: rect.bottom - rect.top }]],
+            merge: { target, sources },
+            focus: { cell: target, offset: 0 },
+        };
+    }
+
+    /**
+     * Move the caret to the next or previous cell of the table, at the end of its text (Tab/Shift+Tab)
+     * Tab in the last cell adds a row below
+     * @param {boolean} forward - Next cell instead of previous
+     * @returns {boolean} Whether the caret was in a table
+     */
+    moveToCell(forward = true) {
+        const selection = this.getSelectedCells();
+        if (!selection) return false;
+
+        const cells = DOMOperations.getBlocks(selection.table);
+        const target = cells[cells.indexOf(selection.start) + (forward ? 1 : -1)];
+
+        if (!target) {
+            if (forward) {
+                const context = this.getContext();
+                this.commitPlan(INSERT_TABLE_ROW, this.planInsertRow(context, context.rows.length, 0));
+            }
+            return true;
+        }
+
+        this.focusCell(target);
+        return true;
+    }
+
+    /**
+     * Move the caret to the cell below, at the end of its text (Enter)
+     * From the last row the caret leaves the table: to the block after it, or a new paragraph
+     * @returns {boolean} Whether the caret was in a table
+     */
+    moveToNextRow() {
+        const context = this.getContext();
+        if (!context) return false;
+
+        const { grid, rect, table } = context;
+        const below = this.findCell(grid, rect.bottom, rect.left);
+        if (below) {
+            this.focusCell(below);
+            return true;
+        }
+
+        const blocks = DOMOperations.getBlocks(this.editor);
+        const cells = DOMOperations.getBlocks(table);
+        const nextIndex = blocks.indexOf(cells[cells.length - 1]) + 1;
+        if (nextIndex < blocks.length && !DOMOperations.isAtomicBlock(blocks[nextIndex])) {
+            this.caretTracker.restoreCaretState(CaretState.collapsed(nextIndex, 0));
+            return true;
+        }
+
+        const paragraph = DOMOperations.createElement(this.blockManager.getDefaultBlockTag());
+        DOMOperations.normalizeBlock(paragraph);
+        this.stateManager.batch(() => {
+            if (this.stateManager.commit(this.blockManager.createInsertMutation(paragraph, context.start))) {
+                this.caretTracker.restoreCaretState(CaretState.collapsed(nextIndex, 0));
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Put the caret at the end of a cell's text
+     * @private
+     */
+    focusCell(cell) {
+        const blockIndex = DOMOperations.getBlocks(this.editor).indexOf(cell);
+        this.caretTracker.restoreCaretState(CaretState.collapsed(blockIndex, DOMOperations.getTextLength(cell)));
+    }
+}
+
+export { MAX_SPAN };
+export default TableManager;
\ No newline at end of file